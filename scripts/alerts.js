@@ -0,0 +1,319 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { isBuyable } = require('./availability');
+const { styleOf } = require('./categories');
+
+// Price-drop alerts for watched products, from the previous and current cleaned datasets.
+//
+// Watchlists are the JSON files in watchlists/, each an array of entries:
+// {
+//   "name": "Session lagers",                // optional, shown in the alert
+//   "dataset": "beer",                       // optional, default every dataset
+//   "stockcodes": ["123456"],                // any of these stockcodes
+//   "family_id": "tooheysnew-4.6",           // or the family, see families.js
+//   "brand": "Balter",                       // or the brand, case-insensitive
+//   "style": "Pale Ale",                     // and/or the style, case-insensitive
+//   "max_cost_per_standard": 1.6,            // optional targets, at or below
+//   "max_unit_price": 2.5,
+//   "member_prices": false                   // optional, leave out member-only specials
+// }
+// At least one of stockcodes, family_id, brand or style is needed.
+//
+// A watched product gets an alert when, since the previous run, it
+//   price_target    came down to a target (only while it can be ordered)
+//   on_special      got a _special pricing group
+//   back_in_stock   can be ordered again, see availability.js
+//
+// writeAlerts writes datasets_cleaned/<dataset>_alerts.json with this run's
+// alerts and the most recent ones, and <dataset>_alerts.atom, an Atom feed of
+// the recent alerts to subscribe to.
+
+const ROOT = path.join(__dirname, '..');
+const CLEANED_DIR = path.join(ROOT, 'datasets_cleaned');
+const WATCHLIST_DIR = path.join(ROOT, 'watchlists');
+const ENTRY_KEYS = [
+  'name', 'dataset', 'stockcodes', 'family_id', 'brand', 'style',
+  'max_cost_per_standard', 'max_unit_price', 'member_prices'
+];
+const FILTER_KEYS = ['stockcodes', 'family_id', 'brand', 'style'];
+
+// Alerts kept in the JSON report and the feed, newest first.
+const RECENT_ALERTS = 100;
+
+const TYPES = {
+  PRICE_TARGET: 'price_target',
+  ON_SPECIAL: 'on_special',
+  BACK_IN_STOCK: 'back_in_stock'
+};
+
+function toDateString(date) {
+  if (date instanceof Date) return date.toISOString().slice(0, 10);
+  return String(date).slice(0, 10);
+}
+
+async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+// Checks an entry, throwing on anything that would make it match everything or nothing.
+function checkEntry(entry, where) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`${where}: expected an object`);
+  const unknown = Object.keys(entry).filter(key => !ENTRY_KEYS.includes(key));
+  if (unknown.length > 0) throw new Error(`${where}: unknown field ${unknown.join(', ')}`);
+  if (!FILTER_KEYS.some(key => entry[key] !== undefined)) {
+    throw new Error(`${where}: needs one of ${FILTER_KEYS.join(', ')}`);
+  }
+  if (entry.stockcodes !== undefined && !Array.isArray(entry.stockcodes)) throw new Error(`${where}: stockcodes must be an array`);
+  for (const key of ['max_cost_per_standard', 'max_unit_price']) {
+    if (entry[key] !== undefined && !(typeof entry[key] === 'number' && entry[key] > 0)) {
+      throw new Error(`${where}: ${key} must be a positive number`);
+    }
+  }
+}
+
+/**
+ * Reads every watchlist in a directory.
+ * @param {string} [dir] defaults to watchlists/
+ * @returns {Promise<Array>} entries with `list` set to the file name without .json
+ */
+async function loadWatchlists(dir = WATCHLIST_DIR) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const file of files) {
+    const list = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${file}: expected an array of entries`);
+    list.forEach((entry, i) => {
+      checkEntry(entry, `${file} entry ${i}`);
+      entries.push({ list: path.basename(file, '.json'), ...entry });
+    });
+  }
+  return entries;
+}
+
+function sameText(a, b) {
+  return a !== null && a !== undefined && String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Whether a watchlist entry covers a record.
+ * @param {object} entry from loadWatchlists
+ * @param {string} dataset dataset of the record
+ * @param {object} record cleaned record
+ * @returns {boolean}
+ */
+function matchesEntry(entry, dataset, record) {
+  const p = record.properties;
+  if (entry.dataset && entry.dataset !== dataset) return false;
+  if (entry.stockcodes && !entry.stockcodes.includes(record.stockcode)) return false;
+  if (entry.family_id && p.family_id !== entry.family_id) return false;
+  if (entry.brand && !sameText(p.brand, entry.brand)) return false;
+  if (entry.style && !sameText(styleOf(p), entry.style)) return false;
+  return true;
+}
+
+// Pricing groups the entry counts, leaving out member-only specials if it asks to.
+function groupsFor(entry, record) {
+  return Object.entries(record.pricing || {})
+    .filter(([, pricing]) => entry.member_prices !== false || !(pricing.promo && pricing.promo.member_only));
+}
+
+// Cheapest group by a pricing field, or null.
+function cheapest(groups, field) {
+  const best = groups.reduce((best, [group, pricing]) =>
+    (pricing[field] !== null && pricing[field] !== undefined && (!best || pricing[field] < best.pricing[field])
+      ? { group, pricing }
+      : best), null);
+  if (!best) return null;
+  const { total_price, units, unit_price, cost_per_standard } = best.pricing;
+  return { group: best.group, total_price, units, unit_price, cost_per_standard };
+}
+
+// Targets the record is at or below, e.g. ['max_cost_per_standard'], only while it can be ordered.
+function targetsMet(entry, record) {
+  if (!record || !isBuyable(record.availability)) return [];
+  const groups = groupsFor(entry, record);
+  const met = [];
+  const cost = cheapest(groups, 'cost_per_standard');
+  if (entry.max_cost_per_standard !== undefined && cost && cost.cost_per_standard <= entry.max_cost_per_standard) {
+    met.push('max_cost_per_standard');
+  }
+  const unit = cheapest(groups, 'unit_price');
+  if (entry.max_unit_price !== undefined && unit && unit.unit_price <= entry.max_unit_price) {
+    met.push('max_unit_price');
+  }
+  return met;
+}
+
+function hasSpecial(entry, record) {
+  return !!record && groupsFor(entry, record).some(([group]) => group.endsWith('_special'));
+}
+
+/**
+ * Alerts for the watched products of a dataset.
+ * @param {Array} entries from loadWatchlists
+ * @param {string} dataset e.g. "beer"
+ * @param {Array} previous cleaned records of the previous run
+ * @param {Array} current cleaned records
+ * @param {Date|string} [date] date of the run, part of each alert's id
+ * @returns {Array} alerts, by stockcode
+ */
+function findAlerts(entries, dataset, previous, current, date = new Date()) {
+  const day = toDateString(date);
+  const before = new Map(previous.map(record => [record.stockcode, record]));
+  const alerts = [];
+
+  for (const record of current) {
+    const oldRecord = before.get(record.stockcode);
+    for (const entry of entries) {
+      if (!matchesEntry(entry, dataset, record)) continue;
+      const groups = groupsFor(entry, record);
+      const alert = type => ({
+        id: `${day}/${dataset}/${entry.list}/${record.stockcode}/${type}`,
+        date: day,
+        type,
+        dataset,
+        list: entry.list,
+        watch: entry.name || null,
+        stockcode: record.stockcode,
+        name: record.properties.name,
+        cheapest: cheapest(groups, 'cost_per_standard')
+      });
+
+      const wasMet = targetsMet(entry, oldRecord);
+      const met = targetsMet(entry, record).filter(target => !wasMet.includes(target));
+      if (met.length > 0) {
+        alerts.push({
+          ...alert(TYPES.PRICE_TARGET),
+          targets: Object.fromEntries(met.map(target => [target, entry[target]]))
+        });
+      }
+      if (hasSpecial(entry, record) && !hasSpecial(entry, oldRecord)) {
+        const specials = groups.filter(([group]) => group.endsWith('_special'));
+        alerts.push({ ...alert(TYPES.ON_SPECIAL), specials: specials.map(([group]) => group) });
+      }
+      if (oldRecord && !isBuyable(oldRecord.availability) && isBuyable(record.availability)) {
+        alerts.push(alert(TYPES.BACK_IN_STOCK));
+      }
+    }
+  }
+  return alerts.sort((a, b) => a.stockcode.localeCompare(b.stockcode) || a.id.localeCompare(b.id));
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatCost(value) {
+  return value === null || value === undefined ? '-' : `$${value.toFixed(2)}`;
+}
+
+// One line description of an alert, used as the feed entry title.
+function describeAlert(alert) {
+  const price = alert.cheapest
+    ? `${formatCost(alert.cheapest.cost_per_standard)}/std (${alert.cheapest.group} ${formatCost(alert.cheapest.total_price)})`
+    : 'no price';
+  if (alert.type === TYPES.PRICE_TARGET) {
+    const targets = Object.entries(alert.targets)
+      .map(([target, value]) => `${target === 'max_unit_price' ? 'unit price' : 'cost per standard'} ${formatCost(value)}`);
+    return `${alert.name} is at or below ${targets.join(' and ')}: ${price}`;
+  }
+  if (alert.type === TYPES.ON_SPECIAL) return `${alert.name} is on special (${alert.specials.join(', ')}): ${price}`;
+  return `${alert.name} is back in stock: ${price}`;
+}
+
+/**
+ * Atom feed of alerts.
+ * @param {string} dataset e.g. "beer"
+ * @param {Array} alerts newest first
+ * @param {object} [options]
+ * @param {string} [options.updated] feed update time, ISO 8601 (default now)
+ * @param {string} [options.link] address of the feed file, e.g. its raw URL in the repo
+ * @returns {string}
+ */
+function toAtom(dataset, alerts, { updated = new Date().toISOString(), link } = {}) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>urn:cheap-beers-data:${escapeXML(dataset)}:alerts</id>`,
+    `  <title>Cheap beers watchlist alerts: ${escapeXML(dataset)}</title>`,
+    `  <updated>${escapeXML(updated)}</updated>`,
+    '  <author><name>cheap-beers-data</name></author>'
+  ];
+  if (link) lines.push(`  <link rel="self" href="${escapeXML(link)}"/>`);
+  for (const alert of alerts) {
+    const watched = alert.watch ? `${alert.list}: ${alert.watch}` : alert.list;
+    lines.push(
+      '  <entry>',
+      `    <id>urn:cheap-beers-data:${escapeXML(alert.id)}</id>`,
+      `    <title>${escapeXML(describeAlert(alert))}</title>`,
+      `    <updated>${escapeXML(alert.date)}T00:00:00Z</updated>`,
+      `    <category term="${escapeXML(alert.type)}"/>`,
+      `    <summary>${escapeXML(`${describeAlert(alert)}. Stockcode ${alert.stockcode}, watched in ${watched}.`)}</summary>`,
+      '  </entry>'
+    );
+  }
+  lines.push('</feed>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Finds the alerts of a run and writes the JSON report and the Atom feed next to
+ * datasets_cleaned/<dataset>.json, keeping the most recent alerts of earlier runs.
+ * @param {string} dataset e.g. "beer"
+ * @param {string} previousPath path to the previous cleaned dataset
+ * @param {object} [options]
+ * @param {string} [options.dir] cleaned datasets and reports, defaults to datasets_cleaned
+ * @param {string} [options.watchlistDir] defaults to watchlists/
+ * @param {Date|string} [options.date] date of the run (default today)
+ * @param {string} [options.link] address of the feed, for its self link
+ * @returns {Promise<Array>} this run's alerts
+ */
+async function writeAlerts(dataset, previousPath, { dir = CLEANED_DIR, watchlistDir = WATCHLIST_DIR, date = new Date(), link } = {}) {
+  const entries = await loadWatchlists(watchlistDir);
+  const previous = JSON.parse(await fs.readFile(previousPath, 'utf8'));
+  const current = JSON.parse(await fs.readFile(path.join(dir, `${dataset}.json`), 'utf8'));
+  const alerts = findAlerts(entries, dataset, previous, current, date);
+
+  const jsonPath = path.join(dir, `${dataset}_alerts.json`);
+  const feedPath = path.join(dir, `${dataset}_alerts.atom`);
+  // Re-running on the same day replaces that day's alerts rather than repeating them.
+  const ids = new Set(alerts.map(alert => alert.id));
+  const earlier = (await readJSON(jsonPath, { recent: [] })).recent.filter(alert => !ids.has(alert.id));
+  const recent = [...alerts, ...earlier].slice(0, RECENT_ALERTS);
+  const updated = new Date().toISOString();
+
+  await fs.writeFile(jsonPath, JSON.stringify({ dataset, date: toDateString(date), updated, alerts, recent }, null, 2), 'utf8');
+  await fs.writeFile(feedPath, toAtom(dataset, recent, { updated, link }), 'utf8');
+  console.log(`Alerts written to ${jsonPath} and ${feedPath}: ${alerts.length} new from ${entries.length} watchlist entries`);
+  return alerts;
+}
+
+module.exports = { TYPES, loadWatchlists, matchesEntry, findAlerts, toAtom, writeAlerts };
+
+// Usage: node scripts/alerts.js <dataset> <previous cleaned file>, or `node scripts/cli.js alerts`.
+if (require.main === module) {
+  const [dataset = 'beer', previousPath] = process.argv.slice(2);
+  if (!previousPath) {
+    console.error("Usage: node scripts/alerts.js <dataset> <previous cleaned file>");
+    process.exit(1);
+  }
+  writeAlerts(dataset, previousPath).catch(err => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
+}
@@ -1,18 +1,54 @@
-const https = require("https");
 const fs = require("fs");
+const path = require("path");
+const { browse } = require("./browse_client");
+const { createQueue, withRetries } = require("./fetch_queue");
+const { loadCatalogue, getDataset } = require("./catalogue");
+const { readAvailability } = require("./availability");
 
-// Over 100 tends to fail because DM has an inefficient server
-const nresults = +process.argv[2] || 50;
+// Fetches the datasets in scripts/catalogue.json from the Browse API and writes
+// <dataset>_raw.json (the bundles) and <dataset>.json (processBundle records) for each.
+//
+// Usage: node scripts/api.js [page size], or `node scripts/cli.js fetch`.
+// Settings come from the options of fetchDatasets, falling back to these variables:
+//   DM_DATASETS      comma separated dataset names, default all of the catalogue
+//   DM_OUTPUT_DIR    where the datasets are written, override to keep replayed runs out of datasets_raw
+//   DM_RETRIES       retries of a failed request, with exponential backoff (default 3)
+//   DM_BACKOFF_MS    first backoff delay, doubled on each retry: 1s, 2s, 4s by default
+//   DM_CONCURRENCY   requests sent at once, the server is inefficient so only a few (default 2)
+//   DM_ON_FAILURE    what to do with a dataset when some of its requests failed:
+//                    "keep" leaves the previous file alone, "incomplete" writes what was
+//                    fetched and marks it incomplete in fetch_status.json
 
-function saveJSON(name, data) {
-  console.log(`Saving ${data.length} items to datasets_raw/${name}.json`);
+const RAW_DIR = path.join(__dirname, "..", "datasets_raw");
+const BLACKLIST_PATH = path.join(RAW_DIR, "blacklist.json");
+
+// Browse response fields that may hold the total number of results
+const TOTAL_COUNT_KEYS = ["TotalRecordCount", "TotalCount", "Total"];
+
+// Options of fetchDatasets not given by the caller, from the environment
+function optionsFromEnv(env) {
+  return {
+    outputDir: env.DM_OUTPUT_DIR || RAW_DIR,
+    retries: env.DM_RETRIES !== undefined ? +env.DM_RETRIES : 3,
+    backoffMs: env.DM_BACKOFF_MS !== undefined ? +env.DM_BACKOFF_MS : 1000,
+    concurrency: +env.DM_CONCURRENCY || 2,
+    onFailure: env.DM_ON_FAILURE === "incomplete" ? "incomplete" : "keep",
+  };
+}
+
+function saveJSON(outputDir, name, data) {
+  console.log(`Saving ${data.length} items to ${outputDir}/${name}.json`);
   data = data.filter((d) => !!d);
-  fs.writeFile(`datasets_raw/${name}.json`, JSON.stringify(data), (err) => {
-    if (err) console.log(err);
-  });
+  fs.writeFileSync(path.join(outputDir, `${name}.json`), JSON.stringify(data));
 }
 
-function processBundle(bundle) {
+/**
+ * Reduces a Browse bundle to the record written to <dataset>.json.
+ * @param {object} bundle raw bundle from the Browse response
+ * @param {string[]} [blacklist] stockcodes to leave out
+ * @returns {object|undefined} undefined for blacklisted stockcodes
+ */
+function processBundle(bundle, blacklist = []) {
   const product = bundle.Products[0];
   if (blacklist.includes(product.Stockcode)) return;
 
@@ -33,7 +69,7 @@ function processBundle(bundle) {
       packprice = +product.Prices.singleprice?.Value;
       promopackprice = +product.Prices.singleprice?.AfterPromotion;
 
-      packIntsInMessage = product.Prices.singleprice?.Message?.match(/([0-9]+)/);
+      let packIntsInMessage = product.Prices.singleprice?.Message?.match(/([0-9]+)/);
       packunits = !!packIntsInMessage ? +packIntsInMessage[0] : 0;
     } else if (product.Prices.singleprice?.PackType === "Bottle") {
       bottleprice = +product.Prices.singleprice?.Value;
@@ -58,116 +94,230 @@ function processBundle(bundle) {
     },
     standardDrinks: +product.AdditionalDetails.find((r) => r.Name === "standarddrinks")?.Value,
     percentage: product.AdditionalDetails.find((r) => r.Name === "webalcoholpercentage")?.Value,
+    availability: readAvailability(product),
   };
 }
 
+// Total number of results for the query, if the response reports one
+function totalCount(response) {
+  const total = TOTAL_COUNT_KEYS.map((key) => response[key]).find((value) => Number.isFinite(value));
+  return total === undefined ? null : total;
+}
+
+function bundleStockcode(bundle) {
+  return bundle.Products?.[0]?.Stockcode || bundle.PackDefaultStockCode;
+}
+
 /**
- * Hits DM API and saves JSON reponse to file
- * @param {*} name name for output file and logging
- * @param {*} department
- * @param {*} subdepartment
- * @param {*} page page number to hit API with
+ * Fetches every query of the given datasets and writes their files once all requests are done.
+ * @param {Array} datasets catalogue entries from getDataset
+ * @param {object} [options] outputDir, pageSize (overrides the catalogue, over 100 tends to fail
+ *   because DM has an inefficient server), retries, backoffMs, concurrency, onFailure and
+ *   blacklistPath, see the top of the file for the defaults
+ * @param {function} callback (err, status) with the status written to fetch_status.json,
+ *   err is set when every request failed, or the blacklist can't be read or outputDir created
  */
-function saveDrinks(name, department, subdepartment, page = 1) {
-  let queryID = `${name}-${department}${!!subdepartment ? "-" + subdepartment : ""}-${page}`;
-  allQueriesStatus[queryID] = false;
-  const data = JSON.stringify({
-    department: department,
-    filters: [],
-    pageNumber: page,
-    pageSize: nresults,
-    sortType: "PriceAsc",
-    Location: "ListerFacet",
-    subDepartment: subdepartment,
-    // PageUrl: `/${type}/all` // don't need
-  });
-  const options = {
-    hostname: "api.danmurphys.com.au",
-    path: "/apis/ui/Browse",
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Content-Length": data.length,
-    },
+function fetchDatasets(datasets, options, callback) {
+  const given = Object.entries(options || {}).filter(([, value]) => value !== undefined);
+  const { outputDir, pageSize, retries, backoffMs, concurrency, onFailure, blacklistPath = BLACKLIST_PATH } = {
+    ...optionsFromEnv(process.env),
+    ...Object.fromEntries(given),
   };
 
-  console.log(`Sending http request (${queryID})`);
+  // for errors, uses product stock code
+  let blacklist;
+  try {
+    blacklist = JSON.parse(fs.readFileSync(blacklistPath, "utf8"));
+    fs.mkdirSync(outputDir, { recursive: true });
+  } catch (err) {
+    return callback(err);
+  }
 
-  const req = https
-    .request(options, (res) => {
-      let data = "";
+  const queue = createQueue(concurrency);
 
-      console.log(`Response: ${res.statusCode} (${queryID})`);
+  // Stores raw bundles for each dataset by stockcode, processed when saved
+  const allBundles = {};
+  datasets.forEach(({ name }) => {
+    allBundles[name] = new Map();
+  });
 
-      if (res.statusCode !== 200) process.exit(1);
+  // Stores status of each API call
+  const allQueriesStatus = {};
 
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
+  /**
+   * Hits DM API (or a recording, see browse_client.js) and saves JSON reponse to file
+   * @param {*} name dataset name from the catalogue, for output file and logging
+   * @param {*} catalogueQuery query from the catalogue (department, subdepartment, filters, pageSize, sortType)
+   * @param {*} page page number to hit API with
+   * @param {Set} seen stockcodes on the earlier pages of this query
+   */
+  function saveDrinks(name, catalogueQuery, page = 1, seen = new Set()) {
+    const { department, subdepartment } = catalogueQuery;
+    let queryID = `${name}-${department}${!!subdepartment ? "-" + subdepartment : ""}-${page}`;
+    allQueriesStatus[queryID] = { name, status: "pending" };
+    const query = {
+      department: department,
+      filters: catalogueQuery.filters,
+      pageNumber: page,
+      pageSize: pageSize || catalogueQuery.pageSize,
+      sortType: catalogueQuery.sortType,
+      Location: "ListerFacet",
+      subDepartment: subdepartment,
+      // PageUrl: `/${type}/all` // don't need
+    };
 
-      res.on("end", () => {
-        let bundles = JSON.parse(data).Bundles;
-        console.log(`Received ${bundles.length} bundles (${queryID})`);
-        if (bundles.length + 20 > nresults) {
-            // recursive call, save more drinks if more drinks exist
-            saveDrinks(name, department, subdepartment, page + 1);
+    queue.push((done) => {
+      withRetries(
+        (callback) => {
+          console.log(`Sending http request (${queryID})`);
+          browse(query, (err, res) => {
+            if (err) return callback(err);
+            console.log(`Response: ${res.statusCode} (${queryID})`);
+            if (res.statusCode !== 200) return callback(new Error(`HTTP ${res.statusCode}`));
+            try {
+              callback(null, JSON.parse(res.body));
+            } catch (err) {
+              callback(err);
+            }
+          });
+        },
+        {
+          retries,
+          backoffMs,
+          onRetry: (err, tries, delay) => console.log(`Retry ${tries}/${retries} in ${delay}ms after ${err.message} (${queryID})`),
+        },
+        (err, response) => {
+          done();
+          if (err) {
+            console.log(`Error: ${err.message}, giving up (${queryID})`);
+            allQueriesStatus[queryID] = { name, status: "failed", error: err.message };
+          } else {
+            storeBundles(name, catalogueQuery, page, seen, queryID, response);
+          }
+          checkIfAllComplete();
         }
-        
-        // Store both raw and processed data
-        allDrinks[`${name}_raw`].push(...bundles);
-        let processed = bundles.map(processBundle);
-        allDrinks[name].push(...processed);
-        
-        allQueriesStatus[queryID] = true;
-        checkIfAllComplete();
+      );
+    });
+  }
+
+  // Stores a page of results and queues the next page if there may be more
+  function storeBundles(name, catalogueQuery, page, seen, queryID, response) {
+    const bundles = response.Bundles || [];
+    const total = totalCount(response);
+    console.log(`Received ${bundles.length} bundles${total !== null ? ` of ${total}` : ""} (${queryID})`);
+
+    // Keep one bundle per stockcode, the same product can be on several pages or departments
+    let newToQuery = 0;
+    bundles.forEach((bundle) => {
+      const stockcode = bundleStockcode(bundle);
+      if (!stockcode) return;
+      if (!seen.has(stockcode)) newToQuery++;
+      seen.add(stockcode);
+      if (!allBundles[name].has(stockcode)) allBundles[name].set(stockcode, bundle);
+    });
+
+    // Walk until the reported total is reached, or without one, until an empty page.
+    // The page size isn't relied on, the server can send fewer than asked for. Other
+    // queries of the dataset can share products, so only a page repeating this query's
+    // own earlier pages stops it early, in case the server ignores the page number.
+    if (bundles.length === 0) {
+      console.log(`Page ${page} is empty, stopping (${queryID})`);
+    } else if (newToQuery === 0) {
+      console.log(`Page ${page} repeats earlier pages, stopping (${queryID})`);
+    } else if (total === null || seen.size < total) {
+      // recursive call, save more drinks if more drinks exist
+      saveDrinks(name, catalogueQuery, page + 1, seen);
+    }
+
+    allQueriesStatus[queryID] = { name, status: "done" };
+  }
+
+  // Raw bundles and processed records for a dataset, sorted by stockcode so the
+  // files don't change just because the pages arrived in a different order
+  function datasetFiles(name) {
+    const raw = [...allBundles[name].entries()]
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([, bundle]) => bundle);
+    return { [name]: raw.map((bundle) => processBundle(bundle, blacklist)), [`${name}_raw`]: raw };
+  }
+
+  function checkIfAllComplete() {
+    let allQueriesComplete = Object.values(allQueriesStatus).every((query) => query.status !== "pending");
+    if (!allQueriesComplete) return;
+
+    // Queries that failed after all retries, by dataset name
+    const failures = {};
+    for (const [queryID, query] of Object.entries(allQueriesStatus)) {
+      if (query.status === "failed") {
+        (failures[query.name] ||= []).push({ query: queryID, error: query.error });
+      }
+    }
+
+    const status = {};
+    try {
+      Object.keys(allBundles).forEach((name) => {
+        Object.entries(datasetFiles(name)).forEach(([key, data]) => {
+          if (!failures[name]) {
+            status[key] = { complete: true };
+            saveJSON(outputDir, key, data);
+          } else if (onFailure === "incomplete") {
+            status[key] = { complete: false, failed: failures[name] };
+            saveJSON(outputDir, key, data);
+          } else {
+            status[key] = { complete: false, kept_previous: true, failed: failures[name] };
+            console.log(`Keeping previous ${outputDir}/${key}.json`);
+          }
+        });
       });
-    })
-    .on("error", (err) => {
-      console.log("Error: ", err.message);
+      fs.writeFileSync(path.join(outputDir, "fetch_status.json"), JSON.stringify(status, null, 2));
+    } catch (err) {
+      return callback(err);
+    }
+
+    // Final summary of what failed
+    const failedNames = Object.keys(failures);
+    if (failedNames.length === 0) {
+      console.log("All requests succeeded");
+      return callback(null, status);
+    }
+    console.log(`${failedNames.length} of ${Object.keys(allBundles).length} datasets had failed requests:`);
+    failedNames.forEach((name) => {
+      failures[name].forEach(({ query, error }) => console.log(`  ${name}: ${query} (${error})`));
     });
+    // Only fail the run if nothing could be fetched at all
+    if (Object.values(allQueriesStatus).every((query) => query.status === "failed")) {
+      return callback(new Error("Every request failed"), status);
+    }
+    callback(null, status);
+  }
 
-  req.write(data);
-  req.end();
+  datasets.forEach(({ name, queries }) => queries.forEach((query) => saveDrinks(name, query, 1)));
 }
 
-function checkIfAllComplete() {
-  let allQueriesComplete = Object.keys(allQueriesStatus).every((key) => allQueriesStatus[key]);
-  if (allQueriesComplete) {
-    Object.keys(allDrinks).forEach((key) => saveJSON(key, allDrinks[key]));
+module.exports = { processBundle, fetchDatasets };
+
+if (require.main === module) {
+  // Datasets to fetch, the Dan Murphy's ones of scripts/catalogue.json unless DM_DATASETS lists some.
+  // Names that aren't declared in the catalogue, or are from another source, are rejected.
+  let datasets;
+  try {
+    const catalogue = loadCatalogue();
+    const names = process.env.DM_DATASETS
+      ? process.env.DM_DATASETS.split(",").map((name) => name.trim())
+      : Object.keys(catalogue).filter((name) => catalogue[name].source === "danmurphys");
+    datasets = names.map((name) => getDataset(name, catalogue));
+    const other = datasets.find((dataset) => dataset.source !== "danmurphys");
+    if (other) throw new Error(`Dataset "${other.name}" is from ${other.source}, use node scripts/cli.js fetch ${other.name}`);
+  } catch (err) {
+    console.error("Error reading catalogue:", err.message);
+    process.exit(1);
   }
-}
 
-// Stores actual values
-let allDrinks = {
-  beer: [],
-  beer_raw: [],
-  cider: [],
-  cider_raw: [],
-  premix: [],
-  premix_raw: [],
-  spirits: [],
-  spirits_raw: [],
-  redwine: [],
-  redwine_raw: [],
-  whitewine: [],
-  whitewine_raw: [],
-};
-
-// Stores status of each API call
-let allQueriesStatus = {};
-
-// for errors, uses product stock code
-let blacklist = [];
-try {
-  blacklist = JSON.parse(fs.readFileSync('datasets_raw/blacklist.json', 'utf8'));
-  saveDrinks("beer", "beer", undefined, 1);
-  saveDrinks("cider", "cider", undefined, 1);
-  saveDrinks("premix", "spirits", "premix drinks", 1);
-  saveDrinks("spirits", "spirits", undefined, 1);
-  saveDrinks("spirits", "whisky", undefined, 1);
-  saveDrinks("redwine", "red wine", undefined, 1);
-  saveDrinks("whitewine", "white wine", undefined, 1);
-} catch (err) {
-  console.error("Error reading blacklist:", err);
-  process.exit(1);
+  // Overrides the page size from scripts/catalogue.json.
+  fetchDatasets(datasets, { pageSize: +process.argv[2] || null }, (err) => {
+    if (err) {
+      console.error("Error:", err);
+      process.exit(1);
+    }
+  });
 }
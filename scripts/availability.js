@@ -0,0 +1,78 @@
+// Whether a product can be bought, read from the flags of a raw Browse product.
+//
+// The Browse API describes availability with a handful of product fields:
+//   IsPurchasable    false when the product can't be added to the trolley
+//   Inventory        per fulfilment option stock, e.g. availableinventoryqty and
+//                    samedaydeliveryinventoryqtymessage "INSTOCK" or "OUTOFSTOCK".
+//                    Marketplace ("ER") products have an empty object
+//   StockOnHand      units held, still positive for products that are out of stock online
+//   IsForDelivery    can be delivered
+//   IsForCollection  can be picked up in store
+//   IsDeliveryOnly   only sold online for delivery, not in store
+//   SupplyLimit      most you can buy in one order, 9999 when there's no limit
+//   IsPreSale        can be ordered ahead of its release
+//   IsComingSoon     listed but not on sale yet
+//
+// Older raw files may not have all of them, so missing fields are null and
+// don't count against a product.
+
+// SupplyLimit value the API uses for "no limit".
+const NO_SUPPLY_LIMIT = 9999;
+
+function flag(value) {
+  return typeof value === 'boolean' ? value : null;
+}
+
+function count(value) {
+  return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+// In stock online: the available inventory, or the stock on hand when there is no inventory breakdown.
+function inStock(product) {
+  const available = count(product.Inventory?.availableinventoryqty);
+  if (available !== null) return available > 0;
+  const stockOnHand = count(product.StockOnHand);
+  return stockOnHand !== null ? stockOnHand > 0 : null;
+}
+
+/**
+ * Availability of a raw Browse product.
+ * @param {object} product first entry of a bundle's Products
+ * @returns {object} { buyable, purchasable, in_stock, stock_on_hand, delivery, collection,
+ *   delivery_only, collection_only, supply_limit, pre_sale, coming_soon }, fields the
+ *   product doesn't have are null
+ */
+function readAvailability(product) {
+  const delivery = flag(product.IsForDelivery);
+  const collection = flag(product.IsForCollection);
+  const supplyLimit = count(product.SupplyLimit);
+  const availability = {
+    purchasable: flag(product.IsPurchasable),
+    in_stock: inStock(product),
+    stock_on_hand: count(product.StockOnHand),
+    delivery,
+    collection,
+    delivery_only: flag(product.IsDeliveryOnly),
+    collection_only: delivery === false && collection === true,
+    // Most you can buy in one order, null when unlimited.
+    supply_limit: supplyLimit !== null && supplyLimit < NO_SUPPLY_LIMIT ? supplyLimit : null,
+    pre_sale: flag(product.IsPreSale),
+    coming_soon: flag(product.IsComingSoon)
+  };
+  return { buyable: isBuyable(availability), ...availability };
+}
+
+/**
+ * Whether a product can be ordered now. Pre-sale products can, coming soon ones can't.
+ * @param {object|null|undefined} availability from readAvailability, records without one count as buyable
+ * @returns {boolean}
+ */
+function isBuyable(availability) {
+  if (!availability) return true;
+  return availability.purchasable !== false &&
+    availability.in_stock !== false &&
+    availability.coming_soon !== true &&
+    (availability.delivery !== false || availability.collection !== false);
+}
+
+module.exports = { NO_SUPPLY_LIMIT, readAvailability, isBuyable };
@@ -0,0 +1,244 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { isBuyable } = require('./availability');
+
+// Cheapest way to buy a target amount from a cleaned dataset.
+//
+// Every pricing group of a record (case, pack, single and their _special
+// variants) is something you can buy: `total_price` gets you `units` serves.
+// A special's total_price and units already cover the promotion quantity
+// (e.g. " for 2 packs"), so buying it once meets the minimum, and its
+// `promo.limit` caps how many of the promo's pack type you can buy.
+//
+// Usage: node scripts/basket.js <dataset|file> (--drinks N | --units N) [filters]
+//   --drinks N       at least N standard drinks
+//   --units N        at least N cans/bottles
+//   --stockcode S    only this stockcode (repeatable)
+//   --family F       only this family_id (see families.js)
+//   --search TEXT    only names containing TEXT
+//   --min-abv P      only products of at least P% ABV
+//   --max-abv P      only products of at most P% ABV
+//   --vessel V       only this vessel, e.g. can
+//   --no-member      leave out member-only prices
+//   --buyable-only   leave out products that can't be ordered now, see availability.js
+//
+// e.g. node scripts/basket.js beer --drinks 60 --min-abv 4.5
+//      node scripts/basket.js datasets_cleaned/beer.json --units 30 --stockcode 317132
+
+const CLEANED_DIR = path.join(__dirname, '..', 'datasets_cleaned');
+
+// Standard drinks are counted in tenths so the search works in whole numbers.
+const DRINKS_SCALE = 10;
+
+function roundTo(value, decimals) {
+  return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+/**
+ * Builds a record filter from the CLI-style options.
+ * @param {object} filters { stockcodes, family, search, minAbv, maxAbv, vessel, buyableOnly }
+ * @returns {function} record => boolean
+ */
+function createFilter(filters = {}) {
+  const search = filters.search ? filters.search.toLowerCase() : null;
+  return record => {
+    const p = record.properties;
+    if (filters.stockcodes && filters.stockcodes.length > 0 && !filters.stockcodes.includes(record.stockcode)) return false;
+    if (filters.family && p.family_id !== filters.family) return false;
+    if (search && !`${p.name} ${p.name_clean}`.toLowerCase().includes(search)) return false;
+    if (filters.minAbv !== undefined && !(p.percentage_raw >= filters.minAbv)) return false;
+    if (filters.maxAbv !== undefined && !(p.percentage_raw <= filters.maxAbv)) return false;
+    if (filters.vessel && p.vessel !== filters.vessel) return false;
+    if (filters.buyableOnly && !isBuyable(record.availability)) return false;
+    return true;
+  };
+}
+
+// Most times a group can be bought, Infinity when there's no limit.
+function purchaseLimit(pricing) {
+  const promo = pricing.promo;
+  if (!promo || !promo.limit) return Infinity;
+  return Math.max(0, Math.floor(promo.limit / (promo.quantity || 1)));
+}
+
+/**
+ * The groups that can be bought towards the target.
+ * @param {Array} records cleaned records
+ * @param {string} measure "drinks" or "units"
+ * @param {object} options { filter, members }
+ */
+function purchasableItems(records, measure, { filter = () => true, members = true } = {}) {
+  const items = [];
+  for (const record of records) {
+    if (!filter(record)) continue;
+    const standardDrinks = record.properties.standard_drinks_clean;
+    for (const [group, pricing] of Object.entries(record.pricing)) {
+      if (!pricing.units || !pricing.total_price) continue;
+      if (!members && pricing.promo && pricing.promo.member_only) continue;
+      const amount = measure === 'drinks'
+        ? Math.round(pricing.units * standardDrinks * DRINKS_SCALE)
+        : pricing.units;
+      if (!(amount > 0)) continue;
+      items.push({
+        stockcode: record.stockcode,
+        name: record.properties.name,
+        group,
+        amount,
+        cost: Math.round(pricing.total_price * 100),
+        limit: purchaseLimit(pricing),
+        units: pricing.units,
+        standard_drinks: roundTo(pricing.units * (standardDrinks || 0), 1),
+        total_price: pricing.total_price,
+        member_only: pricing.promo ? pricing.promo.member_only : false
+      });
+    }
+  }
+  return items;
+}
+
+// Drops items that another item beats on amount, cost and limit.
+function removeDominated(items) {
+  return items.filter(item => !items.some(other =>
+    other !== item &&
+    other.amount >= item.amount &&
+    other.cost <= item.cost &&
+    other.limit >= item.limit &&
+    (other.amount > item.amount || other.cost < item.cost || other.limit > item.limit)
+  ));
+}
+
+/**
+ * Finds the cheapest combination of purchases that reaches the target.
+ *
+ * This is a covering knapsack solved exactly by dynamic programming over the
+ * amount bought (capped at the target), one item at a time.
+ * @param {Array} records cleaned records ({stockcode, properties, pricing})
+ * @param {object} target { drinks: N } or { units: N }
+ * @param {object} [options] { filter: record => boolean, members: include member-only prices (default true) }
+ * @returns {object|null} { total_price, standard_drinks, units, items: [{stockcode, name, group, count, ...}] },
+ *   or null if the target can't be reached
+ */
+function optimiseBasket(records, target, options = {}) {
+  const measure = target.drinks !== undefined ? 'drinks' : 'units';
+  const wanted = measure === 'drinks' ? target.drinks * DRINKS_SCALE : target.units;
+  if (!(wanted > 0)) throw new Error('Target must be a positive number of drinks or units');
+  const goal = Math.ceil(wanted);
+
+  const items = removeDominated(purchasableItems(records, measure, options));
+  if (items.length === 0) return null;
+
+  // best[a]: cheapest cost (in cents) of buying amount a, where a === goal means "at least goal".
+  let best = new Float64Array(goal + 1).fill(Infinity);
+  best[0] = 0;
+  // For each item, the count bought and the state it was bought from, to rebuild the basket.
+  const counts = [];
+  const previous = [];
+
+  for (const item of items) {
+    const next = Float64Array.from(best);
+    const count = new Uint16Array(goal + 1);
+    const from = new Int32Array(goal + 1).fill(-1);
+    const maxCount = Math.min(item.limit, Math.ceil(goal / item.amount));
+    for (let a = 0; a < goal; a++) {
+      if (best[a] === Infinity) continue;
+      for (let k = 1; k <= maxCount; k++) {
+        const reached = Math.min(goal, a + k * item.amount);
+        const cost = best[a] + k * item.cost;
+        if (cost < next[reached]) {
+          next[reached] = cost;
+          count[reached] = k;
+          from[reached] = a;
+        }
+        if (reached === goal) break;
+      }
+    }
+    counts.push(count);
+    previous.push(from);
+    best = next;
+  }
+  if (best[goal] === Infinity) return null;
+
+  // Walk back through the items to see how many of each were bought.
+  const basket = [];
+  let state = goal;
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (previous[i][state] === -1) continue;
+    const { amount, cost, limit, ...item } = items[i];
+    const count = counts[i][state];
+    basket.push({
+      ...item,
+      count,
+      total_price: roundTo((count * cost) / 100, 2),
+      units: count * item.units,
+      standard_drinks: roundTo(count * item.standard_drinks, 1)
+    });
+    state = previous[i][state];
+  }
+
+  basket.sort((a, b) => b.total_price - a.total_price);
+  return {
+    total_price: roundTo(best[goal] / 100, 2),
+    standard_drinks: roundTo(basket.reduce((sum, item) => sum + item.standard_drinks, 0), 1),
+    units: basket.reduce((sum, item) => sum + item.units, 0),
+    items: basket
+  };
+}
+
+// Reads a cleaned dataset by name (e.g. "beer") or by path.
+async function readDataset(nameOrFile) {
+  const file = nameOrFile.endsWith('.json') ? nameOrFile : path.join(CLEANED_DIR, `${nameOrFile}.json`);
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+function parseArgs(args) {
+  const options = { filters: { stockcodes: [] }, members: true };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (args[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      return args[++i];
+    };
+    if (arg === '--drinks') options.target = { drinks: +value() };
+    else if (arg === '--units') options.target = { units: +value() };
+    else if (arg === '--stockcode') options.filters.stockcodes.push(value());
+    else if (arg === '--family') options.filters.family = value();
+    else if (arg === '--search') options.filters.search = value();
+    else if (arg === '--min-abv') options.filters.minAbv = +value();
+    else if (arg === '--max-abv') options.filters.maxAbv = +value();
+    else if (arg === '--vessel') options.filters.vessel = value();
+    else if (arg === '--no-member') options.members = false;
+    else if (arg === '--buyable-only') options.filters.buyableOnly = true;
+    else if (!options.dataset) options.dataset = arg;
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (!options.dataset || !options.target) {
+    throw new Error('Usage: node scripts/basket.js <dataset|file> (--drinks N | --units N) [filters]');
+  }
+  return options;
+}
+
+module.exports = { createFilter, purchasableItems, optimiseBasket };
+
+if (require.main === module) {
+  const run = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const records = await readDataset(options.dataset);
+    const basket = optimiseBasket(records, options.target, {
+      filter: createFilter(options.filters),
+      members: options.members
+    });
+    if (!basket) {
+      console.log('No products match the filters');
+      process.exit(1);
+    }
+    for (const item of basket.items) {
+      const member = item.member_only ? ' (members)' : '';
+      console.log(`${item.count} x ${item.name} [${item.stockcode} ${item.group}${member}]: $${item.total_price.toFixed(2)}, ${item.units} units, ${item.standard_drinks} standard drinks`);
+    }
+    console.log(`Total: $${basket.total_price.toFixed(2)} for ${basket.units} units, ${basket.standard_drinks} standard drinks`);
+  };
+  run().catch(err => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,111 @@
+const http = require("http");
+const https = require("https");
+const fs = require("fs");
+const path = require("path");
+
+// Client for the Dan Murphy's /apis/ui/Browse endpoint, with record and replay modes
+// so the scraper can run without the live site.
+//
+// Set by environment variables:
+//   DM_API_URL     base URL of the API, e.g. http://localhost:8080 for a stand-in server
+//                  (default https://api.danmurphys.com.au)
+//   DM_REPLAY_DIR  answer requests from recorded responses in this directory, no network
+//   DM_RECORD_DIR  save every 200 response from the API into this directory
+//   DM_TIMEOUT_MS  give up on a request after this long (default 30000)
+//
+// Recordings are named after the query, e.g. "spirits__premix-drinks__2.json"
+// for department "spirits", subdepartment "premix drinks", page 2.
+
+const DEFAULT_API_URL = "https://api.danmurphys.com.au";
+const BROWSE_PATH = "/apis/ui/Browse";
+const DEFAULT_TIMEOUT_MS = 30000;
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+/**
+ * File name of the recording for a Browse query.
+ * @param {object} query Browse request body
+ */
+function recordingName(query) {
+  const subdepartment = query.subDepartment ? slug(query.subDepartment) : "all";
+  return `${slug(query.department)}__${subdepartment}__${query.pageNumber}.json`;
+}
+
+function replay(dir, query, callback) {
+  const file = path.join(dir, recordingName(query));
+  fs.readFile(file, "utf8", (err, body) => {
+    if (err && err.code === "ENOENT") return callback(null, { statusCode: 404, body: "" });
+    if (err) return callback(err);
+    callback(null, { statusCode: 200, body });
+  });
+}
+
+function record(dir, query, body) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, recordingName(query)), body);
+}
+
+/**
+ * Sends a Browse query and calls back with the status code and raw response body.
+ * @param {object} query Browse request body (department, subDepartment, pageNumber, ...)
+ * @param {function} callback (err, { statusCode, body })
+ * @param {object} [options] defaults to the DM_* environment variables
+ */
+function browse(query, callback, options = {}) {
+  const {
+    apiUrl = process.env.DM_API_URL || DEFAULT_API_URL,
+    replayDir = process.env.DM_REPLAY_DIR,
+    recordDir = process.env.DM_RECORD_DIR,
+    timeoutMs = +process.env.DM_TIMEOUT_MS || DEFAULT_TIMEOUT_MS,
+  } = options;
+
+  // A response can end in more than one way (error, abort, close), answer only the first
+  let finished = false;
+  const finish = (err, res) => {
+    if (finished) return;
+    finished = true;
+    callback(err, res);
+  };
+
+  if (replayDir) return replay(replayDir, query, finish);
+
+  const data = JSON.stringify(query);
+  const url = new URL(BROWSE_PATH, apiUrl);
+  const client = url.protocol === "http:" ? http : https;
+  const req = client
+    .request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(data),
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => {
+          chunks.push(chunk);
+        });
+        res.on("aborted", () => finish(new Error("Response aborted before the end of the body")));
+        res.on("error", finish);
+        res.on("end", () => {
+          const body = Buffer.concat(chunks).toString("utf8");
+          if (recordDir && res.statusCode === 200) record(recordDir, query, body);
+          finish(null, { statusCode: res.statusCode, body });
+        });
+      }
+    )
+    .on("error", finish)
+    .on("close", () => finish(new Error("Connection closed before the response ended")));
+
+  req.setTimeout(timeoutMs, () => {
+    req.destroy(new Error(`Timed out after ${timeoutMs}ms`));
+  });
+  req.write(data);
+  req.end();
+}
+
+module.exports = { browse, recordingName, BROWSE_PATH };
@@ -0,0 +1,95 @@
+const path = require('path');
+const { CATEGORIES } = require('./categories');
+
+// The datasets we scrape and transform, read from catalogue.json.
+//
+// Each dataset names the transform rules it uses (`category`, see categories.js),
+// the retailer it comes from (`source`, see sources/, default "danmurphys") and
+// the queries that make it up. What a query takes depends on the source:
+//   danmurphys  a Browse query, `department` and optional `subdepartment`, `filters`,
+//               `pageSize` and `sortType`, falling back to the dataset's own and
+//               then to `defaults`
+//   json_feed   the `url` of the first page of a product feed
+//
+// Adding a dataset, e.g. "sparkling" using the whitewine rules, only needs a new
+// entry here. The scraper writes datasets_raw/<dataset>_raw.json and the transform
+// writes datasets_cleaned/<dataset>.json.
+
+const CATALOGUE_PATH = path.join(__dirname, 'catalogue.json');
+
+// Reads a query of each source. Kept here rather than in the adapters, which need the catalogue.
+const QUERY_READERS = {
+  danmurphys(query, dataset, defaults, name) {
+    if (!query.department) {
+      throw new Error(`Dataset "${name}" has a query without a department`);
+    }
+    return {
+      department: query.department,
+      subdepartment: query.subdepartment,
+      filters: query.filters || dataset.filters || defaults.filters || [],
+      pageSize: query.pageSize || dataset.pageSize || defaults.pageSize,
+      sortType: query.sortType || dataset.sortType || defaults.sortType
+    };
+  },
+  json_feed(query, dataset, defaults, name) {
+    if (!query.url) {
+      throw new Error(`Dataset "${name}" has a query without a url`);
+    }
+    return { url: query.url };
+  }
+};
+
+/**
+ * Reads and checks the catalogue, throwing on anything malformed.
+ * @param {string} [file] path to the catalogue, defaults to scripts/catalogue.json
+ */
+function loadCatalogue(file = CATALOGUE_PATH) {
+  const { defaults = {}, datasets } = require(path.resolve(file));
+  if (!datasets || Object.keys(datasets).length === 0) {
+    throw new Error(`No datasets declared in ${file}`);
+  }
+
+  const catalogue = {};
+  for (const [name, dataset] of Object.entries(datasets)) {
+    if (!/^[a-z0-9_]+$/.test(name) || name.endsWith('_raw')) {
+      throw new Error(`Invalid dataset name "${name}", use lowercase letters, digits and _ without a _raw suffix`);
+    }
+    if (!CATEGORIES[dataset.category]) {
+      throw new Error(`Dataset "${name}" uses unknown category "${dataset.category}"`);
+    }
+    const source = dataset.source || 'danmurphys';
+    if (!QUERY_READERS[source]) {
+      throw new Error(`Dataset "${name}" uses unknown source "${source}", expected one of: ${Object.keys(QUERY_READERS).join(', ')}`);
+    }
+    if (!Array.isArray(dataset.queries) || dataset.queries.length === 0) {
+      throw new Error(`Dataset "${name}" has no queries`);
+    }
+    catalogue[name] = {
+      name,
+      category: dataset.category,
+      source,
+      queries: dataset.queries.map(query => QUERY_READERS[source](query, dataset, defaults, name))
+    };
+  }
+  return catalogue;
+}
+
+/**
+ * Looks up a declared dataset, throwing if it isn't in the catalogue.
+ * @param {string} name dataset name, e.g. "beer"
+ * @param {object} [catalogue] from loadCatalogue
+ */
+function getDataset(name, catalogue = loadCatalogue()) {
+  const dataset = catalogue[name];
+  if (!dataset) {
+    throw new Error(`Dataset "${name}" is not declared in the catalogue, expected one of: ${Object.keys(catalogue).join(', ')}`);
+  }
+  return dataset;
+}
+
+module.exports = { CATALOGUE_PATH, loadCatalogue, getDataset };
+
+// Prints the declared dataset names, one per line, for shell loops.
+if (require.main === module) {
+  console.log(Object.keys(loadCatalogue()).join('\n'));
+}
@@ -0,0 +1,167 @@
+// Per-category settings for the raw -> cleaned transform.
+//
+// Every category shares the core detail fields (name, brand, size, percent,
+// standard drinks, image, rating and review count, pack and case sizes). `details` lists the
+// extra AdditionalDetails fields kept for that category, keyed by the raw
+// detail name, and `numericDetails` the ones converted to numbers.
+//
+// `vessels` are tested in order against the product name, first match wins.
+// `closureVessels` is the fallback used when the name gives no vessel.
+//
+// `excise` picks the tax treatment in excise.js: "beer", "spirits", "oeb"
+// (other excisable beverages, e.g. premix), "wet" (wine equalisation tax) or
+// "cider" (WET, or "oeb" when the name shows it is flavoured).
+//
+// `sizeRange` is the [min, max) range in mL that `webliquorsize` is trusted
+// for, and `nameSizePattern` pulls the serving size out of the product name.
+
+// Detail fields extracted for every category.
+const COMMON_DETAILS = {
+  producttitle: 'name',
+  webbrandname: 'brand',
+  webliquorsize: 'size',
+  webalcoholpercentage: 'percent',
+  standarddrinks: 'standard_drinks',
+  image1: 'image_url',
+  webaverageproductrating: 'rating',
+  webtotalreviewcount: 'review_count',
+  webpacksizeinner: 'pack_size',
+  webpacksizecase: 'case_size'
+};
+
+// Matches "375mL", "700 ml", "1.5L" etc, capturing the number and unit.
+// "x" may follow directly, as in "375mLx30".
+const ML_SIZE_PATTERN = /(?<![\d.])(\d+(?:\.\d+)?)\s*(mL|L)(?![a-wyz])/gi;
+
+const CLOSURE_VESSELS = {
+  'can closure': 'can',
+  'crown seal': 'bottle',
+  'twist top': 'bottle',
+  'screw cap': 'bottle',
+  'cork': 'bottle',
+  'artificial cork': 'bottle',
+  'stopper': 'bottle'
+};
+
+const CATEGORIES = {
+  beer: {
+    excise: 'beer',
+    details: {
+      ibu: 'ibu',
+      webbeerstyle: 'beer_style'
+    },
+    numericDetails: ['ibu'],
+    vessels: [
+      { vessel: 'bottle', pattern: /bottles?/i },
+      { vessel: 'can', pattern: /cans?/i },
+      { vessel: 'longneck', pattern: /longnecks?/i }
+    ],
+    closureVessels: {},
+    sizeRange: [100, 1000],
+    // Any standalone 3 digit number, the last one in the name wins.
+    nameSizePattern: /(?<!\d)\d{3}(?!\d)/g
+  },
+  cider: {
+    excise: 'cider',
+    details: {
+      webciderstyle: 'cider_style',
+      varietal: 'varietal',
+      webbottleclosure: 'closure'
+    },
+    numericDetails: [],
+    vessels: [
+      { vessel: 'longneck', pattern: /\blongnecks?\b/i },
+      { vessel: 'bottle', pattern: /\bbottles?\b/i },
+      { vessel: 'can', pattern: /\bcans?\b/i }
+    ],
+    closureVessels: CLOSURE_VESSELS,
+    sizeRange: [100, 1000],
+    nameSizePattern: ML_SIZE_PATTERN
+  },
+  premix: {
+    excise: 'oeb',
+    details: {
+      varietal: 'varietal',
+      webspiritstyle: 'spirit_style',
+      webbottleclosure: 'closure'
+    },
+    numericDetails: [],
+    vessels: [
+      { vessel: 'bottle', pattern: /\bbottles?\b/i },
+      // RTDs are listed as "Cans 4x330mL", "Can 6X4X375ml", "10 Pack Cans" etc.
+      { vessel: 'can', pattern: /\bcans?\b/i },
+      { vessel: 'cask', pattern: /\b(?:cask|bag in box)\b/i }
+    ],
+    closureVessels: CLOSURE_VESSELS,
+    sizeRange: [50, 1000],
+    nameSizePattern: ML_SIZE_PATTERN
+  },
+  spirits: {
+    excise: 'spirits',
+    details: {
+      varietal: 'varietal',
+      webspiritstyle: 'spirit_style',
+      webbottleclosure: 'closure'
+    },
+    numericDetails: [],
+    vessels: [
+      { vessel: 'can', pattern: /\bcans?\b/i },
+      // Nips, 700mL and 1L bottles are all just bottles.
+      { vessel: 'bottle', pattern: /\bbottles?\b|\d\s*m?l(?![a-wyz])/i }
+    ],
+    closureVessels: CLOSURE_VESSELS,
+    sizeRange: [20, 5000],
+    nameSizePattern: ML_SIZE_PATTERN
+  },
+  redwine: {
+    excise: 'wet',
+    details: {
+      varietal: 'varietal',
+      webwinebody: 'wine_body',
+      webwinestyle: 'wine_style',
+      webvintagecurrent: 'vintage',
+      webbottleclosure: 'closure'
+    },
+    numericDetails: [],
+    vessels: [
+      { vessel: 'cask', pattern: /\b(?:cask|bag in box)\b/i },
+      { vessel: 'can', pattern: /\bcans?\b/i },
+      { vessel: 'bottle', pattern: /\bbottles?\b|\bmagnum\b|\d\s*ml(?![a-wyz])/i }
+    ],
+    closureVessels: CLOSURE_VESSELS,
+    sizeRange: [100, 10000],
+    nameSizePattern: ML_SIZE_PATTERN
+  }
+};
+
+// White wine shares the red wine rules.
+CATEGORIES.whitewine = CATEGORIES.redwine;
+
+/**
+ * The style of a cleaned record of any category, from whichever of the
+ * `*_style` details it has, e.g. beer_style or wine_style.
+ * @param {object} properties record properties
+ * @returns {string|null} null when there is none or it is empty
+ */
+function styleOf(properties) {
+  const key = Object.keys(properties).find(key => key.endsWith('_style'));
+  return key && properties[key] ? String(properties[key]) : null;
+}
+
+/**
+ * Looks up a category config, throwing if the category is not known.
+ * @param {string} category e.g. "beer", "cider"
+ */
+function getCategory(category) {
+  const config = CATEGORIES[category];
+  if (!config) {
+    throw new Error(`Unknown category "${category}", expected one of: ${Object.keys(CATEGORIES).join(', ')}`);
+  }
+  return {
+    name: category,
+    ...config,
+    details: { ...COMMON_DETAILS, ...config.details }
+  };
+}
+
+module.exports = { CATEGORIES, COMMON_DETAILS, styleOf, getCategory };
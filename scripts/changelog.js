@@ -0,0 +1,194 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Changes between two cleaned datasets, e.g. yesterday's and today's datasets_cleaned/beer.json.
+//
+// Writes datasets_cleaned/<category>_changes.json (machine readable) and
+// datasets_cleaned/<category>_changes.md (summary, used as the data commit body).
+
+const CLEANED_DIR = path.join(__dirname, '..', 'datasets_cleaned');
+
+// Price moves smaller than this fraction of the old cost_per_standard are ignored.
+const DEFAULT_THRESHOLD = 0.05;
+
+// Properties that change too often to be worth reporting, or that follow from
+// another reported property (family_id is worked out from name_clean, and the
+// adjusted rating and value score from the whole dataset's ratings and prices).
+const IGNORED_PROPERTIES = ['rating', 'review_count', 'rating_adjusted', 'value_score', 'image_url', 'excise_rate', 'family_id'];
+
+function roundTo(value, decimals) {
+  return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+function byStockcode(records) {
+  return new Map(records.map(record => [record.stockcode, record]));
+}
+
+function groupSummary(group) {
+  return {
+    total_price: group.total_price,
+    units: group.units,
+    unit_price: group.unit_price,
+    cost_per_standard: group.cost_per_standard
+  };
+}
+
+/**
+ * Compares two cleaned datasets.
+ * @param {Array} previous cleaned records ({stockcode, properties, pricing})
+ * @param {Array} current cleaned records
+ * @param {object} [options]
+ * @param {number} [options.threshold] minimum relative cost_per_standard change to report
+ */
+function diffDatasets(previous, current, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const before = byStockcode(previous);
+  const after = byStockcode(current);
+  const report = {
+    threshold,
+    counts: {},
+    added: [],
+    removed: [],
+    specials_started: [],
+    specials_ended: [],
+    price_changes: [],
+    property_changes: []
+  };
+
+  for (const [stockcode, record] of after) {
+    if (!before.has(stockcode)) {
+      report.added.push({ stockcode, name_clean: record.properties.name_clean });
+    }
+  }
+  for (const [stockcode, record] of before) {
+    if (!after.has(stockcode)) {
+      report.removed.push({ stockcode, name_clean: record.properties.name_clean });
+    }
+  }
+
+  for (const [stockcode, newRecord] of after) {
+    const oldRecord = before.get(stockcode);
+    if (!oldRecord) continue;
+    const name_clean = newRecord.properties.name_clean;
+    const oldPricing = oldRecord.pricing || {};
+    const newPricing = newRecord.pricing || {};
+
+    for (const [group, newGroup] of Object.entries(newPricing)) {
+      const oldGroup = oldPricing[group];
+      if (!oldGroup) {
+        if (group.endsWith('_special')) {
+          report.specials_started.push({ stockcode, name_clean, group, ...groupSummary(newGroup) });
+        }
+        continue;
+      }
+      const oldCost = oldGroup.cost_per_standard;
+      const newCost = newGroup.cost_per_standard;
+      if (!oldCost || newCost === null || newCost === undefined) continue;
+      const change = (newCost - oldCost) / oldCost;
+      if (Math.abs(change) >= threshold) {
+        report.price_changes.push({
+          stockcode,
+          name_clean,
+          group,
+          before: groupSummary(oldGroup),
+          after: groupSummary(newGroup),
+          change_percent: roundTo(change * 100, 1)
+        });
+      }
+    }
+    for (const [group, oldGroup] of Object.entries(oldPricing)) {
+      if (group.endsWith('_special') && !newPricing[group]) {
+        report.specials_ended.push({ stockcode, name_clean, group, ...groupSummary(oldGroup) });
+      }
+    }
+
+    const fields = new Set([...Object.keys(oldRecord.properties), ...Object.keys(newRecord.properties)]);
+    for (const field of fields) {
+      if (IGNORED_PROPERTIES.includes(field)) continue;
+      const oldValue = oldRecord.properties[field] ?? null;
+      const newValue = newRecord.properties[field] ?? null;
+      if (oldValue !== newValue) {
+        report.property_changes.push({ stockcode, name_clean, field, before: oldValue, after: newValue });
+      }
+    }
+  }
+
+  report.price_changes.sort((a, b) => a.change_percent - b.change_percent);
+  for (const key of ['added', 'removed', 'specials_started', 'specials_ended', 'price_changes', 'property_changes']) {
+    report.counts[key] = report[key].length;
+  }
+  return report;
+}
+
+function formatCost(value) {
+  return value === null || value === undefined ? '-' : `$${value.toFixed(2)}`;
+}
+
+/**
+ * Markdown summary of a diffDatasets report.
+ * @param {object} report
+ * @param {string} [category] used in the heading
+ */
+function toMarkdown(report, category = 'beer') {
+  const { counts } = report;
+  const lines = [
+    `## ${category}: ${counts.added} added, ${counts.removed} removed, ` +
+      `${counts.specials_started} new specials, ${counts.specials_ended} ended specials, ` +
+      `${counts.price_changes} price moves, ${counts.property_changes} property changes`
+  ];
+
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    lines.push('', `### ${title}`, '');
+    items.forEach(item => lines.push(`- ${format(item)}`));
+  };
+
+  section('Added', report.added, item => `${item.name_clean} (${item.stockcode})`);
+  section('Removed', report.removed, item => `${item.name_clean} (${item.stockcode})`);
+  section('New specials', report.specials_started, item =>
+    `${item.name_clean} (${item.stockcode}) ${item.group}: ${formatCost(item.total_price)} for ${item.units}, ${formatCost(item.cost_per_standard)}/std`);
+  section('Ended specials', report.specials_ended, item =>
+    `${item.name_clean} (${item.stockcode}) ${item.group}`);
+  section(`Price moves over ${roundTo(report.threshold * 100, 1)}%`, report.price_changes, item =>
+    `${item.name_clean} (${item.stockcode}) ${item.group}: ${formatCost(item.before.cost_per_standard)} -> ` +
+    `${formatCost(item.after.cost_per_standard)}/std (${item.change_percent > 0 ? '+' : ''}${item.change_percent}%)`);
+  section('Property changes', report.property_changes, item =>
+    `${item.name_clean} (${item.stockcode}) ${item.field}: ${JSON.stringify(item.before)} -> ${JSON.stringify(item.after)}`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Diffs a previous cleaned dataset file against datasets_cleaned/<category>.json
+ * and writes the JSON and Markdown reports next to it.
+ * @param {string} category e.g. "beer"
+ * @param {string} previousPath path to the previous cleaned dataset
+ * @param {object} [options] passed to diffDatasets, and `dir` for the cleaned
+ *   dataset and reports (defaults to datasets_cleaned)
+ */
+async function writeChangelog(category, previousPath, { dir = CLEANED_DIR, ...options } = {}) {
+  const previous = JSON.parse(await fs.readFile(previousPath, 'utf8'));
+  const current = JSON.parse(await fs.readFile(path.join(dir, `${category}.json`), 'utf8'));
+  const report = diffDatasets(previous, current, options);
+
+  const jsonPath = path.join(dir, `${category}_changes.json`);
+  const markdownPath = path.join(dir, `${category}_changes.md`);
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+  await fs.writeFile(markdownPath, toMarkdown(report, category), 'utf8');
+  console.log(`Changes written to ${jsonPath} and ${markdownPath}`);
+  return report;
+}
+
+module.exports = { diffDatasets, toMarkdown, writeChangelog };
+
+// Usage: node scripts/changelog.js <category> <previous cleaned file> [threshold]
+if (require.main === module) {
+  const [category = 'beer', previousPath, threshold] = process.argv.slice(2);
+  if (!previousPath) {
+    console.error("Usage: node scripts/changelog.js <category> <previous cleaned file> [threshold]");
+    process.exit(1);
+  }
+  writeChangelog(category, previousPath, threshold ? { threshold: +threshold } : undefined).catch(err => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,320 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { loadCatalogue, getDataset } = require('./catalogue');
+const { getSource } = require('./sources');
+const { processDataset } = require('./transform_raw');
+const { STAGES, validateStage } = require('./validate');
+const { checkFormats, exportDatasets } = require('./export');
+const { updateHistory, rebuildHistory } = require('./history');
+const { writeChangelog } = require('./changelog');
+const { writeLegacy, checkParity } = require('./legacy');
+const { writeAlerts } = require('./alerts');
+const { readSnapshot, storeSnapshot } = require('./raw_store');
+
+// One command line for the pipeline, used by the GitHub workflows.
+//
+// Usage: node scripts/cli.js <command> [dataset ...] [options]
+// Datasets default to every dataset in scripts/catalogue.json.
+//
+//   fetch [dataset ...]              each dataset's source -> datasets_raw/<dataset>_raw.json, see sources/
+//     --out <dir>                    where to write (default datasets_raw, or DM_OUTPUT_DIR)
+//     --page-size <n>                overrides the catalogue page size of Dan Murphy's datasets
+//   store [dataset ...]              datasets_raw/<dataset>_raw.json -> datasets_store, see raw_store.js
+//     --date <YYYY-MM-DD>            snapshot date (default today)
+//     --raw <dir>                    raw datasets (default datasets_raw)
+//     --store <dir>                  (default datasets_store)
+//   restore [dataset ...]            datasets_store -> datasets_raw/<dataset>_raw.json
+//     --date <YYYY-MM-DD>            the latest stored day on or before it (default the latest)
+//     --store <dir>                  (default datasets_store)
+//     --out <dir>                    (default datasets_raw)
+//   transform [dataset ...]          datasets_raw -> datasets_cleaned, see transform_raw.js
+//     --date <YYYY-MM-DD>            snapshot date for excise rates and correction expiry (default today)
+//     --raw <dir>                    raw datasets (default datasets_raw)
+//     --out <dir>                    cleaned datasets (default datasets_cleaned)
+//     --corrections <dir>            corrections and blacklist.json (default datasets_corrections
+//                                    and datasets_raw/blacklist.json)
+//     --cache <dir>                  records kept from the last run (default .transform_cache)
+//     --full                         clean every record again instead of reusing unchanged ones
+//   validate <raw|cleaned> [dataset ...]
+//     --dir <dir>                    the stage's files (default datasets_raw or datasets_cleaned)
+//     --max-drop <fraction>          largest allowed drop in record count (default 0.2, or VALIDATE_MAX_DROP)
+//   export [dataset ...]             SQLite, CSV and JSON Lines, see export.js
+//     --cleaned <dir>                cleaned datasets (default datasets_cleaned)
+//     --out <dir>                    (default exports)
+//     --formats <list>               comma separated sqlite, csv, jsonl (default all)
+//   history [dataset ...]            adds the cleaned datasets to <dataset>_history.json
+//     --date <YYYY-MM-DD>            snapshot date (default today)
+//     --dir <dir>                    cleaned datasets (default datasets_cleaned)
+//     --rebuild <dir>                rebuild from <dataset>_YYYY-MM-DD.json snapshots in <dir> instead
+//   changelog <dataset> <previous cleaned file>
+//     --dir <dir>                    cleaned datasets (default datasets_cleaned)
+//     --threshold <fraction>         smallest cost change to report
+//   alerts <dataset> <previous cleaned file>
+//                                    watchlist alerts as JSON and an Atom feed, see alerts.js
+//     --dir <dir>                    cleaned datasets (default datasets_cleaned)
+//     --watchlists <dir>             (default watchlists)
+//     --date <YYYY-MM-DD>            date of the run (default today)
+//     --link <url>                   address the feed is published at
+//   legacy [dataset]                 the old flat <dataset>_cleaned.json from <dataset>.json, see legacy.js
+//     --dir <dir>                    cleaned datasets (default datasets_cleaned)
+//   parity [dataset]                 where transform.js and legacy.js disagree, see legacy.js
+//     --legacy-raw <file>            processBundle records (default datasets_raw/<dataset>.json)
+//     --dir <dir>                    cleaned datasets (default datasets_cleaned)
+//     --date <YYYY-MM-DD>            snapshot date for transform.js's excise rate (default today)
+//     --out <file>                   also write the full report as JSON
+//     --max-disagreements <n>        fail when more stockcodes disagree (marketplace ones aside)
+//
+// e.g. node scripts/cli.js transform beer cider --date 2024-05-01
+
+const RAW_DIR = path.join(__dirname, '..', 'datasets_raw');
+const CLEANED_DIR = path.join(__dirname, '..', 'datasets_cleaned');
+
+// Options each command takes, all of them take a value except the FLAGS.
+const COMMANDS = {
+  fetch: ['--out', '--page-size'],
+  store: ['--date', '--raw', '--store'],
+  restore: ['--date', '--store', '--out'],
+  transform: ['--date', '--raw', '--out', '--corrections', '--cache', '--full'],
+  validate: ['--dir', '--max-drop'],
+  export: ['--cleaned', '--out', '--formats'],
+  history: ['--date', '--dir', '--rebuild'],
+  changelog: ['--dir', '--threshold'],
+  alerts: ['--dir', '--watchlists', '--date', '--link'],
+  legacy: ['--dir'],
+  parity: ['--legacy-raw', '--dir', '--date', '--out', '--max-disagreements']
+};
+
+// Options that are on when given, without a value.
+const FLAGS = ['--full'];
+
+const USAGE = `Usage: node scripts/cli.js <${Object.keys(COMMANDS).join('|')}> [dataset ...] [options], see scripts/cli.js`;
+
+// A mistake in the command line (unknown command, dataset or option, a missing
+// argument), reported with its message alone rather than a stack trace.
+class UsageError extends Error {}
+
+// Runs a check of the command line, turning what it throws into a UsageError.
+function checkUsage(check) {
+  try {
+    return check();
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+}
+
+/**
+ * Splits the arguments after the command into positionals and options.
+ * @param {string[]} args
+ * @param {string[]} names option names the command takes, e.g. ['--out']
+ * @returns {{positionals: string[], options: object}} options keyed by camel-cased name, e.g. pageSize
+ */
+function parseArgs(args, names) {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    if (!names.includes(arg)) throw new UsageError(`Unknown option ${arg}, expected one of ${names.join(', ')}`);
+    const key = arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (FLAGS.includes(arg)) {
+      options[key] = true;
+      continue;
+    }
+    if (args[i + 1] === undefined) throw new UsageError(`${arg} needs a value`);
+    options[key] = args[++i];
+  }
+  return { positionals, options };
+}
+
+// Catalogue entries for the named datasets, or all of them.
+function selectDatasets(names) {
+  const catalogue = loadCatalogue();
+  return names.length > 0 ? names.map(name => checkUsage(() => getDataset(name, catalogue))) : Object.values(catalogue);
+}
+
+function toNumber(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value === '' || isNaN(number)) throw new UsageError(`${name} must be a number`);
+  return number;
+}
+
+// Fetches the datasets of each source in turn.
+async function fetch(datasets, options) {
+  const pageSize = toNumber(options.pageSize, '--page-size');
+  const sources = [...new Set(datasets.map(({ source }) => source))];
+  for (const source of sources) {
+    const selected = datasets.filter(dataset => dataset.source === source);
+    await getSource(source).fetch(selected, { outputDir: options.out, pageSize });
+  }
+}
+
+async function store(datasets, options) {
+  for (const { name, source } of datasets) {
+    const rawPath = path.join(options.raw || RAW_DIR, `${name}_raw.json`);
+    const records = JSON.parse(await fs.readFile(rawPath, 'utf8'));
+    await storeSnapshot(name, records, options.date || new Date(), { storeDir: options.store, key: getSource(source).rawKey });
+  }
+}
+
+// Datasets with nothing stored yet are skipped, keeping any raw file already there.
+async function restore(datasets, options) {
+  const outDir = options.out || RAW_DIR;
+  await fs.mkdir(outDir, { recursive: true });
+  for (const { name } of datasets) {
+    const snapshot = await readSnapshot(name, options.date, { storeDir: options.store });
+    if (!snapshot) {
+      console.log(`Nothing stored for ${name}${options.date ? ` by ${options.date}` : ''}, skipped`);
+      continue;
+    }
+    await fs.writeFile(path.join(outDir, `${name}_raw.json`), JSON.stringify(snapshot.bundles));
+    console.log(`Restored ${name}_raw.json from ${snapshot.date}: ${snapshot.bundles.length} bundles`);
+  }
+}
+
+// Transforms each dataset, carrying on past failures so one broken dataset doesn't hold up the rest.
+async function transform(datasets, options) {
+  const failed = [];
+  for (const { name } of datasets) {
+    try {
+      await processDataset(name, {
+        snapshotDate: options.date || new Date(),
+        rawDir: options.raw,
+        cleanedDir: options.out,
+        correctionsDir: options.corrections,
+        cacheDir: options.cache,
+        full: options.full
+      });
+    } catch (err) {
+      console.error(`Error processing ${name}:`, err);
+      failed.push(name);
+    }
+  }
+  if (failed.length > 0) throw new Error(`Transform failed for ${failed.join(', ')}`);
+}
+
+async function validate(stageName, datasets, options) {
+  const maxDrop = toNumber(options.maxDrop ?? process.env.VALIDATE_MAX_DROP, '--max-drop');
+  const passed = await validateStage(stageName, datasets.map(({ name }) => name), maxDrop, options.dir);
+  if (!passed) throw new Error(`Validation of ${stageName} datasets failed`);
+}
+
+async function exportCommand(datasets, options) {
+  const formats = options.formats ? options.formats.split(',').map(format => format.trim()) : undefined;
+  if (formats) checkUsage(() => checkFormats(formats));
+  const result = await exportDatasets(datasets.map(({ name }) => name), {
+    cleanedDir: options.cleaned,
+    outDir: options.out,
+    formats
+  });
+  console.log(`Exported ${result.products} products (${result.rows} pricing options) from ${result.datasets.join(', ')}: ${result.files.join(', ')}`);
+}
+
+async function history(datasets, options) {
+  for (const { name } of datasets) {
+    if (options.rebuild) {
+      await rebuildHistory(name, options.rebuild, options.dir);
+    } else {
+      await updateHistory(name, options.date || new Date(), options.dir);
+    }
+  }
+}
+
+// The legacy format only ever covered beer.
+function legacyDataset(names) {
+  if (names.length > 1) throw new UsageError('legacy and parity take one dataset');
+  return checkUsage(() => getDataset(names[0] || 'beer')).name;
+}
+
+async function legacy(name, options) {
+  const dir = options.dir || CLEANED_DIR;
+  await writeLegacy(path.join(dir, `${name}.json`), path.join(dir, `${name}_cleaned.json`));
+}
+
+// Prints how many stockcodes agree and what differs, failing on more
+// disagreements than --max-disagreements once the report is written.
+async function parity(name, options) {
+  const maxDisagreements = toNumber(options.maxDisagreements, '--max-disagreements');
+  const report = await checkParity({
+    legacyInput: options.legacyRaw || path.join(RAW_DIR, `${name}.json`),
+    cleanedInput: path.join(options.dir || CLEANED_DIR, `${name}.json`),
+    snapshotDate: options.date || new Date()
+  });
+  console.log(`Parity of ${name}: ${report.matching} of ${report.stockcodes} stockcodes agree, ${report.marketplace} marketplace stockcodes left out, stockcodes per difference ${JSON.stringify(report.counts)}`);
+  for (const { stockcode, name: productName, differences } of report.disagreements) {
+    const fields = differences.map(({ package: key, field, old, new: value }) => `${key} ${field} ${old} -> ${value}`);
+    console.log(`  ${stockcode} ${productName}: ${fields.join(', ')}`);
+  }
+  if (options.out) {
+    await fs.writeFile(options.out, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`Parity report written to ${options.out}`);
+  }
+  if (maxDisagreements !== undefined && report.disagreements.length > maxDisagreements) {
+    throw new Error(`Parity of ${name}: ${report.disagreements.length} stockcodes disagree, at most ${maxDisagreements} allowed`);
+  }
+}
+
+/**
+ * Runs a command.
+ * @param {string[]} argv arguments after `node scripts/cli.js`
+ */
+async function run(argv) {
+  const [command, ...args] = argv;
+  if (!COMMANDS[command]) throw new UsageError(USAGE);
+  const { positionals, options } = parseArgs(args, COMMANDS[command]);
+
+  switch (command) {
+    case 'fetch':
+      return fetch(selectDatasets(positionals), options);
+    case 'store':
+      return store(selectDatasets(positionals), options);
+    case 'restore':
+      return restore(selectDatasets(positionals), options);
+    case 'transform':
+      return transform(selectDatasets(positionals), options);
+    case 'validate': {
+      const [stageName, ...names] = positionals;
+      if (!STAGES[stageName]) throw new UsageError(`Usage: node scripts/cli.js validate <${Object.keys(STAGES).join('|')}> [dataset ...]`);
+      return validate(stageName, selectDatasets(names), options);
+    }
+    case 'export':
+      return exportCommand(selectDatasets(positionals), options);
+    case 'history':
+      return history(selectDatasets(positionals), options);
+    case 'changelog': {
+      const [name, previousPath] = positionals;
+      if (!name || !previousPath) throw new UsageError('Usage: node scripts/cli.js changelog <dataset> <previous cleaned file>');
+      const threshold = toNumber(options.threshold, '--threshold');
+      await writeChangelog(checkUsage(() => getDataset(name)).name, previousPath, { dir: options.dir, ...(threshold !== undefined ? { threshold } : {}) });
+      return;
+    }
+    case 'alerts': {
+      const [name, previousPath] = positionals;
+      if (!name || !previousPath) throw new UsageError('Usage: node scripts/cli.js alerts <dataset> <previous cleaned file>');
+      await writeAlerts(checkUsage(() => getDataset(name)).name, previousPath, {
+        dir: options.dir,
+        watchlistDir: options.watchlists,
+        date: options.date,
+        link: options.link
+      });
+      return;
+    }
+    case 'legacy':
+      return legacy(legacyDataset(positionals), options);
+    case 'parity':
+      return parity(legacyDataset(positionals), options);
+  }
+}
+
+module.exports = { UsageError, parseArgs, run };
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(err => {
+    if (err instanceof UsageError) console.error(`Error: ${err.message}`);
+    else console.error("Error:", err);
+    process.exit(1);
+  });
+}
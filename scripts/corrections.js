@@ -0,0 +1,128 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Hand corrections for the transform, read from datasets_corrections/<dataset>.json.
+//
+// Each entry targets one stockcode:
+// {
+//   "stockcode": "123456",
+//   "reason": "Size missing from the name",        // why the correction exists
+//   "expires": "2025-06-30",                      // optional, ignored from this date on
+//   "properties": { "size_clean": 375 },          // override any cleaned property
+//   "pricing": { "promo_multiplier_clean": 2 },   // override any pricing input, raw or clean
+//   "exclude": true                               // optional, drop the product entirely
+// }
+//
+// The older shorthand of putting property overrides at the top level
+// (e.g. { "stockcode": "123456", "name_clean": "..." }) is still accepted.
+// Stockcodes in datasets_raw/blacklist.json are excluded from every dataset. With
+// another corrections directory, its own blacklist.json is read instead.
+
+const ROOT = path.join(__dirname, '..');
+const CORRECTIONS_DIR = path.join(ROOT, 'datasets_corrections');
+const BLACKLIST_PATH = path.join(ROOT, 'datasets_raw', 'blacklist.json');
+const ENTRY_KEYS = ['stockcode', 'reason', 'expires', 'properties', 'pricing', 'exclude'];
+
+function toDateString(date) {
+  if (date instanceof Date) return date.toISOString().slice(0, 10);
+  return String(date).slice(0, 10);
+}
+
+async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+// Puts shorthand top-level overrides under `properties`.
+function normaliseEntry(entry) {
+  const properties = { ...entry.properties };
+  for (const [key, value] of Object.entries(entry)) {
+    if (!ENTRY_KEYS.includes(key)) properties[key] = value;
+  }
+  return {
+    reasons: entry.reason ? [entry.reason] : [],
+    expires: entry.expires || null,
+    properties,
+    pricing: { ...entry.pricing },
+    exclude: !!entry.exclude
+  };
+}
+
+// Combines two entries for the same stockcode, later values win.
+function mergeEntries(a, b) {
+  return {
+    reasons: [...a.reasons, ...b.reasons],
+    expires: b.expires || a.expires,
+    properties: { ...a.properties, ...b.properties },
+    pricing: { ...a.pricing, ...b.pricing },
+    exclude: a.exclude || b.exclude
+  };
+}
+
+/**
+ * Loads the corrections for a dataset, keyed by stockcode. Expired entries are
+ * dropped, entries without a reason are warned about.
+ * @param {string} dataset e.g. "beer"
+ * @param {Date|string} date snapshot date, for expiry
+ * @param {object} [options] { dir: corrections directory, blacklistPath: defaults to
+ *   datasets_raw/blacklist.json, or <dir>/blacklist.json when dir is given }
+ * @returns {Promise<Map<string, {reasons: string[], expires: string|null, properties: object, pricing: object, exclude: boolean}>>}
+ */
+async function loadCorrections(dataset, date = new Date(), { dir = CORRECTIONS_DIR, blacklistPath } = {}) {
+  blacklistPath ||= dir === CORRECTIONS_DIR ? BLACKLIST_PATH : path.join(dir, 'blacklist.json');
+  const day = toDateString(date);
+  const entries = await readJSON(path.join(dir, `${dataset}.json`), []);
+  const blacklist = await readJSON(blacklistPath, []);
+
+  const corrections = new Map();
+  for (const entry of entries) {
+    if (!entry.stockcode) {
+      throw new Error(`Correction without a stockcode in datasets_corrections/${dataset}.json: ${JSON.stringify(entry)}`);
+    }
+    if (entry.expires && toDateString(entry.expires) <= day) {
+      console.warn(`Correction for stockcode ${entry.stockcode} expired on ${entry.expires}, ignoring it`);
+      continue;
+    }
+    if (!entry.reason) {
+      console.warn(`Correction for stockcode ${entry.stockcode} has no reason`);
+    }
+    const normalised = normaliseEntry(entry);
+    const existing = corrections.get(entry.stockcode);
+    corrections.set(entry.stockcode, existing ? mergeEntries(existing, normalised) : normalised);
+  }
+
+  for (const stockcode of blacklist) {
+    const blacklisted = normaliseEntry({ stockcode, reason: `Listed in ${path.relative(ROOT, blacklistPath)}`, exclude: true });
+    const existing = corrections.get(stockcode);
+    corrections.set(stockcode, existing ? mergeEntries(existing, blacklisted) : blacklisted);
+  }
+  return corrections;
+}
+
+/**
+ * Tracks which fields of one record were overridden.
+ * @param {object} [correction] entry from loadCorrections, if the stockcode has one
+ */
+function createCorrector(correction) {
+  const fields = [];
+  const apply = (group, field, value) => {
+    if (!correction || !(field in correction[group])) return value;
+    if (!fields.includes(field)) fields.push(field);
+    return correction[group][field];
+  };
+  return {
+    fields,
+    // Override for a cleaned property, or `value` if there isn't one.
+    property: (field, value) => apply('properties', field, value),
+    // Override for a pricing input, or `value` if there isn't one.
+    pricing: (field, value) => apply('pricing', field, value),
+    // Note for the output record, or undefined if nothing was corrected.
+    summary: () => (fields.length > 0 ? { fields: [...fields], reasons: correction.reasons } : undefined)
+  };
+}
+
+module.exports = { loadCorrections, createCorrector };
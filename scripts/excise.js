@@ -0,0 +1,143 @@
+// Alcohol tax per standard drink, driven by the dated rate table in excise_rates.json.
+//
+// Each row in the table applies to one product class from its `effective` date
+// until a later row for the same class replaces it. Excise is indexed to CPI
+// each February and August, so a new set of rows should be added at each
+// indexation date rather than editing the old ones. That keeps historical
+// snapshots taxed at the rates that applied on the day.
+//
+// The table only goes back to the 2024-02-05 indexation and has no later one
+// yet. A snapshot from before a class's first row, or from after an indexation
+// the table is missing, is taxed at the nearest row with a warning.
+//
+// Product classes:
+//  - beer_light, beer_mid, beer_full: packaged beer by strength band, taxed on
+//    the alcohol above the free threshold (1.15%). Only draught beer gets a lower
+//    mid-strength rate, packaged mid-strength beer pays the full-strength rate
+//  - spirits: spirits, taxed on all of the alcohol
+//  - oeb: "other excisable beverages" such as premix RTDs and flavoured cider and
+//    perry, taxed at the spirits rate
+//  - wet: wine equalisation tax for wine and plain cider and perry, a percentage of
+//    the wholesale value
+
+const { rows: RATE_ROWS } = require('./excise_rates.json');
+
+// Packaged beer strength bands, upper bound (inclusive) in % alc/vol.
+const BEER_BANDS = [
+  { max: 3, productClass: 'beer_light' },
+  { max: 3.5, productClass: 'beer_mid' },
+  { max: Infinity, productClass: 'beer_full' }
+];
+
+// Flavours that make a cider or perry an "other excisable beverage" rather than a
+// WET product, matched against the name. Apple and pear on their own don't count.
+const FLAVOURED_CIDER_PATTERN = /\b(strawberry|raspberry|berry|berries|blackberry|blackcurrant|cherry|lime|lemon|ginger|kiwi|passionfruit|mango|peach|pineapple|watermelon|elderflower|dark fruit|mixed fruit|tropical|ros[eé]|flavou?red|mixed)(?![a-z])/i;
+
+// Class/date pairs already warned about, so each is only logged once per run.
+const warnedFallbacks = new Set();
+
+// Excise (but not WET) is indexed on the first business day of February and
+// August, always within the first week of the month.
+const INDEXATION_MONTHS = [2, 8];
+const INDEXATION_LATEST_DAY = 7;
+
+// Retail prices include 10% GST, which WET is not charged on.
+const GST = 0.1;
+
+function roundTo(value, decimals) {
+  return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+// Accepts a Date or YYYY-MM-DD string and returns YYYY-MM-DD, throwing on anything else.
+function toDateString(date) {
+  const day = date instanceof Date && !isNaN(date) ? date.toISOString().slice(0, 10) : String(date).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(new Date(day))) {
+    throw new Error(`Invalid snapshot date ${date}, expected a Date or YYYY-MM-DD`);
+  }
+  return day;
+}
+
+/**
+ * Maps a category's excise type (see categories.js) to a product class.
+ * @param {string} excise "beer", "cider", "spirits", "oeb" or "wet"
+ * @param {number|null} percentage alcohol % by volume, only used for beer
+ * @param {string} [name] product name, only used for cider: flavoured cider and perry are "oeb"
+ */
+function productClass(excise, percentage, name = '') {
+  if (excise === 'cider') return FLAVOURED_CIDER_PATTERN.test(name || '') ? 'oeb' : 'wet';
+  if (excise !== 'beer') return excise;
+  return BEER_BANDS.find(band => (percentage || 0) <= band.max).productClass;
+}
+
+function warnOnce(key, message) {
+  if (warnedFallbacks.has(key)) return;
+  warnedFallbacks.add(key);
+  console.error(message);
+}
+
+// The last day a row can still be in force before the next indexation is due.
+function nextIndexation(effective) {
+  const [year, month] = effective.split('-').map(Number);
+  const next = INDEXATION_MONTHS.find(m => m > month);
+  const day = String(INDEXATION_LATEST_DAY).padStart(2, '0');
+  return next ? `${year}-${String(next).padStart(2, '0')}-${day}` : `${year + 1}-${String(INDEXATION_MONTHS[0]).padStart(2, '0')}-${day}`;
+}
+
+/**
+ * Finds the rate row in force for a product class on a date.
+ * Dates before the first row for the class fall back to that first row, and
+ * dates after an indexation missing from the table use the latest row, both with
+ * a warning.
+ * @param {string} cls product class, e.g. "beer_full"
+ * @param {Date|string} date snapshot date, invalid dates throw
+ */
+function findRate(cls, date) {
+  const day = toDateString(date);
+  const rows = RATE_ROWS
+    .filter(row => row.class === cls)
+    .sort((a, b) => a.effective.localeCompare(b.effective));
+  if (rows.length === 0) {
+    throw new Error(`No excise rates for product class "${cls}"`);
+  }
+  const inForce = rows.filter(row => row.effective <= day);
+  if (inForce.length === 0) {
+    warnOnce(`${cls}/${day}`, `No excise rate for ${cls} on ${day}, using earliest row ${rows[0].id}`);
+    return rows[0];
+  }
+  const row = inForce[inForce.length - 1];
+  if (row.basis === 'litre_alcohol' && row === rows[rows.length - 1] && day > nextIndexation(row.effective)) {
+    warnOnce(`${cls}/${day}`, `Excise rates for ${cls} end at ${row.id}, ${day} is after the indexation due in ${nextIndexation(row.effective).slice(0, 7)}`);
+  }
+  return row;
+}
+
+/**
+ * Alcohol tax per standard drink for one unit, rounded to cents.
+ *
+ * Volumetric rows tax the litres of alcohol above the row's free threshold.
+ * WET rows are charged on the wholesale value, which we don't know, so it is
+ * estimated from the GST-exclusive retail unit price. Treat it as an upper bound.
+ *
+ * @param {object} row rate row from findRate
+ * @param {object} product
+ * @param {number|null} product.percentage alcohol % by volume
+ * @param {number|null} product.sizeMl size of one unit in mL
+ * @param {number|null} product.standardDrinks standard drinks in one unit
+ * @param {number|null} [product.unitPrice] retail price of one unit, needed for WET
+ */
+function alcoholTaxCost(row, { percentage, sizeMl, standardDrinks, unitPrice = null }) {
+  if (!standardDrinks || standardDrinks <= 0) return 0;
+
+  if (row.basis === 'wholesale_value') {
+    if (!unitPrice) return 0;
+    const exGst = unitPrice / (1 + GST);
+    return roundTo((exGst * row.rate / (1 + row.rate)) / standardDrinks, 2);
+  }
+
+  const alcohol_fraction = percentage ? percentage / 100 : 0;
+  const taxable_alcohol_fraction = Math.max(alcohol_fraction - (row.free_threshold || 0) / 100, 0);
+  const taxable_volume = sizeMl ? (sizeMl / 1000) * taxable_alcohol_fraction : 0;
+  return roundTo((taxable_volume * row.rate) / standardDrinks, 2);
+}
+
+module.exports = { RATE_ROWS, productClass, findRate, alcoholTaxCost };
@@ -0,0 +1,325 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadCatalogue, getDataset } = require('./catalogue');
+const { isBuyable } = require('./availability');
+
+// Exports the cleaned datasets in flat formats for SQL and spreadsheets.
+//
+// Writes to the output directory (default exports/):
+//   cheap_beers.db          SQLite database with tables
+//                             products         one row per category and stockcode
+//                             pricing_options  one row per product and pricing group (case, pack_special, ...)
+//                             price_history    one row per series point of <category>_history.json, if there is one
+//                             columns          the name, type and meaning of every column above
+//   cheap_beers.sql         the SQL the database is built from
+//   products_pricing.csv    one row per product and pricing group, products and pricing columns side by side
+//   products_pricing.jsonl  the same rows as JSON Lines
+//   columns.json            the name, type and meaning of every column in every file
+//
+// The database is built with the sqlite3 command line tool, which is
+// preinstalled on most systems (and GitHub runners). Without it only
+// cheap_beers.sql is written, load it with `sqlite3 cheap_beers.db < cheap_beers.sql`.
+//
+// Usage: node scripts/export.js [--out dir] [--formats sqlite,csv,jsonl] [dataset ...]
+// Every dataset in the catalogue that has a cleaned file is exported by default.
+
+const CLEANED_DIR = path.join(__dirname, '..', 'datasets_cleaned');
+const EXPORT_DIR = path.join(__dirname, '..', 'exports');
+const DATABASE_NAME = 'cheap_beers.db';
+const SQL_NAME = 'cheap_beers.sql';
+const FLAT_NAME = 'products_pricing';
+const FORMATS = ['sqlite', 'csv', 'jsonl'];
+
+// Category-specific details (e.g. ibu, varietal) that aren't columns of their own.
+const CORE_PROPERTIES = [
+  'name', 'name_clean', 'brand', 'size_ml', 'size_clean', 'percentage_raw', 'standard_drinks_raw',
+  'standard_drinks_clean', 'vessel', 'image_url', 'rating', 'review_count', 'rating_adjusted', 'value_score',
+  'delivery_only', 'family_id', 'excise_rate'
+];
+
+// Style property of any category, e.g. beer_style or wine_style.
+function styleKey(properties) {
+  return Object.keys(properties).find(key => key.endsWith('_style'));
+}
+
+function extraDetails(properties) {
+  const style = styleKey(properties);
+  const details = Object.fromEntries(
+    Object.entries(properties).filter(([key, value]) => !CORE_PROPERTIES.includes(key) && key !== style && value !== null)
+  );
+  return Object.keys(details).length > 0 ? details : null;
+}
+
+// Columns of the products table, read from (category, record).
+const PRODUCT_COLUMNS = [
+  { name: 'category', type: 'TEXT', description: 'Dataset the product is from, e.g. beer', value: category => category },
+  { name: 'stockcode', type: 'TEXT', description: "The retailer's stockcode", value: (category, record) => record.stockcode },
+  // Records cleaned before there were other sources are all Dan Murphy's.
+  { name: 'source', type: 'TEXT', description: 'Retailer the product is from, e.g. danmurphys, see sources/', value: (category, record) => record.source || 'danmurphys' },
+  { name: 'name', type: 'TEXT', description: 'Product name as listed', value: (category, record) => record.properties.name },
+  { name: 'name_clean', type: 'TEXT', description: 'Name without size and pack details', value: (category, record) => record.properties.name_clean },
+  { name: 'brand', type: 'TEXT', description: 'Brand', value: (category, record) => record.properties.brand },
+  { name: 'size_ml', type: 'REAL', description: 'Serving size in mL as listed', value: (category, record) => record.properties.size_ml },
+  { name: 'size_clean', type: 'REAL', description: 'Serving size in mL, corrected from the name where the listing is wrong', value: (category, record) => record.properties.size_clean },
+  { name: 'percentage', type: 'REAL', description: 'Alcohol by volume, %', value: (category, record) => record.properties.percentage_raw },
+  { name: 'standard_drinks', type: 'REAL', description: 'Standard drinks per serving, calculated from size and ABV', value: (category, record) => record.properties.standard_drinks_clean },
+  { name: 'vessel', type: 'TEXT', description: 'can, bottle, longneck, cask, ... or empty when unknown', value: (category, record) => record.properties.vessel },
+  { name: 'style', type: 'TEXT', description: 'Style of the category, e.g. beer_style or wine_style', value: (category, record) => record.properties[styleKey(record.properties)] },
+  { name: 'rating', type: 'REAL', description: 'Average customer rating out of 5', value: (category, record) => record.properties.rating },
+  { name: 'review_count', type: 'INTEGER', description: 'Number of customer reviews behind the rating', value: (category, record) => record.properties.review_count },
+  { name: 'rating_adjusted', type: 'REAL', description: 'Rating blended with the dataset mean by review count, see value.js', value: (category, record) => record.properties.rating_adjusted },
+  { name: 'value_score', type: 'REAL', description: 'Value score out of 100 from adjusted rating, cost per standard drink and ABV, see value.js', value: (category, record) => record.properties.value_score },
+  { name: 'delivery_only', type: 'INTEGER', description: '1 if only sold online for delivery, 0 if also in store', value: (category, record) => record.properties.delivery_only },
+  { name: 'buyable', type: 'INTEGER', description: '1 if it can be ordered now, 0 if out of stock, not purchasable or coming soon', value: (category, record) => isBuyable(record.availability) },
+  { name: 'in_stock', type: 'INTEGER', description: '1 if in stock online, empty when unknown', value: (category, record) => record.availability?.in_stock },
+  { name: 'supply_limit', type: 'INTEGER', description: 'Most that can be bought in one order, empty when unlimited', value: (category, record) => record.availability?.supply_limit },
+  { name: 'family_id', type: 'TEXT', description: 'Same product across pack sizes and vessels, see families.js', value: (category, record) => record.properties.family_id },
+  { name: 'excise_rate', type: 'TEXT', description: 'Excise rate period and band used for the tax columns', value: (category, record) => record.properties.excise_rate },
+  { name: 'image_url', type: 'TEXT', description: 'Image file name', value: (category, record) => record.properties.image_url },
+  { name: 'details', type: 'TEXT', description: 'Other category-specific properties (e.g. ibu, varietal) as a JSON object', value: (category, record) => extraDetails(record.properties) }
+];
+
+// Columns of the pricing_options table, read from (group, pricing).
+const PRICING_COLUMNS = [
+  { name: 'pricing_group', type: 'TEXT', description: 'case, pack or single, with _special for promotional prices', value: group => group },
+  { name: 'total_price', type: 'REAL', description: 'Price of the option in dollars', value: (group, pricing) => pricing.total_price },
+  { name: 'units', type: 'INTEGER', description: 'Cans, bottles or serves the price buys', value: (group, pricing) => pricing.units },
+  { name: 'unit_price', type: 'REAL', description: 'Price per unit in dollars', value: (group, pricing) => pricing.unit_price },
+  { name: 'cost_per_standard', type: 'REAL', description: 'Price per standard drink in dollars', value: (group, pricing) => pricing.cost_per_standard },
+  { name: 'alcohol_tax_cost', type: 'REAL', description: 'Excise or WET per unit in dollars', value: (group, pricing) => pricing.alcohol_tax_cost },
+  { name: 'alcohol_tax_percent', type: 'REAL', description: 'Excise or WET as a percentage of the unit price', value: (group, pricing) => pricing.alcohol_tax_percent },
+  { name: 'promo_type', type: 'TEXT', description: 'multi_buy, member_only, price_drop or any_n, see promotions.js', value: (group, pricing) => pricing.promo?.type },
+  { name: 'promo_quantity', type: 'INTEGER', description: 'How many of the promotion pack type must be bought', value: (group, pricing) => pricing.promo?.quantity },
+  { name: 'promo_member_only', type: 'INTEGER', description: '1 if only members get the price', value: (group, pricing) => pricing.promo?.member_only },
+  { name: 'promo_limit', type: 'INTEGER', description: 'Most that can be bought at the price, empty when unlimited', value: (group, pricing) => pricing.promo?.limit }
+];
+
+// Columns of the price_history table, read from (group, point).
+const HISTORY_COLUMNS = [
+  { name: 'pricing_group', type: 'TEXT', description: 'case, pack or single, with _special for promotional prices', value: group => group },
+  { name: 'date', type: 'TEXT', description: 'Snapshot date the price was first seen, YYYY-MM-DD', value: (group, point) => point.date },
+  { name: 'cost_per_standard', type: 'REAL', description: 'Price per standard drink in dollars, empty when the group stopped being listed', value: (group, point) => point.cost_per_standard },
+  { name: 'unit_price', type: 'REAL', description: 'Price per unit in dollars, empty when the group stopped being listed', value: (group, point) => point.unit_price }
+];
+
+const KEY_COLUMNS = PRODUCT_COLUMNS.slice(0, 2);
+
+const TABLES = {
+  products: { columns: PRODUCT_COLUMNS, primaryKey: ['category', 'stockcode'] },
+  pricing_options: { columns: [...KEY_COLUMNS, ...PRICING_COLUMNS], primaryKey: ['category', 'stockcode', 'pricing_group'] },
+  price_history: { columns: [...KEY_COLUMNS, ...HISTORY_COLUMNS], primaryKey: ['category', 'stockcode', 'pricing_group', 'date'] }
+};
+
+const FLAT_COLUMNS = [...PRODUCT_COLUMNS, ...PRICING_COLUMNS];
+
+/**
+ * Name, type and description of every exported column.
+ * @returns {Array<{table, column, type, description}>} the flat files are table "products_pricing"
+ */
+function describeColumns() {
+  const tables = { ...TABLES, [FLAT_NAME]: { columns: FLAT_COLUMNS } };
+  return Object.entries(tables).flatMap(([table, { columns }]) =>
+    columns.map(({ name, type, description }) => ({ table, column: name, type, description }))
+  );
+}
+
+// Column value as stored: booleans become 1/0 and objects JSON text.
+function toCell(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function readRow(columns, ...args) {
+  return Object.fromEntries(columns.map(column => [column.name, toCell(column.value(...args))]));
+}
+
+/**
+ * Rows of every table for one dataset.
+ * @param {string} category dataset name
+ * @param {Array} records cleaned records
+ * @param {object|null} history <category>_history.json, see history.js
+ * @returns {{products: Array, pricing_options: Array, price_history: Array, flat: Array}}
+ */
+function buildRows(category, records, history = null) {
+  const rows = { products: [], pricing_options: [], price_history: [], flat: [] };
+  for (const record of records) {
+    const product = readRow(PRODUCT_COLUMNS, category, record);
+    rows.products.push(product);
+    for (const [group, pricing] of Object.entries(record.pricing || {})) {
+      const option = readRow(PRICING_COLUMNS, group, pricing);
+      rows.pricing_options.push({ category, stockcode: record.stockcode, ...option });
+      rows.flat.push({ ...product, ...option });
+    }
+  }
+  for (const [stockcode, entry] of Object.entries(history ? history.products : {})) {
+    for (const [group, groupHistory] of Object.entries(entry.groups)) {
+      for (const point of groupHistory.series) {
+        rows.price_history.push({ category, stockcode, ...readRow(HISTORY_COLUMNS, group, point) });
+      }
+    }
+  }
+  return rows;
+}
+
+function sqlValue(value) {
+  if (value === null) return 'NULL';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * SQL script that creates and fills every table.
+ * @param {{products: Array, pricing_options: Array, price_history: Array}} rows
+ * @returns {string}
+ */
+function toSQL(rows) {
+  const lines = ['BEGIN TRANSACTION;'];
+  for (const [table, { columns, primaryKey }] of Object.entries(TABLES)) {
+    const definitions = columns.map(({ name, type }) => `  ${name} ${type}`);
+    lines.push(`CREATE TABLE ${table} (\n${definitions.join(',\n')},\n  PRIMARY KEY (${primaryKey.join(', ')})\n);`);
+    for (const row of rows[table]) {
+      lines.push(`INSERT INTO ${table} VALUES (${columns.map(({ name }) => sqlValue(row[name])).join(', ')});`);
+    }
+  }
+  lines.push('CREATE TABLE columns (table_name TEXT, column_name TEXT, type TEXT, description TEXT);');
+  for (const { table, column, type, description } of describeColumns()) {
+    if (table === FLAT_NAME) continue;
+    lines.push(`INSERT INTO columns VALUES (${[table, column, type, description].map(sqlValue).join(', ')});`);
+  }
+  lines.push('COMMIT;');
+  return lines.join('\n') + '\n';
+}
+
+function csvValue(value) {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header row, in FLAT_COLUMNS order.
+ * @param {Array} rows flat rows from buildRows
+ */
+function toCSV(rows) {
+  const names = FLAT_COLUMNS.map(column => column.name);
+  const lines = [names.join(',')];
+  for (const row of rows) lines.push(names.map(name => csvValue(row[name])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+function toJSONL(rows) {
+  return rows.map(row => JSON.stringify(row) + '\n').join('');
+}
+
+// Builds the database from the SQL script with the sqlite3 CLI, false if it isn't installed.
+async function writeDatabase(file, sql) {
+  await fs.rm(file, { force: true });
+  const result = spawnSync('sqlite3', [file], { input: sql, encoding: 'utf8' });
+  if (result.error && result.error.code === 'ENOENT') return false;
+  if (result.error) throw result.error;
+  if (result.status !== 0) throw new Error(`sqlite3 failed: ${result.stderr.trim()}`);
+  return true;
+}
+
+// Throws for formats other than FORMATS, before anything is read or written.
+function checkFormats(formats) {
+  const unknown = formats.filter(format => !FORMATS.includes(format));
+  if (unknown.length > 0 || formats.length === 0) {
+    throw new Error(`Unknown format ${unknown.map(format => JSON.stringify(format)).join(', ') || '(none given)'}, expected a comma separated list of ${FORMATS.join(', ')}`);
+  }
+}
+
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Exports cleaned datasets.
+ * @param {string[]} datasets dataset names, those without a cleaned file are skipped
+ * @param {object} [options] { outDir, cleanedDir, formats: subset of ['sqlite', 'csv', 'jsonl'] }
+ * @returns {Promise<{datasets: string[], products: number, rows: number, files: string[]}>}
+ * @throws for an unknown format
+ */
+async function exportDatasets(datasets, { outDir = EXPORT_DIR, cleanedDir = CLEANED_DIR, formats = FORMATS } = {}) {
+  checkFormats(formats);
+  const rows = { products: [], pricing_options: [], price_history: [], flat: [] };
+  const exported = [];
+  for (const dataset of datasets) {
+    const records = await readJSON(path.join(cleanedDir, `${dataset}.json`));
+    if (!records) {
+      console.warn(`No cleaned ${dataset} dataset, skipping`);
+      continue;
+    }
+    const history = await readJSON(path.join(cleanedDir, `${dataset}_history.json`));
+    const datasetRows = buildRows(dataset, records, history);
+    for (const table of Object.keys(rows)) rows[table].push(...datasetRows[table]);
+    exported.push(dataset);
+  }
+
+  await fs.mkdir(outDir, { recursive: true });
+  const files = [];
+  const write = async (name, content) => {
+    await fs.writeFile(path.join(outDir, name), content);
+    files.push(name);
+  };
+  if (formats.includes('sqlite')) {
+    const sql = toSQL(rows);
+    await write(SQL_NAME, sql);
+    if (await writeDatabase(path.join(outDir, DATABASE_NAME), sql)) {
+      files.push(DATABASE_NAME);
+    } else {
+      console.warn(`sqlite3 is not installed, only ${SQL_NAME} was written`);
+    }
+  }
+  if (formats.includes('csv')) await write(`${FLAT_NAME}.csv`, toCSV(rows.flat));
+  if (formats.includes('jsonl')) await write(`${FLAT_NAME}.jsonl`, toJSONL(rows.flat));
+  await write('columns.json', JSON.stringify(describeColumns(), null, 2) + '\n');
+
+  return { datasets: exported, products: rows.products.length, rows: rows.flat.length, files };
+}
+
+function parseArgs(args) {
+  const options = { datasets: [], formats: FORMATS, outDir: EXPORT_DIR };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--out' || arg === '--formats') {
+      if (args[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      const value = args[++i];
+      if (arg === '--out') {
+        options.outDir = value;
+      } else {
+        options.formats = value.split(',');
+        checkFormats(options.formats);
+      }
+    } else {
+      options.datasets.push(arg);
+    }
+  }
+  return options;
+}
+
+module.exports = { FORMATS, checkFormats, describeColumns, buildRows, toSQL, toCSV, toJSONL, exportDatasets };
+
+if (require.main === module) {
+  const run = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const catalogue = loadCatalogue();
+    const datasets = options.datasets.length > 0
+      ? options.datasets.map(name => getDataset(name, catalogue).name)
+      : Object.keys(catalogue);
+    const result = await exportDatasets(datasets, options);
+    console.log(`Exported ${result.products} products (${result.rows} pricing options) from ${result.datasets.join(', ')} to ${options.outDir}: ${result.files.join(', ')}`);
+  };
+  run().catch(err => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
+}
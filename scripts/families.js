@@ -0,0 +1,140 @@
+// Groups the stockcodes of one product across pack sizes and vessels.
+//
+// A 6-pack of cans, a 30 block and a longneck of the same beer are separate
+// stockcodes whose names differ slightly ("Hahn SuperDry 30 Block" vs
+// "Hahn Super Dry Cans 375mLx30"). Records with the same brand, normalised
+// name and ABV get the same `family_id`, and transform_raw.js writes an index
+// of the families to datasets_cleaned/<dataset>_families.json with the
+// cheapest option per vessel.
+//
+// A correction can set `family_id` to join a product to a family the name
+// doesn't match (see corrections.js).
+
+// Words that describe the format rather than the product.
+const FORMAT_WORDS = /\b(?:cans?|cn|bottles?|btls?|bt|longnecks?|stubbies|stubby|twist tops?|block|pack|pk|case|carton|slab|each)\b/g;
+// Words a name may or may not include, e.g. "Tooheys New" vs "Tooheys New Lager".
+const FILLER_WORDS = /\b(?:beer|lager|lgr)\b/g;
+// Sizes, e.g. "375mL", "6x330mL", "4X4X375ml", "375mLx30", "1.25L".
+const SIZE_WORDS = /\b\d+(?:\.\d+)?(?:\s*x\s*\d+)*\s*(?:ml|m|l)(?=\s*x|\b)(?:\s*x\s*\d+)*/g;
+// Pack counts, e.g. the 30 in "30 Block" or the 10 in "10 Pack".
+const COUNT_WORDS = /\b\d+\s*(?=(?:block|pack|pk|case|cans|bottles)\b)/g;
+// ABV in the name, e.g. "3.5%", "3.5 %", "3.5pct" or a bare "3.5".
+const ABV_WORDS = /\d+(?:\.\d+)?\s*(?:%|pct\b|prt\b|p\b)|\b\d+\.\d+\b(?!\s*m?l\b)/g;
+// Brewery suffixes that come and go, e.g. "Great Northern Brewing Co." vs "Great Northern".
+const BREWERY_WORDS = /\b(?:brewing|brewery|brewers|company|co)\b/g;
+
+/**
+ * Name reduced to the words that identify the product.
+ * @param {string} name e.g. "Great Northern Brewing Co. Super Crisp 3.5% Lager Cans 375mLx6"
+ * @returns {string} e.g. "great northern super crisp lager"
+ */
+function normaliseName(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]|\.(?!\d)/g, '')
+    .replace(ABV_WORDS, ' ')
+    .replace(/[^a-z0-9.]+/g, ' ')
+    // "Cn4x4x375mL" has no space before the size.
+    .replace(/([a-z])(\d)/g, '$1 $2')
+    .replace(SIZE_WORDS, ' ')
+    .replace(COUNT_WORDS, ' ')
+    .replace(FORMAT_WORDS, ' ')
+    .replace(BREWERY_WORDS, ' ')
+    .replace(FILLER_WORDS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Letters and digits only, so "super dry" and "superdry" compare equal.
+function squash(text) {
+  return text.replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Family of a cleaned record, from its brand, name and ABV.
+ * @param {object} properties cleaned record properties
+ * @returns {string} e.g. "greatnorthernsupercrisplager-3.5"
+ */
+function familyId(properties) {
+  const brand = squash(normaliseName(properties.brand));
+  let name = squash(normaliseName(properties.name_clean || properties.name));
+  if (brand && !name.startsWith(brand)) name = brand + name;
+  const abv = properties.percentage_raw !== null && properties.percentage_raw !== undefined
+    ? Math.round(properties.percentage_raw * 10) / 10
+    : 'na';
+  return `${name}-${abv}`;
+}
+
+/**
+ * Sets properties.family_id on every record that doesn't have one yet.
+ * @param {Array} records cleaned records ({stockcode, properties, pricing})
+ */
+function assignFamilies(records) {
+  for (const record of records) {
+    if (!record.properties.family_id) {
+      record.properties.family_id = familyId(record.properties);
+    }
+  }
+}
+
+// Cheapest pricing group of a record, by cost per standard drink.
+function cheapestGroup(record) {
+  let cheapest = null;
+  for (const [group, pricing] of Object.entries(record.pricing)) {
+    if (!cheapest || pricing.cost_per_standard < cheapest.cost_per_standard) {
+      cheapest = {
+        stockcode: record.stockcode,
+        group,
+        cost_per_standard: pricing.cost_per_standard,
+        unit_price: pricing.unit_price,
+        member_only: pricing.promo ? pricing.promo.member_only : false
+      };
+    }
+  }
+  return cheapest;
+}
+
+/**
+ * Index of the families, sorted by family_id.
+ * @param {Array} records cleaned records with properties.family_id set
+ * @returns {Array<{family_id, name, brand, percentage, members, cheapest, cheapest_by_vessel}>}
+ *   where name is the shortest name_clean of the members, members their
+ *   stockcodes and cheapest_by_vessel the cheapest option for each vessel.
+ */
+function buildFamilyIndex(records) {
+  const families = new Map();
+  for (const record of records) {
+    const { family_id, name_clean, brand, percentage_raw, vessel } = record.properties;
+    const family = families.get(family_id) || {
+      family_id,
+      name: name_clean,
+      brand,
+      percentage: percentage_raw,
+      members: [],
+      cheapest: null,
+      cheapest_by_vessel: {}
+    };
+    if (name_clean && name_clean.length < family.name.length) family.name = name_clean;
+    family.members.push(record.stockcode);
+
+    const cheapest = cheapestGroup(record);
+    if (cheapest) {
+      const key = vessel || 'unknown';
+      const current = family.cheapest_by_vessel[key];
+      if (!current || cheapest.cost_per_standard < current.cost_per_standard) {
+        family.cheapest_by_vessel[key] = cheapest;
+      }
+      if (!family.cheapest || cheapest.cost_per_standard < family.cheapest.cost_per_standard) {
+        family.cheapest = { ...cheapest, vessel };
+      }
+    }
+    families.set(family_id, family);
+  }
+
+  return [...families.values()]
+    .map(family => ({ ...family, members: family.members.sort() }))
+    .sort((a, b) => a.family_id.localeCompare(b.family_id));
+}
+
+module.exports = { normaliseName, familyId, assignFamilies, buildFamilyIndex };
@@ -0,0 +1,56 @@
+// Concurrency limit and retries for the scraper's API requests.
+
+/**
+ * Runs callback-style tasks with at most `concurrency` in flight at once.
+ * Each task is called with a `done` function it must call when finished.
+ * @param {number} concurrency
+ */
+function createQueue(concurrency) {
+  let active = 0;
+  const pending = [];
+
+  function next() {
+    while (active < concurrency && pending.length > 0) {
+      const task = pending.shift();
+      active++;
+      task(() => {
+        active--;
+        next();
+      });
+    }
+  }
+
+  return {
+    push(task) {
+      pending.push(task);
+      next();
+    },
+  };
+}
+
+/**
+ * Calls `attempt` until it succeeds or runs out of retries, waiting
+ * backoffMs, 2 * backoffMs, 4 * backoffMs, ... between tries.
+ * @param {function} attempt (callback) => void, callback is (err, result)
+ * @param {object} options
+ * @param {number} options.retries retries after the first try
+ * @param {number} options.backoffMs delay before the first retry
+ * @param {function} [options.onRetry] (err, tryNumber, delay) => void, for logging
+ * @param {function} callback (err, result) with the last error if every try failed
+ */
+function withRetries(attempt, { retries, backoffMs, onRetry }, callback) {
+  let tries = 0;
+  function run() {
+    attempt((err, result) => {
+      if (!err) return callback(null, result);
+      if (tries >= retries) return callback(err);
+      const delay = backoffMs * Math.pow(2, tries);
+      tries++;
+      if (onRetry) onRetry(err, tries, delay);
+      setTimeout(run, delay);
+    });
+  }
+  run();
+}
+
+module.exports = { createQueue, withRetries };
@@ -0,0 +1,209 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Price history per stockcode and pricing group, built from cleaned snapshots.
+//
+// datasets_cleaned/<category>_history.json looks like:
+// {
+//   "updated": "2024-05-02",
+//   "products": {
+//     "<stockcode>": {
+//       "name_clean": "...",
+//       "groups": {
+//         "case": {
+//           "first_seen": "2024-05-01",
+//           "last_seen": "2024-05-02",
+//           "current": 1.48,       // null once the group is no longer listed
+//           "min": { "cost_per_standard": 1.40, "date": "2024-05-01" },
+//           "max": { "cost_per_standard": 1.48, "date": "2024-05-02" },
+//           "series": [{ "date": "2024-05-01", "cost_per_standard": 1.40, "unit_price": 1.40 }, ...]
+//         }
+//       }
+//     }
+//   }
+// }
+//
+// A series point is only added when the price changes, plus a null point when a
+// group stops being listed (e.g. a special ends), so charts can show the gap.
+
+const CLEANED_DIR = path.join(__dirname, '..', 'datasets_cleaned');
+
+function emptyHistory() {
+  return { updated: null, products: {} };
+}
+
+// Matches <category>_YYYY-MM-DD.json and captures the date.
+function snapshotPattern(category) {
+  const escaped = category.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped}_(\\d{4}-\\d{2}-\\d{2})\\.json$`);
+}
+
+function toDateString(date) {
+  if (date instanceof Date) return date.toISOString().slice(0, 10);
+  return String(date).slice(0, 10);
+}
+
+// Adds a series point, replacing the last one if it is from the same day.
+function pushPoint(series, point) {
+  const last = series[series.length - 1];
+  if (last && last.date === point.date) {
+    series[series.length - 1] = point;
+    // Drop the point again if it now repeats the one before.
+    const previous = series[series.length - 2];
+    if (previous && previous.cost_per_standard === point.cost_per_standard && previous.unit_price === point.unit_price) {
+      series.pop();
+    }
+    return;
+  }
+  if (last && last.cost_per_standard === point.cost_per_standard && last.unit_price === point.unit_price) return;
+  series.push(point);
+}
+
+/**
+ * Merges one cleaned snapshot into the history, in place.
+ * Snapshots must be applied in date order, older ones are skipped.
+ * @param {object} history history object, see top of file
+ * @param {Array} records cleaned records ({stockcode, properties, pricing})
+ * @param {Date|string} date date the snapshot was taken
+ * @returns {boolean} false if the snapshot was older than the history and skipped
+ */
+function applySnapshot(history, records, date) {
+  const day = toDateString(date);
+  if (history.updated && day < history.updated) {
+    console.error(`Skipping snapshot for ${day}, history is already at ${history.updated}`);
+    return false;
+  }
+
+  const seen = new Set();
+  for (const record of records) {
+    const product = history.products[record.stockcode] ||= { name_clean: null, groups: {} };
+    product.name_clean = record.properties?.name_clean ?? product.name_clean;
+
+    for (const [key, group] of Object.entries(record.pricing || {})) {
+      const cost = group.cost_per_standard;
+      if (cost === null || cost === undefined) continue;
+      seen.add(`${record.stockcode}/${key}`);
+
+      const entry = product.groups[key] ||= {
+        first_seen: day,
+        last_seen: day,
+        current: null,
+        min: null,
+        max: null,
+        series: []
+      };
+      entry.last_seen = day;
+      entry.current = cost;
+      if (!entry.min || cost < entry.min.cost_per_standard) entry.min = { cost_per_standard: cost, date: day };
+      if (!entry.max || cost > entry.max.cost_per_standard) entry.max = { cost_per_standard: cost, date: day };
+      pushPoint(entry.series, { date: day, cost_per_standard: cost, unit_price: group.unit_price });
+    }
+  }
+
+  // Close off groups that were listed before but are missing from this snapshot.
+  for (const [stockcode, product] of Object.entries(history.products)) {
+    for (const [key, entry] of Object.entries(product.groups)) {
+      if (seen.has(`${stockcode}/${key}`) || entry.current === null) continue;
+      entry.current = null;
+      pushPoint(entry.series, { date: day, cost_per_standard: null, unit_price: null });
+    }
+  }
+
+  history.updated = day;
+  return true;
+}
+
+/**
+ * Lowest cost_per_standard for a group since a date, e.g. for "lowest price in 90 days".
+ * @param {object} entry group history entry
+ * @param {Date|string} since start date (inclusive)
+ * @returns {number|null}
+ */
+function lowestSince(entry, since) {
+  const day = toDateString(since);
+  let lowest = null;
+  entry.series.forEach((point, i) => {
+    // A point applies until the next one, so include the one in force at `since`.
+    const next = entry.series[i + 1];
+    if (next && next.date <= day) return;
+    if (point.cost_per_standard === null) return;
+    if (lowest === null || point.cost_per_standard < lowest) lowest = point.cost_per_standard;
+  });
+  return lowest;
+}
+
+async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+/**
+ * Adds today's (or the given date's) cleaned dataset to datasets_cleaned/<category>_history.json.
+ * @param {string} category e.g. "beer"
+ * @param {Date|string} date snapshot date
+ * @param {string} [dir] directory of the cleaned dataset and its history, defaults to datasets_cleaned
+ */
+async function updateHistory(category, date = new Date(), dir = CLEANED_DIR) {
+  const historyPath = path.join(dir, `${category}_history.json`);
+  const history = await readJSON(historyPath, emptyHistory());
+  const records = JSON.parse(await fs.readFile(path.join(dir, `${category}.json`), 'utf8'));
+  applySnapshot(history, records, date);
+  await fs.writeFile(historyPath, JSON.stringify(history), 'utf8');
+  console.log(`History for ${Object.keys(history.products).length} products written to ${historyPath}`);
+}
+
+/**
+ * Rebuilds datasets_cleaned/<category>_history.json from a directory of saved
+ * cleaned snapshots named <category>_YYYY-MM-DD.json, e.g. beer_2024-05-01.json.
+ * Other files, including other categories' snapshots, are ignored.
+ * @param {string} category e.g. "beer"
+ * @param {string} dir directory holding the snapshots
+ * @param {string} [outDir] where the history is written, defaults to datasets_cleaned
+ */
+async function rebuildHistory(category, dir, outDir = CLEANED_DIR) {
+  const pattern = snapshotPattern(category);
+  const snapshots = (await fs.readdir(dir))
+    .map(file => ({ file, match: file.match(pattern) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ file, date: match[1] }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (snapshots.length === 0) {
+    throw new Error(`No dated ${category} snapshots found in ${dir}`);
+  }
+  snapshots.forEach((snapshot, i) => {
+    if (i > 0 && snapshot.date === snapshots[i - 1].date) {
+      throw new Error(`${snapshots[i - 1].file} and ${snapshot.file} are both snapshots for ${snapshot.date}`);
+    }
+  });
+
+  const history = emptyHistory();
+  for (const { file, date } of snapshots) {
+    const records = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+    applySnapshot(history, records, date);
+    console.log(`Applied ${file}`);
+  }
+
+  const historyPath = path.join(outDir, `${category}_history.json`);
+  await fs.writeFile(historyPath, JSON.stringify(history), 'utf8');
+  console.log(`History rebuilt from ${snapshots.length} snapshots to ${historyPath}`);
+}
+
+module.exports = { applySnapshot, lowestSince, updateHistory, rebuildHistory };
+
+// Usage:
+//   node scripts/history.js [category] [YYYY-MM-DD]     add the current cleaned dataset
+//   node scripts/history.js [category] --rebuild <dir>  rebuild from saved snapshots
+if (require.main === module) {
+  const [category = 'beer', option, dir] = process.argv.slice(2);
+  const run = option === '--rebuild'
+    ? rebuildHistory(category, dir)
+    : updateHistory(category, option || new Date());
+  run.catch(err => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
+}
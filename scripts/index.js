@@ -0,0 +1,98 @@
+// Library entry point, `require('./scripts')`.
+//
+// Nothing here touches the network or the files when it is required: the
+// pure functions clean and price single records, and the pipeline steps
+// (fetchDatasets, processDataset, validateStage, exportDatasets, ...) take
+// their input and output directories as options. scripts/cli.js runs the steps
+// from the command line.
+
+const { loadCatalogue, getDataset } = require('./catalogue');
+const { CATEGORIES, getCategory } = require('./categories');
+const { processBundle, fetchDatasets } = require('./api');
+const { readSnapshot, storeSnapshot } = require('./raw_store');
+const { SOURCES, getSource } = require('./sources');
+const { cleanNameAndVessel, processBeerRecord } = require('./transform');
+const { toLegacyFormat, compareLegacy } = require('./legacy');
+const {
+  cleanName,
+  findVessel,
+  findNameSize,
+  inferPercentage,
+  inferSize,
+  inferStandardDrinks,
+  calcPricing,
+  combineBundle,
+  cleanRecord,
+  transformRecords,
+  processDataset
+} = require('./transform_raw');
+const { productClass, findRate, alcoholTaxCost } = require('./excise');
+const { parsePromotion } = require('./promotions');
+const { readAvailability, isBuyable } = require('./availability');
+const { bayesianRating, assignValueScores, buildBestValue } = require('./value');
+const { loadCorrections } = require('./corrections');
+const { familyId, buildFamilyIndex } = require('./families');
+const { validateRecords, validateStage } = require('./validate');
+const { applySnapshot, updateHistory, rebuildHistory } = require('./history');
+const { diffDatasets, writeChangelog } = require('./changelog');
+const { loadWatchlists, findAlerts, toAtom, writeAlerts } = require('./alerts');
+const { exportDatasets } = require('./export');
+const { optimiseBasket } = require('./basket');
+
+module.exports = {
+  // Catalogue and category rules
+  loadCatalogue,
+  getDataset,
+  CATEGORIES,
+  getCategory,
+  // Fetching
+  SOURCES,
+  getSource,
+  processBundle,
+  fetchDatasets,
+  readSnapshot,
+  storeSnapshot,
+  // Cleaning
+  cleanNameAndVessel,
+  processBeerRecord,
+  cleanName,
+  findVessel,
+  findNameSize,
+  inferPercentage,
+  inferSize,
+  inferStandardDrinks,
+  calcPricing,
+  combineBundle,
+  cleanRecord,
+  transformRecords,
+  processDataset,
+  parsePromotion,
+  readAvailability,
+  isBuyable,
+  bayesianRating,
+  assignValueScores,
+  buildBestValue,
+  loadCorrections,
+  familyId,
+  buildFamilyIndex,
+  // Excise
+  productClass,
+  findRate,
+  alcoholTaxCost,
+  // Checking and reporting
+  validateRecords,
+  validateStage,
+  applySnapshot,
+  updateHistory,
+  rebuildHistory,
+  diffDatasets,
+  writeChangelog,
+  loadWatchlists,
+  findAlerts,
+  toAtom,
+  writeAlerts,
+  exportDatasets,
+  toLegacyFormat,
+  compareLegacy,
+  optimiseBasket
+};
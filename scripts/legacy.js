@@ -0,0 +1,200 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { transformBeers } = require('./transform');
+
+// The legacy flat format (datasets_cleaned/beer_cleaned.json), one row per
+// product and package, made from the cleaned {stockcode, properties, pricing}
+// records so transform_raw.js is the only place the data is worked out.
+//
+// Each pricing group becomes a row: case, pack and single with `special` set
+// for the _special groups. Rows keep the old rules of transform.js: nothing at
+// 50c or less per standard drink and no ciders. `online_only` is set for
+// delivery-only products.
+//
+// Unlike transform.js, there are no rows for marketplace products (stockcodes
+// starting "ER", sold by other sellers and marked `online_only` there): the
+// Dan Murphy's adapter leaves them out of the cleaned records.
+//
+// compareLegacy lists every stockcode where the rows of scripts/transform.js
+// and these rows disagree, to check the switch-over. Until they agree the
+// workflow still writes beer_cleaned.json with transform.js.
+//
+// Usage: node scripts/legacy.js [cleaned input] [output], or `node scripts/cli.js legacy`
+// and `node scripts/cli.js parity`.
+
+const RAW_DIR = path.join(__dirname, '..', 'datasets_raw');
+const CLEANED_DIR = path.join(__dirname, '..', 'datasets_cleaned');
+const INPUT_PATH = path.join(CLEANED_DIR, 'beer.json');
+const OUTPUT_PATH = path.join(CLEANED_DIR, 'beer_cleaned.json');
+const LEGACY_INPUT_PATH = path.join(RAW_DIR, 'beer.json');
+
+// Smallest cost per standard drink a row may have, lower prices were parsing mistakes.
+const MIN_COST_PER_STANDARD = 0.5;
+
+// Stockcodes of marketplace products, which only transform.js has rows for.
+const MARKETPLACE_PATTERN = /^ER/;
+
+// Fields of a row that compareLegacy checks, other than the key.
+const COMPARED_FIELDS = [
+  'name', 'name_clean', 'percentage', 'size', 'standard_drinks', 'package_size', 'total_price',
+  'unit_price', 'cost_per_standard', 'online_only', 'vessel', 'alcohol_tax_cost', 'alcohol_tax_percent'
+];
+
+/**
+ * Legacy rows of one cleaned record.
+ * @param {object} record cleaned record ({stockcode, properties, pricing})
+ * @returns {Array} rows as written to beer_cleaned.json, none for ciders and implausibly cheap prices
+ */
+function toLegacyRows(record) {
+  const p = record.properties;
+  return Object.entries(record.pricing)
+    .map(([group, pricing]) => ({
+      name: p.name,
+      name_clean: p.name_clean,
+      stockcode: record.stockcode,
+      percentage: p.percentage_raw,
+      size: p.size_clean,
+      standard_drinks: p.standard_drinks_clean,
+      special: group.endsWith('_special'),
+      package: group.replace(/_special$/, ''),
+      package_size: pricing.units,
+      total_price: pricing.total_price,
+      unit_price: pricing.unit_price,
+      cost_per_standard: pricing.cost_per_standard,
+      ...(p.delivery_only ? { online_only: true } : {}),
+      ...(p.vessel ? { vessel: p.vessel } : {}),
+      alcohol_tax_cost: pricing.alcohol_tax_cost,
+      alcohol_tax_percent: pricing.alcohol_tax_percent
+    }))
+    .filter(row =>
+      row.total_price > 0 &&
+      row.package_size > 0 &&
+      row.standard_drinks > 0 &&
+      row.cost_per_standard > MIN_COST_PER_STANDARD &&
+      !/cider/i.test(row.name)
+    );
+}
+
+/**
+ * Legacy rows of a cleaned dataset, sorted by stockcode, then package_size,
+ * then with special rows first, as transform.js sorted them.
+ * @param {Array} records cleaned records
+ * @returns {Array}
+ */
+function toLegacyFormat(records) {
+  return records.flatMap(toLegacyRows).sort((a, b) => {
+    if (a.stockcode < b.stockcode) return -1;
+    if (a.stockcode > b.stockcode) return 1;
+    if (a.package_size < b.package_size) return -1;
+    if (a.package_size > b.package_size) return 1;
+    return a.special === b.special ? 0 : (a.special ? -1 : 1);
+  });
+}
+
+// Rows of a stockcode keyed by package, with "_special" for special rows, e.g. "pack_special".
+function rowsByStockcode(rows) {
+  const stockcodes = new Map();
+  for (const row of rows) {
+    const key = row.special ? `${row.package}_special` : row.package;
+    if (!stockcodes.has(row.stockcode)) stockcodes.set(row.stockcode, new Map());
+    stockcodes.get(row.stockcode).set(key, row);
+  }
+  return stockcodes;
+}
+
+/**
+ * Every stockcode where two sets of legacy rows disagree.
+ * Marketplace stockcodes only the old rows have are counted apart, as
+ * `marketplace`, since the new rows leave them out on purpose.
+ * @param {Array} oldRows rows from transform.js
+ * @param {Array} newRows rows from toLegacyFormat
+ * @returns {{stockcodes: number, matching: number, marketplace: number, counts: object, disagreements: Array}}
+ *   counts by field (or only_old / only_new for rows only one side has), and for
+ *   each other stockcode that disagrees its name and differences
+ */
+function compareLegacy(oldRows, newRows) {
+  const before = rowsByStockcode(oldRows);
+  const after = rowsByStockcode(newRows);
+  const stockcodes = [...new Set([...before.keys(), ...after.keys()])].sort();
+  const counts = {};
+  const disagreements = [];
+  let marketplace = 0;
+  const count = key => { counts[key] = (counts[key] || 0) + 1; };
+
+  for (const stockcode of stockcodes) {
+    const oldGroups = before.get(stockcode) || new Map();
+    const newGroups = after.get(stockcode) || new Map();
+    if (MARKETPLACE_PATTERN.test(stockcode) && newGroups.size === 0) {
+      marketplace++;
+      continue;
+    }
+    const differences = [];
+    for (const key of [...new Set([...oldGroups.keys(), ...newGroups.keys()])].sort()) {
+      const oldRow = oldGroups.get(key);
+      const newRow = newGroups.get(key);
+      if (!newRow) {
+        differences.push({ package: key, field: 'only_old', old: oldRow.total_price, new: null });
+        continue;
+      }
+      if (!oldRow) {
+        differences.push({ package: key, field: 'only_new', old: null, new: newRow.total_price });
+        continue;
+      }
+      for (const field of COMPARED_FIELDS) {
+        const oldValue = oldRow[field] ?? null;
+        const newValue = newRow[field] ?? null;
+        if (oldValue !== newValue) differences.push({ package: key, field, old: oldValue, new: newValue });
+      }
+    }
+    if (differences.length > 0) {
+      for (const field of new Set(differences.map(difference => difference.field))) count(field);
+      const row = [...oldGroups.values(), ...newGroups.values()][0];
+      disagreements.push({ stockcode, name: row.name, differences });
+    }
+  }
+  return {
+    stockcodes: stockcodes.length,
+    matching: stockcodes.length - marketplace - disagreements.length,
+    marketplace,
+    counts,
+    disagreements
+  };
+}
+
+/**
+ * Writes the legacy rows of a cleaned dataset.
+ * @param {string} [inputPath] defaults to datasets_cleaned/beer.json
+ * @param {string} [outputPath] defaults to datasets_cleaned/beer_cleaned.json
+ * @returns {Promise<Array>} the rows
+ */
+async function writeLegacy(inputPath = INPUT_PATH, outputPath = OUTPUT_PATH) {
+  const records = JSON.parse(await fs.readFile(inputPath, 'utf8'));
+  const rows = toLegacyFormat(records);
+  await fs.writeFile(outputPath, JSON.stringify(rows, null, 2));
+  console.log(`${path.basename(outputPath)} has been created successfully: ${rows.length} rows`);
+  return rows;
+}
+
+/**
+ * Compares the rows transform.js makes from the processBundle records with the
+ * rows made from the cleaned records of the same fetch.
+ * @param {object} [options]
+ * @param {string} [options.legacyInput] processBundle records, defaults to datasets_raw/beer.json
+ * @param {string} [options.cleanedInput] cleaned records, defaults to datasets_cleaned/beer.json
+ * @param {Date|string} [options.snapshotDate] picks the excise rate of transform.js
+ * @returns {Promise<object>} report from compareLegacy
+ */
+async function checkParity({ legacyInput = LEGACY_INPUT_PATH, cleanedInput = INPUT_PATH, snapshotDate = new Date() } = {}) {
+  const beers = JSON.parse(await fs.readFile(legacyInput, 'utf8'));
+  const records = JSON.parse(await fs.readFile(cleanedInput, 'utf8'));
+  return compareLegacy(transformBeers(beers, snapshotDate), toLegacyFormat(records));
+}
+
+module.exports = { toLegacyRows, toLegacyFormat, compareLegacy, writeLegacy, checkParity };
+
+if (require.main === module) {
+  writeLegacy(process.argv[2], process.argv[3]).catch(err => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,161 @@
+const path = require('path');
+
+// Parses the `promoprice` object of a raw product into a normalised promotion.
+//
+// The Browse API describes a promotion with a free text Message plus a few
+// structured fields:
+//   Message          e.g. " for 2 packs", " per case of 24", "pack (4)", "Each"
+//   PromotionType    "offer", "member offer", "multibuy offer" or "multibuy member offer"
+//   IsMemberOffer    true when only My Dan's members get the price
+//   PreText          "Offer" or "Member Offer"
+//   Quantity         how many you have to buy, 0 when it isn't a multi-buy
+//   MaxAward         most you can buy at the price, 0 or 2147483647 when unlimited
+//   PackType         "Case", "Pack" or "Bottle"
+//   BeforePromotion  regular price of the quantity
+//   AfterPromotion   promotion price of the quantity
+//
+// The structured fields win for quantity, membership and limit where they are
+// present, and the message fills in the rest (any-N deals only have the message).
+//
+// `node scripts/promotions.js` and test/promotions.test.js check the parser against
+// promotion_cases.json, a table of real promotions from the raw files. Most entries
+// are a product's `promoprice`. "in any six" only turns up as a product's
+// `inanysixprice`, the regular price of one bottle when buying six, so that entry
+// holds an `inanysixprice` instead. The raw files have no mix-and-match deal yet,
+// so the "any 6 for $60" entries are written by hand and marked with a `note`.
+
+const CASES_PATH = path.join(__dirname, 'promotion_cases.json');
+
+// Promotion types.
+const TYPES = {
+  // Buy more than one to get the price, e.g. " for 2 packs".
+  MULTI_BUY: 'multi_buy',
+  // Price only for members, e.g. " per pack of 4" with IsMemberOffer.
+  MEMBER_ONLY: 'member_only',
+  // Lower price for everyone.
+  PRICE_DROP: 'price_drop',
+  // Mix and match, e.g. "any 6 for $60".
+  ANY_N: 'any_n'
+};
+
+// MaxAward value the API uses for "no limit".
+const NO_LIMIT = 2147483647;
+
+// Pricing group a PackType or message word belongs to.
+const PACK_TYPES = {
+  case: 'case',
+  cases: 'case',
+  pack: 'pack',
+  packs: 'pack',
+  bottle: 'single',
+  bottles: 'single',
+  can: 'single',
+  cans: 'single',
+  each: 'single'
+};
+
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, twelve: 12 };
+
+function roundTo(value, decimals) {
+  return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+function toNumber(word) {
+  return NUMBER_WORDS[word] || parseInt(word, 10);
+}
+
+/**
+ * Reads what the message alone says about a promotion.
+ * @param {string} message e.g. " for 2 packs"
+ * @returns {{packType: string|null, quantity: number|null, anyN: boolean, plural: boolean, each: boolean}}
+ *   each is true when the price is for one item rather than the quantity ("in any six")
+ */
+function parseMessage(message) {
+  const text = (message || '').trim().toLowerCase();
+
+  // "any 6 for $60", or "in any six" with the price of one
+  const anyN = text.match(/\bany\s*(\d+|two|three|four|five|six|twelve)\b/);
+  if (anyN) return { packType: 'single', quantity: toNumber(anyN[1]), anyN: true, plural: true, each: !/\bfor\b/.test(text) };
+
+  // " for 2 packs", " for 3 bottles"
+  const multi = text.match(/\bfor\s+(?:(\d+)\s+)?(cases|packs|bottles|cans)\b/);
+  if (multi) {
+    return { packType: PACK_TYPES[multi[2]], quantity: multi[1] ? parseInt(multi[1], 10) : null, anyN: false, plural: true, each: false };
+  }
+
+  // " per case of 24", "pack (4)", "case(24)", " per bottle ", "Each"
+  const single = text.match(/\b(case|pack|bottle|can|each)\b/);
+  if (single) return { packType: PACK_TYPES[single[1]], quantity: 1, anyN: false, plural: false, each: false };
+
+  return { packType: null, quantity: null, anyN: false, plural: false, each: false };
+}
+
+/**
+ * Normalises a raw promotion.
+ * @param {object} price the `promoprice` object from a raw product's Prices
+ * @returns {object|null} null when there is no promotion, otherwise
+ *   { type, pack_type, quantity, member_only, limit, total_price, unit_price, regular_price, per_item, message }
+ *   where pack_type is the pricing group ("case", "pack", "single", null if unrecognised),
+ *   quantity how many of them you have to buy (null if unknown), unit_price the
+ *   effective price of one of them and per_item true when the raw price was for one
+ *   of them rather than the quantity (total_price is multiplied out either way).
+ */
+function parsePromotion(price) {
+  if (!price || (price.Message == null && price.AfterPromotion == null)) return null;
+
+  const promotionType = (price.PromotionType || '').toLowerCase();
+  const fromMessage = parseMessage(price.Message);
+
+  // PackType follows the product rather than the deal (" per pack of 10" can come
+  // with PackType "Bottle"), so the message wins when it names a unit.
+  const packType = fromMessage.packType || PACK_TYPES[(price.PackType || '').toLowerCase()] || null;
+  const quantity = price.Quantity > 0 ? price.Quantity : fromMessage.quantity;
+  const member_only = price.IsMemberOffer === true ||
+    promotionType.includes('member') ||
+    /member/i.test(price.PreText || '');
+
+  let type;
+  if (fromMessage.anyN) {
+    type = TYPES.ANY_N;
+  } else if (promotionType.includes('multibuy') || fromMessage.plural || quantity > 1) {
+    type = TYPES.MULTI_BUY;
+  } else if (member_only) {
+    type = TYPES.MEMBER_ONLY;
+  } else {
+    type = TYPES.PRICE_DROP;
+  }
+
+  let total_price = price.AfterPromotion ?? price.Value ?? null;
+  if (total_price !== null && fromMessage.each && quantity) total_price = roundTo(total_price * quantity, 2);
+  return {
+    type,
+    pack_type: packType,
+    quantity,
+    member_only,
+    limit: price.MaxAward > 0 && price.MaxAward < NO_LIMIT ? price.MaxAward : null,
+    total_price,
+    unit_price: total_price !== null && quantity ? roundTo(total_price / quantity, 2) : null,
+    regular_price: price.BeforePromotion ?? null,
+    per_item: fromMessage.each,
+    message: (price.Message || '').trim()
+  };
+}
+
+module.exports = { TYPES, parseMessage, parsePromotion };
+
+// Checks the parser against the table of real promotions, printing any mismatch.
+if (require.main === module) {
+  const cases = require(CASES_PATH);
+  let failed = 0;
+  for (const { stockcode, note, promoprice, inanysixprice, expected } of cases) {
+    const price = promoprice || inanysixprice;
+    const actual = parsePromotion(price);
+    const wrong = Object.keys(expected).filter(key => actual?.[key] !== expected[key]);
+    if (wrong.length > 0) {
+      failed++;
+      console.log(`FAIL ${stockcode || note} "${price.Message}": ${wrong.map(key => `${key} ${JSON.stringify(actual?.[key])}, expected ${JSON.stringify(expected[key])}`).join('; ')}`);
+    }
+  }
+  console.log(`${cases.length - failed} of ${cases.length} promotion cases passed`);
+  if (failed > 0) process.exit(1);
+}
@@ -0,0 +1,131 @@
+// Data-quality findings collected while transforming a dataset.
+//
+// transform_raw.js writes them to datasets_cleaned/<dataset>_quality.json. Each
+// issue has the stockcode, a reason code and details, and where it makes sense the
+// property a datasets_corrections entry would override.
+
+const REASONS = {
+  // A raw field could not be converted to a number.
+  CONVERSION_ERROR: 'conversion_error',
+  // No number could be found in a raw text field, e.g. the size.
+  EXTRACTION_ERROR: 'extraction_error',
+  // standard_drinks_clean was recalculated because standard_drinks_raw didn't match the size and ABV.
+  STANDARD_DRINKS_MISMATCH: 'standard_drinks_mismatch',
+  // size_clean was back-calculated from standard drinks and ABV (the 1267 fallback).
+  SIZE_BACK_CALCULATED: 'size_back_calculated',
+  // No vessel could be found in the name.
+  NO_VESSEL: 'no_vessel',
+  // A promo mentions cases/packs/bottles but has no number to multiply by.
+  PROMO_NO_MULTIPLIER: 'promo_no_multiplier',
+  // A promo message that isn't recognised at all.
+  PROMO_UNRECOGNISED: 'promo_unrecognised',
+  // A *_special group costs more per standard drink than its regular group.
+  SPECIAL_NOT_CHEAPER: 'special_not_cheaper',
+  // cost_per_standard far outside the range of the rest of the dataset.
+  COST_OUTLIER: 'cost_outlier',
+  // A datasets_corrections entry for a stockcode that isn't in the data any more.
+  CORRECTION_UNMATCHED: 'correction_unmatched'
+};
+
+// How many interquartile ranges beyond the quartiles counts as an outlier.
+const OUTLIER_IQR_MULTIPLE = 3;
+
+function roundTo(value, decimals) {
+  return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const next = sorted[base + 1] !== undefined ? sorted[base + 1] : sorted[base];
+  return sorted[base] + (pos - base) * (next - sorted[base]);
+}
+
+// Safely convert a value to a number. Logs error (and adds it to the quality report) if conversion fails.
+function safeConvertNumber(value, fieldName, stockcode, quality) {
+  const num = Number(value);
+  if (isNaN(num)) {
+    console.error(`Conversion error for stockcode ${stockcode}: field ${fieldName} with value ${value}`);
+    if (quality) quality.add(stockcode, REASONS.CONVERSION_ERROR, { field: fieldName, value });
+    return null;
+  }
+  return num;
+}
+
+/**
+ * Creates an empty report to collect issues into.
+ * @param {string} dataset e.g. "beer"
+ */
+function createQualityReport(dataset) {
+  const issues = [];
+  return {
+    dataset,
+    issues,
+    /**
+     * @param {string} stockcode
+     * @param {string} reason one of REASONS
+     * @param {object} [details] values that explain the issue, e.g. { field, value }
+     */
+    add(stockcode, reason, details = {}) {
+      issues.push({ stockcode, reason, ...details });
+    }
+  };
+}
+
+/**
+ * Adds the checks that need the finished records: specials that cost more than
+ * the regular price and cost_per_standard outliers across the dataset.
+ * @param {object} report from createQualityReport
+ * @param {Array} records cleaned records ({stockcode, properties, pricing})
+ */
+function checkPricing(report, records) {
+  const costs = [];
+  for (const record of records) {
+    for (const [group, pricing] of Object.entries(record.pricing)) {
+      costs.push(pricing.cost_per_standard);
+      if (!group.endsWith('_special')) continue;
+      const regular = record.pricing[group.replace(/_special$/, '')];
+      if (regular && pricing.cost_per_standard > regular.cost_per_standard) {
+        report.add(record.stockcode, REASONS.SPECIAL_NOT_CHEAPER, {
+          group,
+          special_cost_per_standard: pricing.cost_per_standard,
+          regular_cost_per_standard: regular.cost_per_standard
+        });
+      }
+    }
+  }
+
+  if (costs.length < 4) return;
+  costs.sort((a, b) => a - b);
+  const q1 = quantile(costs, 0.25);
+  const q3 = quantile(costs, 0.75);
+  const low = roundTo(q1 - OUTLIER_IQR_MULTIPLE * (q3 - q1), 2);
+  const high = roundTo(q3 + OUTLIER_IQR_MULTIPLE * (q3 - q1), 2);
+  for (const record of records) {
+    for (const [group, pricing] of Object.entries(record.pricing)) {
+      if (pricing.cost_per_standard < low || pricing.cost_per_standard > high) {
+        report.add(record.stockcode, REASONS.COST_OUTLIER, {
+          group,
+          cost_per_standard: pricing.cost_per_standard,
+          expected_range: [low, high]
+        });
+      }
+    }
+  }
+}
+
+/**
+ * The report as written to disk, with counts per reason and issues sorted by stockcode.
+ * @param {object} report from createQualityReport
+ */
+function summarise(report) {
+  const counts = {};
+  for (const issue of report.issues) {
+    counts[issue.reason] = (counts[issue.reason] || 0) + 1;
+  }
+  const issues = [...report.issues].sort((a, b) =>
+    a.stockcode < b.stockcode ? -1 : a.stockcode > b.stockcode ? 1 : a.reason.localeCompare(b.reason));
+  return { dataset: report.dataset, counts, issues };
+}
+
+module.exports = { REASONS, safeConvertNumber, createQualityReport, checkPricing, summarise };
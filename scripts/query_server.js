@@ -0,0 +1,320 @@
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { loadCatalogue } = require("./catalogue");
+const { isBuyable } = require("./availability");
+const { styleOf } = require("./categories");
+
+// Read-only HTTP API over the cleaned datasets, so the site can query instead of
+// downloading and filtering the whole of datasets_cleaned/beer.json.
+//
+// Usage: node scripts/query_server.js [port] [cleaned dir]
+//
+// Routes (GET only):
+//   /products              matching products, paginated
+//   /products/:stockcode   one product
+//   /cheapest              the cheapest pricing group of each matching product, cheapest first
+//   /history/:stockcode    price history, when datasets_cleaned/<category>_history.json exists
+//
+// The same stockcode can be in more than one dataset (e.g. a cider listed under beer
+// too) or come from more than one retailer. /products/:stockcode and /history/:stockcode
+// take `category` and `source` to pick one, and answer 300 with the matches when
+// several are left.
+//
+// Query parameters for /products and /cheapest:
+//   category      dataset name, e.g. beer (default: all datasets)
+//   source        retailer, e.g. danmurphys or json_feed (default: all sources)
+//   style         beer_style, cider_style, spirit_style or wine_style, case-insensitive
+//   vessel        e.g. can, bottle
+//   min_abv, max_abv
+//   package       case, pack or single (including its _special group)
+//   specials      true: only products with a _special group
+//   online_only   true: only delivery-only products, false: leave them out
+//   buyable       true: only products that can be ordered now, false: only those that can't
+//                 (out of stock, not purchasable or coming soon, see availability.js)
+//   sort          cost_per_standard (default), unit_price, rating, rating_adjusted or value_score
+//   order         asc or desc (default asc, desc for the ratings and value_score)
+//   page, per_page  (default 1 and 50, per_page at most 500)
+//
+// Responses carry an ETag and If-None-Match gets a 304. Everything is read from
+// the JSON files on disk when the server starts, no network is needed.
+
+const CLEANED_DIR = path.join(__dirname, "..", "datasets_cleaned");
+const DEFAULT_PORT = 3000;
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 500;
+const SORTS = ["cost_per_standard", "unit_price", "rating", "rating_adjusted", "value_score"];
+// Sorts on product properties rather than prices, best (highest) first by default.
+const PROPERTY_SORTS = ["rating", "rating_adjusted", "value_score"];
+const PACKAGES = ["case", "pack", "single"];
+
+// Thrown for bad query parameters, answered with a 400.
+class QueryError extends Error {}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Reads every cleaned dataset declared in the catalogue, and its history if there is one.
+ * @param {string} dir directory of cleaned datasets
+ * @returns {{products: Array, byStockcode: Map<string, Array>, history: object}} byStockcode
+ *   has every product with the stockcode, across datasets and sources
+ */
+function loadDatasets(dir = CLEANED_DIR) {
+  const products = [];
+  const byStockcode = new Map();
+  const history = {};
+  for (const category of Object.keys(loadCatalogue())) {
+    const records = readJSON(path.join(dir, `${category}.json`));
+    if (!records) continue;
+    for (const record of records) {
+      const product = { category, ...record };
+      products.push(product);
+      if (!byStockcode.has(record.stockcode)) byStockcode.set(record.stockcode, []);
+      byStockcode.get(record.stockcode).push(product);
+    }
+    const categoryHistory = readJSON(path.join(dir, `${category}_history.json`));
+    if (categoryHistory) history[category] = categoryHistory;
+  }
+  return { products, byStockcode, history };
+}
+
+function parseNumber(params, name) {
+  if (!params.has(name)) return undefined;
+  const value = Number(params.get(name));
+  if (params.get(name) === "" || isNaN(value)) throw new QueryError(`${name} must be a number`);
+  return value;
+}
+
+function parseBoolean(params, name) {
+  if (!params.has(name)) return undefined;
+  const value = params.get(name);
+  if (value !== "true" && value !== "false") throw new QueryError(`${name} must be true or false`);
+  return value === "true";
+}
+
+/**
+ * Reads the filter, sort and paging parameters.
+ * @param {URLSearchParams} params
+ */
+function parseQuery(params) {
+  const query = {
+    category: params.get("category"),
+    source: params.get("source"),
+    style: params.get("style") && params.get("style").toLowerCase(),
+    vessel: params.get("vessel"),
+    minAbv: parseNumber(params, "min_abv"),
+    maxAbv: parseNumber(params, "max_abv"),
+    package: params.get("package"),
+    specials: parseBoolean(params, "specials"),
+    onlineOnly: parseBoolean(params, "online_only"),
+    buyable: parseBoolean(params, "buyable"),
+    sort: params.get("sort") || "cost_per_standard",
+    page: parseNumber(params, "page") ?? 1,
+    perPage: parseNumber(params, "per_page") ?? DEFAULT_PER_PAGE,
+  };
+  query.order = params.get("order") || (PROPERTY_SORTS.includes(query.sort) ? "desc" : "asc");
+
+  if (query.package && !PACKAGES.includes(query.package)) {
+    throw new QueryError(`package must be one of ${PACKAGES.join(", ")}`);
+  }
+  if (!SORTS.includes(query.sort)) throw new QueryError(`sort must be one of ${SORTS.join(", ")}`);
+  if (query.order !== "asc" && query.order !== "desc") throw new QueryError("order must be asc or desc");
+  if (!Number.isInteger(query.page) || query.page < 1) throw new QueryError("page must be a positive whole number");
+  if (!Number.isInteger(query.perPage) || query.perPage < 1 || query.perPage > MAX_PER_PAGE) {
+    throw new QueryError(`per_page must be a whole number from 1 to ${MAX_PER_PAGE}`);
+  }
+  return query;
+}
+
+// Retailer of a product, records from before sources were added are Dan Murphy's.
+function sourceOf(product) {
+  return product.source || "danmurphys";
+}
+
+// Pricing groups the query looks at, e.g. case and case_special for package=case.
+function groupsFor(product, query) {
+  return Object.entries(product.pricing)
+    .filter(([group]) => !query.package || group.replace(/_special$/, "") === query.package)
+    .filter(([group]) => !query.specials || group.endsWith("_special"))
+    .map(([group, pricing]) => ({ group, ...pricing }));
+}
+
+function matches(product, query) {
+  const p = product.properties;
+  if (query.category && product.category !== query.category) return false;
+  if (query.source && sourceOf(product) !== query.source) return false;
+  if (query.style && (styleOf(p) || "").toLowerCase() !== query.style) return false;
+  if (query.vessel && p.vessel !== query.vessel) return false;
+  if (query.minAbv !== undefined && !(p.percentage_raw >= query.minAbv)) return false;
+  if (query.maxAbv !== undefined && !(p.percentage_raw <= query.maxAbv)) return false;
+  if (query.onlineOnly !== undefined && !!p.delivery_only !== query.onlineOnly) return false;
+  if (query.buyable !== undefined && isBuyable(product.availability) !== query.buyable) return false;
+  return groupsFor(product, query).length > 0;
+}
+
+// Cheapest of the groups the query looks at, by the sort field for prices.
+function cheapestGroup(product, query) {
+  const field = query.sort === "unit_price" ? "unit_price" : "cost_per_standard";
+  return groupsFor(product, query).reduce((best, group) =>
+    (!best || group[field] < best[field] ? group : best), null);
+}
+
+function sortValue(product, query) {
+  if (PROPERTY_SORTS.includes(query.sort)) return product.properties[query.sort];
+  return cheapestGroup(product, query)[query.sort];
+}
+
+// Sorts by the query's field, products without a value last.
+function sortProducts(products, query) {
+  const direction = query.order === "desc" ? -1 : 1;
+  return products
+    .map((product) => ({ product, value: sortValue(product, query) }))
+    .sort((a, b) => {
+      if (a.value == null && b.value != null) return 1;
+      if (b.value == null && a.value != null) return -1;
+      return ((a.value - b.value) * direction) || a.product.stockcode.localeCompare(b.product.stockcode);
+    })
+    .map(({ product }) => product);
+}
+
+// The products with a stockcode, narrowed by the category and source parameters.
+function findProducts(data, stockcode, params) {
+  return (data.byStockcode.get(stockcode) || [])
+    .filter((product) => !params.get("category") || product.category === params.get("category"))
+    .filter((product) => !params.get("source") || sourceOf(product) === params.get("source"));
+}
+
+// Answer for a stockcode that matched more than one product.
+function multipleChoices(stockcode, products) {
+  return {
+    status: 300,
+    body: {
+      error: `Stockcode ${stockcode} is in more than one dataset, pick one with category or source`,
+      matches: products.map((product) => ({ category: product.category, source: sourceOf(product) })),
+    },
+  };
+}
+
+// Path segments, decoded. A malformed escape (e.g. %E0) is a bad request.
+function pathParts(pathname) {
+  try {
+    return pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (err) {
+    throw new QueryError(`Malformed path ${pathname}`);
+  }
+}
+
+function paginate(items, query) {
+  return {
+    total: items.length,
+    page: query.page,
+    per_page: query.perPage,
+    pages: Math.ceil(items.length / query.perPage),
+  };
+}
+
+/**
+ * Answers a request against the loaded datasets.
+ * @param {object} data from loadDatasets
+ * @param {URL} url
+ * @returns {{status: number, body: object}}
+ */
+function route(data, url) {
+  const parts = pathParts(url.pathname);
+
+  if (parts[0] === "products" && parts.length === 2) {
+    const products = findProducts(data, parts[1], url.searchParams);
+    if (products.length > 1) return multipleChoices(parts[1], products);
+    return products.length === 1 ? { status: 200, body: products[0] } : { status: 404, body: { error: `No product ${parts[1]}` } };
+  }
+
+  if (parts[0] === "history" && parts.length === 2) {
+    const products = findProducts(data, parts[1], url.searchParams)
+      .filter((product) => data.history[product.category]?.products[parts[1]]);
+    if (products.length > 1) return multipleChoices(parts[1], products);
+    if (products.length === 0) return { status: 404, body: { error: `No price history for ${parts[1]}` } };
+    const [{ category }] = products;
+    const history = data.history[category];
+    return { status: 200, body: { stockcode: parts[1], category, updated: history.updated, ...history.products[parts[1]] } };
+  }
+
+  if ((parts[0] === "products" || parts[0] === "cheapest") && parts.length === 1) {
+    const query = parseQuery(url.searchParams);
+    const sorted = sortProducts(data.products.filter((product) => matches(product, query)), query);
+    const start = (query.page - 1) * query.perPage;
+    const page = sorted.slice(start, start + query.perPage);
+    if (parts[0] === "products") {
+      return { status: 200, body: { ...paginate(sorted, query), products: page } };
+    }
+    const options = page.map((product) => {
+      const { group, ...pricing } = cheapestGroup(product, query);
+      return {
+        stockcode: product.stockcode,
+        category: product.category,
+        name: product.properties.name,
+        vessel: product.properties.vessel,
+        buyable: isBuyable(product.availability),
+        group,
+        ...pricing,
+      };
+    });
+    return { status: 200, body: { ...paginate(sorted, query), options } };
+  }
+
+  return { status: 404, body: { error: `Unknown route ${url.pathname}` } };
+}
+
+/**
+ * Creates (but does not start) the query server.
+ * @param {string} [dir] directory of cleaned datasets
+ */
+function createQueryServer(dir = CLEANED_DIR) {
+  const data = loadDatasets(dir);
+  return http.createServer((req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" });
+      return res.end();
+    }
+
+    let result;
+    try {
+      result = route(data, new URL(req.url, "http://localhost"));
+    } catch (err) {
+      if (!(err instanceof QueryError)) console.error("Error:", err);
+      result = err instanceof QueryError
+        ? { status: 400, body: { error: err.message } }
+        : { status: 500, body: { error: "Internal error" } };
+    }
+
+    const body = JSON.stringify(result.body);
+    const etag = `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+    if (result.status === 200 && req.headers["if-none-match"] === etag) {
+      res.writeHead(304, { ETag: etag });
+      return res.end();
+    }
+    res.writeHead(result.status, {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+      ETag: etag,
+    });
+    res.end(req.method === "HEAD" ? undefined : body);
+  });
+}
+
+module.exports = { loadDatasets, parseQuery, route, createQueryServer, QueryError };
+
+if (require.main === module) {
+  const [port = DEFAULT_PORT, dir = CLEANED_DIR] = process.argv.slice(2);
+  const server = createQueryServer(dir);
+  server.listen(+port, () => {
+    console.log(`Serving ${dir} on http://localhost:${port}`);
+  });
+}
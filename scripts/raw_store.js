@@ -0,0 +1,320 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Compact storage of the daily raw bundles, committed instead of the full
+// datasets_raw/<dataset>_raw.json files.
+//
+// Most of a bundle (names, images, AdditionalDetails) rarely changes, while
+// prices, stock and ratings change every day. datasets_store/<dataset>/ keeps
+// them apart:
+//   metadata/<YYYY-MM-DD>.json  bundles whose metadata is new or changed that day,
+//                               keyed by stockcode, with the daily fields left as null
+//   daily/<YYYY-MM-DD>.json     { date, base, keys, daily }: the day's stockcodes in
+//                               file order and, for each bundle, the daily fields of
+//                               its products that changed since the `base` day
+// A daily file with no base has every daily field (a keyframe), one is written
+// every KEYFRAME_INTERVAL days so rebuilding a day reads at most that many files.
+//
+// readSnapshot rebuilds the raw file of any stored day exactly, less the
+// STRIPPED_FIELDS nothing reads, and storeSnapshot checks that before writing.
+// Days have to be stored in order; storing the latest day again replaces it.
+// Raw records of other sources (see sources/) are stored whole as metadata,
+// keyed by their source's rawKey.
+//
+// Usage: node scripts/cli.js store [dataset ...] and node scripts/cli.js restore [dataset ...]
+
+const STORE_DIR = path.join(__dirname, '..', 'datasets_store');
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Large product fields no transform reads, left out of the store.
+const STRIPPED_FIELDS = ['RichDescription', 'CrossSellDetails', 'ImageVariants'];
+
+// Product fields that change from day to day: prices, promotions, stock and reviews.
+const DAILY_FIELDS = [
+  'Prices', 'Inventory', 'IsOnSpecial', 'IsMemberSpecial', 'IsEdrSpecial', 'SupplyLimit',
+  'IsForCollection', 'IsForDelivery', 'IsPurchasable', 'IsFindMeAvailable', 'ShouldShowFindMeCta',
+  'ProductSashes', 'InfoMessage', 'OverallRating', 'NumberOfReviews', 'StockOnHand',
+  'BackorderStockOnHand', 'IsPreSale', 'IsComingSoon', 'IsDeliveryOnly'
+];
+
+// AdditionalDetails entries that change from day to day.
+const DAILY_DETAILS = ['webaverageproductrating', 'webtotalreviewcount'];
+
+// Most daily files between two keyframes.
+const KEYFRAME_INTERVAL = 30;
+
+function toDateString(date) {
+  if (date instanceof Date) return date.toISOString().slice(0, 10);
+  return String(date).slice(0, 10);
+}
+
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Stockcode of a bundle, as api.js keys them.
+function bundleKey(bundle) {
+  return bundle.Products?.[0]?.Stockcode || bundle.PackDefaultStockCode;
+}
+
+// Stockcode of each record, with a suffix for repeats in older files.
+function bundleKeys(bundles, key = bundleKey) {
+  const seen = new Map();
+  return bundles.map(bundle => {
+    const stockcode = String(key(bundle));
+    const count = (seen.get(stockcode) || 0) + 1;
+    seen.set(stockcode, count);
+    return count === 1 ? stockcode : `${stockcode}~${count}`;
+  });
+}
+
+/**
+ * A bundle without the STRIPPED_FIELDS of its products.
+ * @param {object} bundle raw Browse bundle
+ * @returns {object}
+ */
+function stripBundle(bundle) {
+  if (!Array.isArray(bundle.Products)) return bundle;
+  const products = bundle.Products.map(product => {
+    const stripped = { ...product };
+    for (const field of STRIPPED_FIELDS) delete stripped[field];
+    return stripped;
+  });
+  return { ...bundle, Products: products };
+}
+
+/**
+ * Splits a stripped bundle into its metadata and the daily values of each product.
+ * The metadata keeps the daily fields as null so the rebuilt bundle has its keys in
+ * the same order.
+ * @param {object} bundle
+ * @returns {{metadata: object, daily: Array}} daily has an entry per product: its
+ *   daily fields and, as `details`, the values of its DAILY_DETAILS in order
+ */
+function splitBundle(bundle) {
+  if (!Array.isArray(bundle.Products)) return { metadata: bundle, daily: [] };
+  const daily = [];
+  const products = bundle.Products.map(product => {
+    const metadata = { ...product };
+    const values = {};
+    for (const field of DAILY_FIELDS) {
+      if (!(field in product)) continue;
+      values[field] = product[field];
+      metadata[field] = null;
+    }
+    if (Array.isArray(product.AdditionalDetails)) {
+      const details = [];
+      metadata.AdditionalDetails = product.AdditionalDetails.map(detail => {
+        if (!detail || !DAILY_DETAILS.includes(detail.Name)) return detail;
+        details.push(detail.Value);
+        return { ...detail, Value: null };
+      });
+      if (details.length > 0) values.details = details;
+    }
+    daily.push(values);
+    return metadata;
+  });
+  return { metadata: { ...bundle, Products: products }, daily };
+}
+
+/**
+ * The bundle splitBundle was given, from its metadata and daily values.
+ * @param {object} metadata
+ * @param {Array} daily
+ * @returns {object}
+ */
+function joinBundle(metadata, daily) {
+  if (!Array.isArray(metadata.Products)) return metadata;
+  const products = metadata.Products.map((product, i) => {
+    const values = daily[i] || {};
+    const joined = { ...product };
+    for (const field of DAILY_FIELDS) {
+      if (field in joined) joined[field] = values[field];
+    }
+    if (Array.isArray(product.AdditionalDetails)) {
+      let next = 0;
+      joined.AdditionalDetails = product.AdditionalDetails.map(detail => {
+        if (!detail || !DAILY_DETAILS.includes(detail.Name)) return detail;
+        return { ...detail, Value: values.details[next++] };
+      });
+    }
+    return joined;
+  });
+  return { ...metadata, Products: products };
+}
+
+// Daily fields of each product that differ from the previous values, {} for unchanged products.
+function dailyChanges(previous = [], current) {
+  return current.map((values, i) => {
+    const changes = {};
+    for (const [field, value] of Object.entries(values)) {
+      if (!previous[i] || !sameJSON(previous[i][field], value)) changes[field] = value;
+    }
+    return changes;
+  });
+}
+
+function applyChanges(previous = [], changes) {
+  return changes.map((values, i) => ({ ...previous[i], ...values }));
+}
+
+async function readJSON(file) {
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+// Dates of the files in a store directory, oldest first.
+async function listDates(dir) {
+  try {
+    const files = await fs.readdir(dir);
+    return files.map(file => file.replace(/\.json$/, '')).filter(date => DATE_PATTERN.test(date)).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Days stored for a dataset, oldest first.
+ * @param {string} dataset
+ * @param {object} [options] { storeDir }
+ * @returns {Promise<string[]>}
+ */
+function listDays(dataset, { storeDir = STORE_DIR } = {}) {
+  return listDates(path.join(storeDir, dataset, 'daily'));
+}
+
+// Metadata of every bundle as of a day, from the metadata files up to that day.
+async function loadMetadata(datasetDir, date) {
+  const metadata = new Map();
+  for (const day of await listDates(path.join(datasetDir, 'metadata'))) {
+    if (day > date) break;
+    const bundles = await readJSON(path.join(datasetDir, 'metadata', `${day}.json`));
+    for (const [key, bundle] of Object.entries(bundles)) metadata.set(key, bundle);
+  }
+  return metadata;
+}
+
+// Daily values of every bundle seen since the last keyframe, as of a stored day.
+async function loadDaily(datasetDir, date) {
+  const chain = [];
+  for (let day = date; day; ) {
+    const file = await readJSON(path.join(datasetDir, 'daily', `${day}.json`));
+    chain.unshift(file);
+    day = file.base;
+  }
+  const daily = new Map();
+  for (const file of chain) {
+    for (const [key, changes] of Object.entries(file.daily)) daily.set(key, applyChanges(daily.get(key), changes));
+  }
+  return { keys: chain[chain.length - 1].keys, daily, length: chain.length };
+}
+
+function rebuild(keys, metadata, daily) {
+  return keys.map(key => {
+    if (!metadata.has(key)) throw new Error(`No metadata for ${key}`);
+    return joinBundle(metadata.get(key), daily.get(key) || []);
+  });
+}
+
+/**
+ * Rebuilds the raw bundles of a stored day.
+ * @param {string} dataset
+ * @param {Date|string} [date] the latest stored day on or before it, default the latest
+ * @param {object} [options] { storeDir }
+ * @returns {Promise<{date: string, bundles: Array}|null>} null when nothing is stored by then
+ */
+async function readSnapshot(dataset, date, { storeDir = STORE_DIR } = {}) {
+  const datasetDir = path.join(storeDir, dataset);
+  const days = await listDays(dataset, { storeDir });
+  const until = date === undefined ? null : toDateString(date);
+  const day = days.filter(stored => until === null || stored <= until).pop();
+  if (!day) return null;
+  const { keys, daily } = await loadDaily(datasetDir, day);
+  return { date: day, bundles: rebuild(keys, await loadMetadata(datasetDir, day), daily) };
+}
+
+/**
+ * Adds a day's raw bundles to the store.
+ * @param {string} dataset
+ * @param {Array} bundles raw bundles, as in <dataset>_raw.json
+ * @param {Date|string} date snapshot date, not before the latest stored day
+ * @param {object} [options]
+ * @param {string} [options.storeDir] defaults to datasets_store
+ * @param {function} [options.key] stockcode of a raw record, defaults to that of a Browse bundle
+ * @returns {Promise<{date: string, base: string|null, bundles: number, metadata: number, daily: number}>}
+ *   how many bundles had new metadata and daily values written
+ */
+async function storeSnapshot(dataset, bundles, date, { storeDir = STORE_DIR, key = bundleKey } = {}) {
+  const day = toDateString(date);
+  if (!DATE_PATTERN.test(day)) throw new Error(`Invalid snapshot date ${date}`);
+  const datasetDir = path.join(storeDir, dataset);
+  const days = await listDays(dataset, { storeDir });
+  if (days.length > 0 && day < days[days.length - 1]) {
+    throw new Error(`${dataset} is stored up to ${days[days.length - 1]}, can't add ${day} before it`);
+  }
+
+  // Storing the latest day again replaces it, so start from the day before.
+  const earlier = days.filter(stored => stored < day);
+  const base = earlier.length > 0 ? earlier[earlier.length - 1] : null;
+  const metadata = base ? await loadMetadata(datasetDir, base) : new Map();
+  let previous = { daily: new Map(), length: 0 };
+  if (base) previous = await loadDaily(datasetDir, base);
+  const keyframe = !base || previous.length >= KEYFRAME_INTERVAL;
+
+  const stripped = bundles.map(stripBundle);
+  const keys = bundleKeys(stripped, key);
+  const newMetadata = {};
+  const daily = {};
+  const current = new Map();
+  stripped.forEach((bundle, i) => {
+    const key = keys[i];
+    const split = splitBundle(bundle);
+    if (!metadata.has(key) || !sameJSON(metadata.get(key), split.metadata)) {
+      newMetadata[key] = split.metadata;
+      metadata.set(key, split.metadata);
+    }
+    const last = keyframe ? undefined : previous.daily.get(key);
+    const changes = dailyChanges(last, split.daily);
+    if (!last || last.length !== changes.length || changes.some(values => Object.keys(values).length > 0)) {
+      daily[key] = changes;
+    }
+    current.set(key, applyChanges(last, changes));
+  });
+
+  if (!sameJSON(rebuild(keys, metadata, current), stripped)) {
+    throw new Error(`${dataset} ${day} would not rebuild from the store`);
+  }
+
+  await fs.mkdir(path.join(datasetDir, 'metadata'), { recursive: true });
+  await fs.mkdir(path.join(datasetDir, 'daily'), { recursive: true });
+  const metadataPath = path.join(datasetDir, 'metadata', `${day}.json`);
+  if (Object.keys(newMetadata).length > 0) {
+    await fs.writeFile(metadataPath, JSON.stringify(newMetadata), 'utf8');
+  } else {
+    await fs.rm(metadataPath, { force: true });
+  }
+  const file = { date: day, base: keyframe ? null : base, keys, daily };
+  await fs.writeFile(path.join(datasetDir, 'daily', `${day}.json`), JSON.stringify(file), 'utf8');
+
+  const summary = {
+    date: day,
+    base: file.base,
+    bundles: keys.length,
+    metadata: Object.keys(newMetadata).length,
+    daily: Object.keys(daily).length
+  };
+  console.log(`Stored ${dataset} ${day}: ${summary.bundles} bundles, new metadata for ${summary.metadata}, daily changes for ${summary.daily}${keyframe ? ' (keyframe)' : ''}`);
+  return summary;
+}
+
+module.exports = {
+  STRIPPED_FIELDS,
+  DAILY_FIELDS,
+  DAILY_DETAILS,
+  stripBundle,
+  splitBundle,
+  joinBundle,
+  listDays,
+  readSnapshot,
+  storeSnapshot
+};
@@ -0,0 +1,61 @@
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const { recordingName, BROWSE_PATH } = require("./browse_client");
+
+// Local stand-in for the Browse API, serving recordings made with DM_RECORD_DIR.
+//
+// Usage: node scripts/replay_server.js <recordings dir> [port]
+// then:  DM_API_URL=http://localhost:<port> node scripts/api.js
+//
+// Queries without a recording get a 404, the same as a failed request to the live site.
+
+/**
+ * Creates (but does not start) the stand-in server.
+ * @param {string} dir directory of recorded Browse responses
+ */
+function createReplayServer(dir) {
+  return http.createServer((req, res) => {
+    if (req.method !== "POST" || req.url !== BROWSE_PATH) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => {
+      let query;
+      try {
+        query = JSON.parse(data);
+      } catch (err) {
+        res.writeHead(400);
+        return res.end();
+      }
+      const file = path.join(dir, recordingName(query));
+      fs.readFile(file, (err, body) => {
+        if (err) {
+          console.log(`No recording for ${recordingName(query)}`);
+          res.writeHead(404);
+          return res.end();
+        }
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(body);
+      });
+    });
+  });
+}
+
+module.exports = { createReplayServer };
+
+if (require.main === module) {
+  const [dir, port = 8080] = process.argv.slice(2);
+  if (!dir) {
+    console.error("Usage: node scripts/replay_server.js <recordings dir> [port]");
+    process.exit(1);
+  }
+  createReplayServer(dir).listen(+port, () => {
+    console.log(`Replaying ${dir} on http://localhost:${port}${BROWSE_PATH}`);
+  });
+}
@@ -0,0 +1,362 @@
+const { fetchDatasets } = require('../api');
+const { REASONS, safeConvertNumber } = require('../quality');
+const { parsePromotion } = require('../promotions');
+const { readAvailability } = require('../availability');
+const { COMMON_DETAILS } = require('../categories');
+
+// Dan Murphy's, through the Browse API (see api.js and browse_client.js).
+//
+// The raw records are Browse bundles. extract flattens a bundle with
+// combineBundle: the prices of Products[0].Prices (caseprice, singleprice,
+// inanysixprice, promoprice) and the AdditionalDetails named in categories.js.
+// normalise then reads the unit counts from the price messages, e.g. "case (24)"
+// and "pack (6)", and works out which group a promotion is for and how many you
+// have to buy (see promotions.js).
+//
+// Pricing corrections can override the flattened fields (e.g. case_price,
+// promo_type) and the values worked out from them (e.g. case_size_clean,
+// promo_multiplier_clean, pack_promo_clean), see corrections.js.
+
+function roundTo(value, decimals) {
+  return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+/**
+ * Flattens a raw bundle into its price and detail fields.
+ * @param {object} bundle raw Browse bundle
+ * @param {object} config category settings from categories.js
+ * @returns {object|null} null for bundles without a product, "ER" stockcodes
+ *   and products without a percentage
+ */
+function combineBundle(bundle, config) {
+  if (!bundle.Products || bundle.Products.length === 0) return null;
+
+  // Use the first product (0-indexed)
+  const product = bundle.Products[0];
+  if (!product.Stockcode) return null;
+  const prices = product.Prices || {};
+
+  // Extract price data (using lowercase keys as in JSON)
+  const priceData = {
+    stockcode: product.Stockcode,
+    case_type: prices.caseprice?.Message,
+    case_price: prices.caseprice?.Value,
+    case_promo: prices.caseprice?.AfterPromotion,
+    pack_type: prices.singleprice?.Message,
+    pack_price: prices.singleprice?.Value,
+    pack_promo: prices.singleprice?.AfterPromotion,
+    single_type: prices.inanysixprice?.Message,
+    single_price: prices.inanysixprice?.Value,
+    single_promo: prices.inanysixprice?.AfterPromotion,
+    promo_type: prices.promoprice?.Message,
+    promo_price_regular: prices.promoprice?.BeforePromotion,
+    promo_price: prices.promoprice?.AfterPromotion,
+    promo_details: prices.promoprice
+  };
+
+  // Initialize detail fields with defaults.
+  const detailData = Object.fromEntries(
+    Object.values(config.details).map(key => [key, null])
+  );
+
+  // Loop through AdditionalDetails to extract desired fields.
+  for (const prod of bundle.Products) {
+    if (Array.isArray(prod.AdditionalDetails)) {
+      for (const detail of prod.AdditionalDetails) {
+        if (detail.Name && detail.Value != null) {
+          const cleanValue = String(detail.Value).replace(/"/g, '');
+          const key = config.details[detail.Name];
+          if (key) {
+            detailData[key] = cleanValue;
+          }
+        }
+      }
+    }
+  }
+  // Merge price and detail data.
+  const combined = {
+    ...priceData,
+    ...detailData,
+    delivery_only: product.IsDeliveryOnly ?? null,
+    // The product's own rating fields, used when the details have none.
+    overall_rating: product.OverallRating ?? null,
+    number_of_reviews: product.NumberOfReviews ?? null,
+    availability: readAvailability(product)
+  };
+
+  // Filter: Exclude if stockcode starts with "ER" or percent is missing/zero.
+  if (
+    combined.stockcode &&
+    !combined.stockcode.startsWith('ER') &&
+    combined.percent &&
+    combined.percent !== '0%'
+  ) {
+    return combined;
+  }
+  return null;
+}
+
+/**
+ * Turns a flattened bundle into a source record, see sources/index.js.
+ * @param {object} combined record from combineBundle
+ * @param {object} options
+ * @param {object} options.config category settings from categories.js
+ * @param {object} options.fix corrector from corrections.js, only its pricing overrides are used here
+ * @param {object} options.quality report from createQualityReport, findings are added to it
+ * @returns {object}
+ */
+function normalise(combined, { config, fix, quality }) {
+  const rec = { ...combined };
+  const stockcode = rec.stockcode;
+
+  // Raw pricing inputs can be overridden before anything is worked out from them.
+  for (const key of Object.keys(rec)) {
+    if (/^(case|pack|single|promo)_/.test(key)) {
+      rec[key] = fix.pricing(key, rec[key]);
+    }
+  }
+
+  // raw_percent: take first 4 characters of rec.percent (remove '%') and convert.
+  let raw_percent = null;
+  if (rec.percent) {
+    const percentStr = rec.percent.substring(0, 4).replace('%', '');
+    raw_percent = safeConvertNumber(percentStr, "percent", stockcode, quality);
+  }
+
+  // raw_standard_drinks: convert rec.standard_drinks to number.
+  let raw_standard_drinks = null;
+  if (rec.standard_drinks) {
+    raw_standard_drinks = safeConvertNumber(rec.standard_drinks, "standard_drinks", stockcode, quality);
+  }
+
+  let rating = null;
+  if (rec.rating != null) {
+    rating = safeConvertNumber(rec.rating, "rating", stockcode, quality);
+  } else if (rec.overall_rating > 0) {
+    rating = rec.overall_rating;
+  }
+  let review_count = null;
+  if (rec.review_count != null) {
+    review_count = safeConvertNumber(rec.review_count, "review_count", stockcode, quality);
+  } else if (rec.number_of_reviews > 0) {
+    review_count = rec.number_of_reviews;
+  }
+
+  // Category specific details, e.g. ibu and beer_style for beer.
+  const details = {};
+  for (const [detailName, key] of Object.entries(config.details)) {
+    if (!(detailName in COMMON_DETAILS)) {
+      details[key] = rec[key] || null;
+    }
+  }
+  for (const key of config.numericDetails) {
+    details[key] = rec[key] ? safeConvertNumber(rec[key], key, stockcode, quality) : null;
+  }
+
+  // PRICING TRANSFORMATIONS.
+  // The promotion says which group its price is for and how many you have to buy.
+  const promo = parsePromotion(rec.promo_details ? { ...rec.promo_details, Message: rec.promo_type } : null);
+  let promo_type_clean = null;
+  let promo_multiplier_clean = null;
+  if (promo) {
+    promo_type_clean = promo.pack_type;
+    if (!promo_type_clean) {
+      quality.add(stockcode, REASONS.PROMO_UNRECOGNISED, { promo_type: rec.promo_type });
+    } else if (promo.quantity === null) {
+      console.error(`No number found in promo_type for stockcode ${stockcode}: ${rec.promo_type}`);
+      quality.add(stockcode, REASONS.PROMO_NO_MULTIPLIER, { promo_type: rec.promo_type });
+    } else {
+      promo_multiplier_clean = promo.quantity;
+    }
+  }
+  promo_type_clean = fix.pricing('promo_type_clean', promo_type_clean);
+  promo_multiplier_clean = fix.pricing('promo_multiplier_clean', promo_multiplier_clean);
+
+  let case_price_clean = (rec.case_price !== undefined) ? rec.case_price : null;
+  let case_promo_clean = (rec.case_promo === null || rec.case_promo === 0) ? null : rec.case_promo;
+
+  let case_size_clean = null;
+  if (rec.case_type && typeof rec.case_type === "string") {
+    const numMatch = rec.case_type.match(/\d+/);
+    if (numMatch) {
+      case_size_clean = parseInt(numMatch[0], 10);
+      if (isNaN(case_size_clean)) {
+        console.error(`Conversion error for stockcode ${stockcode}: field case_size_clean from case_type with value "${rec.case_type}"`);
+        case_size_clean = null;
+      }
+    }
+  }
+  if (case_size_clean === null && rec.case_size) {
+    case_size_clean = safeConvertNumber(rec.case_size, "case_size", stockcode, quality);
+    if (case_size_clean === 0) {
+      case_size_clean = null;
+    }
+  }
+  case_size_clean = fix.pricing('case_size_clean', case_size_clean);
+
+  let case_size_promo_clean = null;
+  if (rec.promo_price === rec.case_promo && case_size_clean !== null && promo_multiplier_clean !== null) {
+    case_size_promo_clean = case_size_clean * promo_multiplier_clean;
+  } else {
+    case_size_promo_clean = case_size_clean;
+  }
+
+  // Pack and Single Pricing variables.
+  let pack_price_clean = null;
+  let pack_promo_clean = null;
+  let pack_size_clean = null;
+  let pack_size_promo_clean = null;
+  let single_price_clean = null;
+  let single_promo_clean = null;
+  let single_promo_size_clean = null;
+  const pack_type = rec.pack_type ? rec.pack_type.toLowerCase() : null;
+  let packScenarioDetermined = false;
+
+  if (pack_type && (pack_type.includes("each") || pack_type.includes("bottle"))) {
+    // Special handling: if promo_type_clean is "single", then use pack fields for singles.
+    if (promo_type_clean === 'single') {
+      single_price_clean = rec.pack_price;
+      single_promo_clean = rec.pack_promo;
+      single_promo_size_clean = promo_multiplier_clean;
+      // An any-N price of one bottle ("$10 each in any six") is for the whole lot
+      // once multiplied, so the group's price and units match.
+      if (promo.per_item && single_promo_clean != null && promo_multiplier_clean !== null) {
+        single_promo_clean = roundTo(single_promo_clean * promo_multiplier_clean, 2);
+      }
+      pack_price_clean = null;
+      pack_promo_clean = null;
+      pack_size_clean = null;
+      pack_size_promo_clean = null;
+      packScenarioDetermined = true;
+    } else {
+      const packPrice = safeConvertNumber(rec.pack_price, "pack_price", stockcode, quality);
+      const packPromo = safeConvertNumber(rec.pack_promo, "pack_promo", stockcode, quality);
+      if (packPrice !== null && packPromo !== null && packPrice > packPromo) {
+        if (rec.single_price && safeConvertNumber(rec.single_price, "single_price", stockcode, quality) !== 0) {
+          single_price_clean = rec.single_price;
+          single_promo_clean = rec.single_promo;
+        } else {
+          single_price_clean = rec.pack_price;
+          single_promo_clean = rec.pack_promo;
+        }
+        packScenarioDetermined = true;
+      } else if (packPrice !== null && packPromo !== null && packPromo > packPrice && packPromo !== 0) {
+        pack_promo_clean = rec.pack_promo;
+        pack_size_clean = null;
+        pack_price_clean = null;
+      }
+    }
+  }
+  if (!packScenarioDetermined) {
+    pack_price_clean = rec.pack_price;
+    pack_promo_clean = rec.pack_promo;
+    if (pack_type) {
+      const numMatch = pack_type.match(/\d+/);
+      if (numMatch) {
+        pack_size_clean = parseInt(numMatch[0], 10);
+        if (isNaN(pack_size_clean)) {
+          console.error(`Conversion error for stockcode ${stockcode}: field pack_size_clean from pack_type with value "${rec.pack_type}"`);
+          pack_size_clean = null;
+        }
+      }
+    }
+    if (!pack_size_clean && rec.pack_size) {
+      pack_size_clean = safeConvertNumber(rec.pack_size, "pack_size", stockcode, quality);
+      if (pack_size_clean === 0) {
+        pack_size_clean = null;
+      }
+    }
+  }
+  pack_size_clean = fix.pricing('pack_size_clean', pack_size_clean);
+
+  if (pack_promo_clean !== null) {
+    if (promo_type_clean === 'pack' && pack_size_clean !== null && promo_multiplier_clean !== null) {
+      pack_size_promo_clean = pack_size_clean * promo_multiplier_clean;
+    } else {
+      pack_size_promo_clean = pack_size_clean;
+    }
+  }
+
+  if (!packScenarioDetermined) {
+    if (rec.single_price && safeConvertNumber(rec.single_price, "single_price", stockcode, quality) !== 0) {
+      single_price_clean = rec.single_price;
+    } else {
+      single_price_clean = null;
+    }
+  }
+
+  // The prices and unit counts of each group can be overridden last.
+  case_price_clean = fix.pricing('case_price_clean', case_price_clean);
+  case_promo_clean = fix.pricing('case_promo_clean', case_promo_clean);
+  case_size_promo_clean = fix.pricing('case_size_promo_clean', case_size_promo_clean);
+  pack_price_clean = fix.pricing('pack_price_clean', pack_price_clean);
+  pack_promo_clean = fix.pricing('pack_promo_clean', pack_promo_clean);
+  pack_size_promo_clean = fix.pricing('pack_size_promo_clean', pack_size_promo_clean);
+  single_price_clean = fix.pricing('single_price_clean', single_price_clean);
+  single_promo_clean = fix.pricing('single_promo_clean', single_promo_clean);
+  single_promo_size_clean = fix.pricing('single_promo_size_clean', single_promo_size_clean);
+
+  // The special the promotion is for says whether you need to be a member and how
+  // many you have to buy, the other specials are only a lower price.
+  const special = (group, price) => ({
+    ...price,
+    promo: promo && promo_type_clean === group ? {
+      type: promo.type,
+      pack_type: promo_type_clean,
+      quantity: promo_multiplier_clean,
+      member_only: promo.member_only,
+      limit: promo.limit
+    } : null
+  });
+
+  return {
+    source: 'danmurphys',
+    stockcode,
+    name: rec.name || "",
+    brand: rec.brand || null,
+    size: rec.size,
+    percent: raw_percent,
+    standard_drinks: raw_standard_drinks,
+    closure: rec.closure,
+    vessel: null,
+    image_url: rec.image_url || null,
+    rating,
+    review_count,
+    delivery_only: rec.delivery_only,
+    details,
+    availability: rec.availability,
+    prices: {
+      case: { price: case_price_clean, units: case_size_clean },
+      case_special: special('case', { price: case_promo_clean, units: case_size_promo_clean }),
+      pack: { price: pack_price_clean, units: pack_size_clean },
+      pack_special: special('pack', { price: pack_promo_clean, units: pack_size_promo_clean }),
+      single: { price: single_price_clean, units: 1 },
+      single_special: special('single', { price: single_promo_clean, units: single_promo_size_clean })
+    }
+  };
+}
+
+// Stockcode of a raw bundle, as api.js keys them.
+function rawKey(bundle) {
+  return bundle.Products?.[0]?.Stockcode || bundle.PackDefaultStockCode;
+}
+
+// Fetches the datasets and writes <dataset>_raw.json and <dataset>.json, see api.js.
+function fetch(datasets, { outputDir, pageSize } = {}) {
+  return new Promise((resolve, reject) => {
+    fetchDatasets(datasets, { outputDir, pageSize }, err => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+module.exports = {
+  name: 'danmurphys',
+  label: "Dan Murphy's",
+  fetch,
+  rawKey,
+  extract: combineBundle,
+  normalise,
+  combineBundle
+};
@@ -0,0 +1,52 @@
+// Retailers the datasets are scraped from, each behind the same adapter.
+//
+// A dataset names its source in catalogue.json (`source`, default "danmurphys").
+// An adapter is a module exporting:
+//   name                      the key in SOURCES, written to each cleaned record's `source`
+//   label                     the retailer's name, for messages
+//   fetch(datasets, options)  scrapes the catalogue entries and writes <outputDir>/<dataset>_raw.json,
+//                             options are { outputDir, pageSize }, returns a Promise
+//   rawKey(raw)               stockcode of a raw record, used by raw_store.js
+//   extract(raw, config)      the raw record as one flat object with a `stockcode`, or null to
+//                             leave it out. It has to be a pure function of the raw record:
+//                             transform_cache.js hashes what it returns
+//   normalise(extracted, { config, fix, quality })
+//                             the common record transform_raw.js cleans, see below.
+//                             `fix` is the record's corrector (corrections.js), adapters apply
+//                             its pricing overrides; `quality` takes their findings
+//
+// The common record:
+//   { source, stockcode, name, brand, size, percent, standard_drinks, closure, vessel,
+//     image_url, rating, review_count, delivery_only, details, availability, prices }
+// where size is the listed size (mL, or text like "375mL"), percent the listed ABV as a
+// number, vessel a hint used when the name and closure don't give one, details the
+// category's own properties (e.g. beer_style, ibu), availability as readAvailability
+// returns it and prices has an entry per PRICING_GROUPS group it sells:
+//   { price, units, promo } with promo { type, pack_type, quantity, member_only, limit }
+//   on specials, see promotions.js.
+//
+// Everything after that, names, sizes, standard drinks, excise and cost per standard
+// drink, is worked out the same way for every retailer.
+
+const PRICING_GROUPS = ['case', 'case_special', 'pack', 'pack_special', 'single', 'single_special'];
+
+const DEFAULT_SOURCE = 'danmurphys';
+
+const SOURCES = {
+  danmurphys: require('./danmurphys'),
+  json_feed: require('./json_feed')
+};
+
+/**
+ * Looks up a source adapter, throwing if there isn't one.
+ * @param {string} [name] e.g. "danmurphys", defaults to DEFAULT_SOURCE
+ */
+function getSource(name = DEFAULT_SOURCE) {
+  const source = SOURCES[name];
+  if (!source) {
+    throw new Error(`Unknown source "${name}", expected one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+  return source;
+}
+
+module.exports = { PRICING_GROUPS, DEFAULT_SOURCE, SOURCES, getSource };
@@ -0,0 +1,257 @@
+const fs = require('fs/promises');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { withRetries } = require('../fetch_queue');
+const { REASONS, safeConvertNumber } = require('../quality');
+const { TYPES } = require('../promotions');
+const { isBuyable } = require('../availability');
+const { COMMON_DETAILS } = require('../categories');
+
+// Retailers that publish a JSON product feed, see schemas/feed_product.schema.json.
+//
+// A dataset's queries each give the `url` of the feed's first page. A page is
+// { products: [...], next: <url of the next page or null> }, and a product:
+//   {
+//     "sku": "FB1001", "title": "Stone & Wood Pacific Ale Can 375mL", "brand": "Stone & Wood",
+//     "volume_ml": 375, "abv": 4.4, "standard_drinks": 1.3, "container": "can",
+//     "image": "https://...", "rating": { "average": 4.6, "count": 212 },
+//     "attributes": { "beer_style": "Pale Ale" },
+//     "stock": { "available": true, "delivery": true, "collection": true, "online_only": false, "limit": null },
+//     "offers": [
+//       { "pack": "case", "units": 24, "price": 79.99 },
+//       { "pack": "pack", "units": 6, "price": 24.99, "promo": { "price": 40, "units": 12, "member_only": false, "limit": null } }
+//     ]
+//   }
+// `attributes` are keyed by the cleaned property names of the category (e.g. beer_style,
+// ibu), `pack` is "case", "pack" or "single", and a promo's `units` is how many its price
+// buys, e.g. two packs of 6 for $40.
+//
+// Pricing corrections use the same names as for Dan Murphy's, e.g. case_price_clean,
+// pack_size_promo_clean, see PRICING_FIELDS.
+//
+// Files can be read with file: URLs, e.g. to load a feed saved by hand.
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 1000;
+const TIMEOUT_MS = 30000;
+
+// Correction names of the price and units of each group.
+const PRICING_FIELDS = {
+  case: ['case_price_clean', 'case_size_clean'],
+  case_special: ['case_promo_clean', 'case_size_promo_clean'],
+  pack: ['pack_price_clean', 'pack_size_clean'],
+  pack_special: ['pack_promo_clean', 'pack_size_promo_clean'],
+  single: ['single_price_clean', null],
+  single_special: ['single_promo_clean', 'single_promo_size_clean']
+};
+
+function flag(value) {
+  return typeof value === 'boolean' ? value : null;
+}
+
+/**
+ * Copies the fields of a feed product the transform uses, leaving out anything else.
+ * @param {object} product one product of the feed
+ * @returns {object|null} null for products without a sku or ABV
+ */
+function extract(product) {
+  if (!product || !product.sku || !product.abv) return null;
+  return {
+    stockcode: String(product.sku),
+    name: product.title ?? null,
+    brand: product.brand ?? null,
+    volume_ml: product.volume_ml ?? null,
+    abv: product.abv,
+    standard_drinks: product.standard_drinks ?? null,
+    container: product.container ?? null,
+    image: product.image ?? null,
+    rating: product.rating ?? null,
+    attributes: product.attributes || {},
+    stock: product.stock || {},
+    offers: Array.isArray(product.offers) ? product.offers : []
+  };
+}
+
+// Availability in the shape readAvailability gives for Dan Murphy's products.
+function readStock(stock) {
+  const delivery = flag(stock.delivery);
+  const collection = flag(stock.collection);
+  const availability = {
+    purchasable: flag(stock.available),
+    in_stock: flag(stock.available),
+    stock_on_hand: null,
+    delivery,
+    collection,
+    delivery_only: flag(stock.online_only),
+    collection_only: delivery === false && collection === true,
+    supply_limit: typeof stock.limit === 'number' ? stock.limit : null,
+    pre_sale: null,
+    coming_soon: null
+  };
+  return { buyable: isBuyable(availability), ...availability };
+}
+
+/**
+ * Turns an extracted feed product into a source record, see sources/index.js.
+ * @param {object} product from extract
+ * @param {object} options { config, fix, quality }
+ * @returns {object}
+ */
+function normalise(product, { config, fix, quality }) {
+  const stockcode = product.stockcode;
+  const number = (value, field) => (value == null ? null : safeConvertNumber(value, field, stockcode, quality));
+
+  // Category specific details, e.g. ibu and beer_style for beer.
+  const details = {};
+  for (const [detailName, key] of Object.entries(config.details)) {
+    if (!(detailName in COMMON_DETAILS)) details[key] = product.attributes[key] ?? null;
+  }
+  for (const key of config.numericDetails) {
+    details[key] = number(details[key], key);
+  }
+
+  const prices = {};
+  for (const offer of product.offers) {
+    if (!PRICING_FIELDS[offer.pack]) {
+      quality.add(stockcode, REASONS.CONVERSION_ERROR, { field: 'pack', value: offer.pack });
+      continue;
+    }
+    const units = offer.pack === 'single' ? 1 : number(offer.units, `${offer.pack}_units`);
+    prices[offer.pack] = { price: number(offer.price, `${offer.pack}_price`), units };
+    if (!offer.promo) continue;
+    const promoUnits = number(offer.promo.units ?? units, `${offer.pack}_promo_units`);
+    const quantity = promoUnits && units ? promoUnits / units : null;
+    let type = TYPES.PRICE_DROP;
+    if (offer.promo.member_only) type = TYPES.MEMBER_ONLY;
+    else if (quantity > 1) type = TYPES.MULTI_BUY;
+    prices[`${offer.pack}_special`] = {
+      price: number(offer.promo.price, `${offer.pack}_promo_price`),
+      units: promoUnits,
+      promo: {
+        type,
+        pack_type: offer.pack,
+        quantity,
+        member_only: !!offer.promo.member_only,
+        limit: offer.promo.limit ?? null
+      }
+    };
+  }
+  // The prices and unit counts of each group can be overridden, as for Dan Murphy's.
+  for (const [group, [priceField, unitsField]] of Object.entries(PRICING_FIELDS)) {
+    const entry = prices[group] || { price: null, units: group === 'single' ? 1 : null };
+    entry.price = fix.pricing(priceField, entry.price);
+    if (unitsField) entry.units = fix.pricing(unitsField, entry.units);
+    if (entry.price !== null) prices[group] = entry;
+  }
+
+  return {
+    source: 'json_feed',
+    stockcode,
+    name: product.name || '',
+    brand: product.brand,
+    size: number(product.volume_ml, 'volume_ml'),
+    percent: number(product.abv, 'percent'),
+    standard_drinks: number(product.standard_drinks, 'standard_drinks'),
+    closure: null,
+    vessel: product.container ? String(product.container).toLowerCase() : null,
+    image_url: product.image,
+    rating: product.rating?.average > 0 ? number(product.rating.average, 'rating') : null,
+    review_count: product.rating?.count > 0 ? number(product.rating.count, 'review_count') : null,
+    delivery_only: flag(product.stock.online_only),
+    details,
+    availability: readStock(product.stock),
+    prices
+  };
+}
+
+// Sku of a feed product.
+function rawKey(product) {
+  return product.sku;
+}
+
+// Reads a page of the feed from an http(s) or file: URL.
+function getPage(url, callback) {
+  const { protocol } = new URL(url);
+  if (protocol === 'file:') {
+    fs.readFile(fileURLToPath(url), 'utf8').then(JSON.parse).then(page => callback(null, page), callback);
+    return;
+  }
+  // Only the first of end, error, abort and close counts.
+  let finished = false;
+  const finish = (err, page) => {
+    if (finished) return;
+    finished = true;
+    callback(err, page);
+  };
+  const client = protocol === 'https:' ? https : http;
+  const req = client.get(url, { headers: { Accept: 'application/json' }, timeout: TIMEOUT_MS }, res => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('aborted', () => finish(new Error(`${url} was cut off before the end of the body`)));
+    res.on('error', finish);
+    res.on('end', () => {
+      if (res.statusCode !== 200) return finish(new Error(`${url} returned ${res.statusCode}`));
+      try {
+        finish(null, JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        finish(new Error(`${url} is not JSON: ${err.message}`));
+      }
+    });
+  });
+  req.on('timeout', () => req.destroy(new Error(`${url} timed out after ${TIMEOUT_MS}ms`)));
+  req.on('error', finish);
+  req.on('close', () => finish(new Error(`${url} closed before the response ended`)));
+}
+
+function getPageWithRetries(url, retries, backoffMs) {
+  return new Promise((resolve, reject) => {
+    const onRetry = (err, tries, delay) => console.warn(`Retry ${tries} of ${url} in ${delay}ms: ${err.message}`);
+    withRetries(done => getPage(url, done), { retries, backoffMs, onRetry }, (err, page) => {
+      if (err) reject(err);
+      else resolve(page);
+    });
+  });
+}
+
+/**
+ * Reads every page of each dataset's feeds and writes <outputDir>/<dataset>_raw.json,
+ * the products sorted by sku with repeats dropped.
+ * @param {Array} datasets catalogue entries from getDataset
+ * @param {object} [options] { outputDir, retries, backoffMs }, outputDir defaults to datasets_raw
+ */
+async function fetch(datasets, { outputDir, retries = DEFAULT_RETRIES, backoffMs = DEFAULT_BACKOFF_MS } = {}) {
+  const dir = outputDir || path.join(__dirname, '..', '..', 'datasets_raw');
+  await fs.mkdir(dir, { recursive: true });
+  for (const { name, queries } of datasets) {
+    const products = new Map();
+    for (const { url } of queries) {
+      // A `next` link back to a page already read would otherwise loop forever.
+      const visited = new Set();
+      for (let next = url; next; ) {
+        if (visited.has(next)) throw new Error(`${next} links back to a page already read from ${url}`);
+        visited.add(next);
+        const page = await getPageWithRetries(next, retries, backoffMs);
+        if (!Array.isArray(page.products)) throw new Error(`${next} has no products array`);
+        for (const product of page.products) {
+          if (product && product.sku && !products.has(product.sku)) products.set(product.sku, product);
+        }
+        next = page.next ? new URL(page.next, next).href : null;
+      }
+    }
+    const sorted = [...products.values()].sort((a, b) => String(a.sku).localeCompare(String(b.sku)));
+    const outputPath = path.join(dir, `${name}_raw.json`);
+    await fs.writeFile(outputPath, JSON.stringify(sorted, null, 2), 'utf8');
+    console.log(`Wrote ${sorted.length} products to ${outputPath}`);
+  }
+}
+
+module.exports = {
+  name: 'json_feed',
+  label: 'JSON product feed',
+  fetch,
+  rawKey,
+  extract,
+  normalise
+};
@@ -1,4 +1,18 @@
 const fs = require('fs');
+const path = require('path');
+const { productClass, findRate, alcoholTaxCost } = require('./excise');
+
+// Legacy transform of datasets_raw/beer.json (processBundle records, see api.js)
+// into datasets_cleaned/beer_cleaned.json, one option per product and package.
+//
+// Retired: beer_cleaned.json is now made from the cleaned records by legacy.js.
+// This is kept as the reference for `node scripts/cli.js parity`, which lists
+// where its rows and legacy.js's disagree.
+//
+// Usage: node scripts/transform.js [input] [output]
+
+const INPUT_PATH = path.join(__dirname, '..', 'datasets_raw', 'beer.json');
+const OUTPUT_PATH = path.join(__dirname, '..', 'datasets_cleaned', 'beer_cleaned.json');
 
 // Helper functions
 function tryParseFloat(val) {
@@ -40,28 +54,12 @@ function cleanNameAndVessel(name) {
   return { name_clean, vessel };
 }
 
-// Read and parse the input JSON file
-let rawData;
-try {
-  rawData = fs.readFileSync('datasets_raw/beer.json', 'utf8');
-} catch (err) {
-  console.error("Error reading datasets_raw/beer.json:", err);
-  process.exit(1);
-}
-
-let beers;
-try {
-  beers = JSON.parse(rawData);
-} catch (err) {
-  console.error("Error parsing JSON:", err);
-  process.exit(1);
-}
-
 /**
  * Process a single beer record into an array of cleaned options.
  * Returns an empty array if the record is invalid.
+ * The excise rate in force on snapshotDate is used for the tax columns.
  */
-function processBeerRecord(beer) {
+function processBeerRecord(beer, snapshotDate = new Date()) {
   if (!beer.name) {
     console.log(`Skipping record with missing name, stockcode: ${beer.stockcode}`);
     return [];
@@ -131,14 +129,14 @@ function processBeerRecord(beer) {
     const cost_per_standard = option.standard_drinks_corrected ? roundTo(unit_price / option.standard_drinks_corrected, 2) : 0;
     const { name_clean, vessel } = cleanNameAndVessel(option.name);
 
-    // Alcohol tax calculations
-    const alcohol_fraction = option.percentage / 100;
-    const calc_std_drinks = (alcohol_fraction * option.size) / 12.67;
-    const taxable_alcohol_fraction = Math.max(alcohol_fraction - 0.0115, 0);
-    const taxable_volume = (option.size / 1000) * taxable_alcohol_fraction;
-    const tax_rate = (alcohol_fraction <= 0.03) ? 52.66 : 61.32;
-    const total_tax = taxable_volume * tax_rate;
-    const alcohol_tax_cost = calc_std_drinks > 0 ? roundTo(total_tax / calc_std_drinks, 2) : 0;
+    // Alcohol tax calculations, using the packaged beer rate from the excise table
+    const excise_rate = findRate(productClass('beer', option.percentage), snapshotDate);
+    const calc_std_drinks = (option.percentage / 100 * option.size) / 12.67;
+    const alcohol_tax_cost = alcoholTaxCost(excise_rate, {
+      percentage: option.percentage,
+      sizeMl: option.size,
+      standardDrinks: calc_std_drinks
+    });
     const alcohol_tax_percent = cost_per_standard > 0 ? roundTo((alcohol_tax_cost / cost_per_standard) * 100, 0) : 0;
 
     return {
@@ -168,23 +166,41 @@ function processBeerRecord(beer) {
   );
 }
 
-// Process all beer records and flatten the results into a single array
-const cleanedOptions = beers.reduce((acc, beer) => acc.concat(processBeerRecord(beer)), []);
-
-// Final sort: by stockcode, then package_size, then with special options first
-cleanedOptions.sort((a, b) => {
-  if (a.stockcode < b.stockcode) return -1;
-  if (a.stockcode > b.stockcode) return 1;
-  if (a.package_size < b.package_size) return -1;
-  if (a.package_size > b.package_size) return 1;
-  return a.special === b.special ? 0 : (a.special ? -1 : 1);
-});
-
-// Write the output to beer_cleaned.json
-try {
-  fs.writeFileSync('datasets_cleaned/beer_cleaned.json', JSON.stringify(cleanedOptions, null, 2));
-  console.log('beer_cleaned.json has been created successfully.');
-} catch (err) {
-  console.error("Error writing beer_cleaned.json:", err);
-  process.exit(1);
+/**
+ * Cleans every record and sorts the options by stockcode, then package_size,
+ * then with special options first.
+ * @param {Array} beers processBundle records
+ * @param {Date|string} [snapshotDate] picks the excise rate
+ */
+function transformBeers(beers, snapshotDate = new Date()) {
+  const cleanedOptions = beers.reduce((acc, beer) => acc.concat(processBeerRecord(beer, snapshotDate)), []);
+  return cleanedOptions.sort((a, b) => {
+    if (a.stockcode < b.stockcode) return -1;
+    if (a.stockcode > b.stockcode) return 1;
+    if (a.package_size < b.package_size) return -1;
+    if (a.package_size > b.package_size) return 1;
+    return a.special === b.special ? 0 : (a.special ? -1 : 1);
+  });
+}
+
+/**
+ * Reads the legacy raw file and writes the cleaned options.
+ * @param {string} [inputPath] defaults to datasets_raw/beer.json
+ * @param {string} [outputPath] defaults to datasets_cleaned/beer_cleaned.json
+ */
+function transformFile(inputPath = INPUT_PATH, outputPath = OUTPUT_PATH) {
+  const beers = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  fs.writeFileSync(outputPath, JSON.stringify(transformBeers(beers), null, 2));
+  console.log(`${path.basename(outputPath)} has been created successfully.`);
+}
+
+module.exports = { cleanNameAndVessel, processBeerRecord, transformBeers, transformFile };
+
+if (require.main === module) {
+  try {
+    transformFile(process.argv[2], process.argv[3]);
+  } catch (err) {
+    console.error("Error:", err);
+    process.exit(1);
+  }
 }
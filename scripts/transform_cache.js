@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { RATE_ROWS, findRate } = require('./excise');
+
+// Cache of cleaned records per stockcode, so a transform run only cleans the
+// bundles that changed since the last one.
+//
+// .transform_cache/<dataset>.json keeps, for each stockcode, a hash of the
+// fields its source extracted (see sources/) and its correction entry, the record cleanRecord made from
+// them and the quality issues it raised. A record is reused while its hash is
+// the same. The whole cache is dropped when the transform version changes: a
+// hash of the files that clean a record (TRANSFORM_SOURCES), the category, the
+// source and the excise rates in force on the snapshot date. Families, value scores and
+// the dataset-wide quality checks are always worked out again from all records.
+//
+// `node scripts/cli.js transform --full` ignores the cache and rebuilds it.
+
+const CACHE_DIR = path.join(__dirname, '..', '.transform_cache');
+
+// Files whose changes can change a cleaned record, relative to scripts/.
+const TRANSFORM_SOURCES = [
+  'transform_raw.js', 'categories.js', 'excise.js', 'excise_rates.json',
+  'promotions.js', 'availability.js', 'quality.js', 'corrections.js', 'transform_cache.js',
+  'sources/index.js', 'sources/danmurphys.js', 'sources/json_feed.js'
+];
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * The transform version a cache has to match to be used.
+ * @param {string} category category of the dataset
+ * @param {Date|string} snapshotDate picks the excise rates in force
+ * @param {string} [source] source of the dataset, see sources/
+ * @returns {Promise<string>}
+ */
+async function transformVersion(category, snapshotDate, source = 'danmurphys') {
+  const sources = await Promise.all(TRANSFORM_SOURCES.map(file => fs.readFile(path.join(__dirname, file), 'utf8')));
+  const rates = [...new Set(RATE_ROWS.map(row => row.class))].sort().map(cls => findRate(cls, snapshotDate).id);
+  return hash(JSON.stringify({ sources: sources.map(hash), category, source, rates }));
+}
+
+/**
+ * Hash of what a cleaned record is made from.
+ * @param {object} combined record from the source's extract, e.g. combineBundle
+ * @param {object} [correction] entry from loadCorrections
+ * @returns {string}
+ */
+function recordHash(combined, correction) {
+  return hash(JSON.stringify({ combined, correction: correction || null }));
+}
+
+/**
+ * Creates a cache from the entries of the last run.
+ * @param {string} version from transformVersion
+ * @param {object} [previous] the saved cache, { version, entries }
+ * @returns {object} with get(stockcode, hash), set(stockcode, hash, record, issues),
+ *   toJSON() and stats: { hits, recomputed, added, changed, full } where full says
+ *   why nothing could be reused ("no cache", "transform version changed" or "--full")
+ */
+function createCache(version, previous = null) {
+  let full = null;
+  if (!previous) full = 'no cache';
+  else if (previous.version !== version) full = 'transform version changed';
+  const entries = full ? {} : previous.entries;
+  const next = {};
+  const stats = { hits: 0, recomputed: 0, added: 0, changed: 0, full };
+
+  return {
+    stats,
+    /**
+     * The cached record and issues for a stockcode, copied, or null when its hash changed.
+     * @param {string} stockcode
+     * @param {string} recordHash from recordHash
+     */
+    get(stockcode, recordHash) {
+      const entry = entries[stockcode];
+      if (!entry || entry.hash !== recordHash) {
+        if (!full) {
+          if (entry) stats.changed++;
+          else stats.added++;
+        }
+        return null;
+      }
+      stats.hits++;
+      next[stockcode] = entry;
+      return clone(entry);
+    },
+    /**
+     * Keeps a freshly cleaned record for the next run, before anything else changes it.
+     * @param {string} stockcode
+     * @param {string} recordHash from recordHash
+     * @param {object} record from cleanRecord
+     * @param {Array} issues quality issues raised while cleaning it
+     */
+    set(stockcode, recordHash, record, issues) {
+      stats.recomputed++;
+      next[stockcode] = clone({ hash: recordHash, record, issues });
+    },
+    toJSON() {
+      return { version, entries: next };
+    }
+  };
+}
+
+/**
+ * Reads the cache of a dataset.
+ * @param {string} dataset
+ * @param {string} version from transformVersion
+ * @param {object} [options]
+ * @param {string} [options.dir] defaults to .transform_cache
+ * @param {boolean} [options.full] start empty, so every record is cleaned again
+ * @returns {Promise<object>} from createCache
+ */
+async function loadCache(dataset, version, { dir = CACHE_DIR, full = false } = {}) {
+  if (full) {
+    const cache = createCache(version);
+    cache.stats.full = '--full';
+    return cache;
+  }
+  try {
+    return createCache(version, JSON.parse(await fs.readFile(path.join(dir, `${dataset}.json`), 'utf8')));
+  } catch (err) {
+    if (err.code === 'ENOENT') return createCache(version);
+    throw err;
+  }
+}
+
+/**
+ * Writes the records cleaned or reused this run, dropping stockcodes no longer in the data.
+ * @param {string} dataset
+ * @param {object} cache from loadCache
+ * @param {object} [options] { dir }
+ */
+async function saveCache(dataset, cache, { dir = CACHE_DIR } = {}) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${dataset}.json`), JSON.stringify(cache), 'utf8');
+}
+
+// One line of cache statistics for the end of a run.
+function describeStats(dataset, { hits, recomputed, added, changed, full }) {
+  const why = full ? `full rebuild, ${full}` : `${added} new, ${changed} changed`;
+  return `Transform cache for ${dataset}: ${hits} reused, ${recomputed} recomputed (${why})`;
+}
+
+module.exports = {
+  TRANSFORM_SOURCES,
+  transformVersion,
+  recordHash,
+  createCache,
+  loadCache,
+  saveCache,
+  describeStats
+};
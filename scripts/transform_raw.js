@@ -0,0 +1,448 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { getCategory } = require('./categories');
+const { getDataset } = require('./catalogue');
+const { productClass, findRate, alcoholTaxCost } = require('./excise');
+const { REASONS, createQualityReport, checkPricing, summarise } = require('./quality');
+const { loadCorrections, createCorrector } = require('./corrections');
+const { assignFamilies, buildFamilyIndex } = require('./families');
+const { resolveConfig, assignValueScores, buildBestValue } = require('./value');
+const { transformVersion, recordHash, loadCache, saveCache, describeStats } = require('./transform_cache');
+const { PRICING_GROUPS, DEFAULT_SOURCE, getSource } = require('./sources');
+const { combineBundle } = require('./sources/danmurphys');
+
+// Raw retailer records -> cleaned {stockcode, source, properties, pricing} records.
+//
+// processDataset reads datasets_raw/<dataset>_raw.json and writes
+// datasets_cleaned/<dataset>.json with its families index, quality report and
+// best value list.
+// The steps are exported on their own so they can be reused and tested without
+// touching the files: the dataset's source (see sources/) flattens a raw record,
+// e.g. combineBundle for Dan Murphy's bundles, cleanRecord turns it into a
+// cleaned record, and transformRecords does a whole dataset.
+// processDataset only cleans the bundles that changed since the last run and
+// reuses the other records, see transform_cache.js.
+//
+// Usage: node scripts/transform_raw.js [dataset] [YYYY-MM-DD], or `node scripts/cli.js transform`.
+
+const RAW_DIR = path.join(__dirname, '..', 'datasets_raw');
+const CLEANED_DIR = path.join(__dirname, '..', 'datasets_cleaned');
+
+// Trailing size and pack details in a name, e.g. "Cans 6X500mL" or "330mL".
+const NAME_CLEAN_PATTERN = /(\s*((?:(?:bottles?|cans?|longnecks?)\s*)?\d+(?:\s*[Xx]\s*\d+)*(?:\s*mL)(?:\s*(?:bottles?|cans?|longnecks?))?(?:\s*\(.*\))?))$/i;
+
+// Helper function to round to a given number of decimals.
+function roundTo(value, decimals) {
+  return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+// Extract the first numeric value from a string.
+function extractNumberFromString(str, fieldName, stockcode, quality) {
+  const match = str.match(/[\d.]+/);
+  if (!match) {
+    console.error(`Extraction error for stockcode ${stockcode}: field ${fieldName} with value "${str}"`);
+    if (quality) quality.add(stockcode, REASONS.EXTRACTION_ERROR, { field: fieldName, value: str });
+    return null;
+  }
+  const num = parseFloat(match[0]);
+  if (isNaN(num)) {
+    console.error(`Extraction error (NaN) for stockcode ${stockcode}: field ${fieldName} with value "${str}"`);
+    if (quality) quality.add(stockcode, REASONS.EXTRACTION_ERROR, { field: fieldName, value: str });
+    return null;
+  }
+  return num;
+}
+
+// Pick the vessel from the name using the category rules, falling back to the closure.
+function findVessel(name, closure, config) {
+  const rule = config.vessels.find(({ pattern }) => pattern.test(name));
+  if (rule) return rule.vessel;
+  if (closure) return config.closureVessels[closure.toLowerCase()] || null;
+  return null;
+}
+
+// Serving size in mL from the name, using the last match of the category pattern.
+function findNameSize(name, config) {
+  const matches = [...name.matchAll(config.nameSizePattern)];
+  if (matches.length === 0) return null;
+  const match = matches[matches.length - 1];
+  let size = parseFloat(match[1] || match[0]);
+  if (match[2] && match[2].toLowerCase() === 'l') {
+    size = size * 1000;
+  }
+  return Math.round(size);
+}
+
+// Name without the trailing size and pack details.
+function cleanName(name) {
+  return name.replace(NAME_CLEAN_PATTERN, '').trim();
+}
+
+// Listed size in mL, e.g. "375mL", or "1.5" litres (anything under 5 is taken as litres).
+function listedSizeMl(size, stockcode, quality) {
+  if (!size) return null;
+  const extracted = extractNumberFromString(size, "size", stockcode, quality);
+  if (extracted === null) return null;
+  return extracted < 5 ? extracted * 1000 : extracted;
+}
+
+/**
+ * ABV from the listed percentage. Some products give it as a fraction
+ * (0.046 for 4.6%), which shows when they also list standard drinks.
+ * @param {number|null} percent listed percentage as a number
+ * @param {number|null} standardDrinks listed standard drinks
+ * @returns {number|null}
+ */
+function inferPercentage(percent, standardDrinks) {
+  if (percent !== null && percent < 0.1 && standardDrinks) {
+    return percent * 100;
+  }
+  return percent;
+}
+
+/**
+ * Serving size in mL, in order of trust:
+ * 1. the size in the name,
+ * 2. the listed size, if it is within the category size range,
+ * 3. back-calculated as (standard drinks * 1267) / ABV.
+ * @param {object} product { name, sizeMl, percentage, standardDrinks }
+ * @param {object} config category settings from categories.js
+ * @returns {{size: number|null, backCalculated: boolean}}
+ */
+function inferSize({ name, sizeMl, percentage, standardDrinks }, config) {
+  const nameSize = findNameSize(name, config);
+  if (nameSize !== null) {
+    return { size: nameSize, backCalculated: false };
+  }
+  const [minSize, maxSize] = config.sizeRange;
+  if (sizeMl !== null && sizeMl >= minSize && sizeMl < maxSize) {
+    return { size: sizeMl, backCalculated: false };
+  }
+  if (standardDrinks !== null && percentage !== null && percentage !== 0) {
+    return { size: roundTo((standardDrinks * 1267) / percentage, 0), backCalculated: true };
+  }
+  return { size: null, backCalculated: false };
+}
+
+/**
+ * Standard drinks per serving, calculated as (ABV * size) / 1267 to 1dp.
+ * The listed value is kept when it is within 0.15 of the calculation, and used
+ * as is when there is nothing to calculate from.
+ * @param {number|null} percentage ABV
+ * @param {number|null} size serving size in mL
+ * @param {number|null} standardDrinks listed standard drinks
+ * @returns {{standardDrinks: number|null, mismatch: boolean}} mismatch when the listed value was replaced
+ */
+function inferStandardDrinks(percentage, size, standardDrinks) {
+  if (size === null || percentage === null) {
+    return { standardDrinks, mismatch: false };
+  }
+  const calc = Number(((percentage * size) / 1267).toFixed(1));
+  if (standardDrinks !== null && Math.abs(calc - standardDrinks) <= 0.15) {
+    return { standardDrinks, mismatch: false };
+  }
+  return { standardDrinks: calc, mismatch: true };
+}
+
+/**
+ * One pricing group: unit price, cost per standard drink and alcohol tax.
+ * @param {number|null|undefined} total_price price of the group, missing prices are undefined
+ * @param {number|null|undefined} units units the price buys
+ * @param {object} properties cleaned properties (percentage_raw, size_clean, standard_drinks_clean)
+ * @param {object} exciseRate rate row from excise.findRate
+ * @returns {object|null} null when there is no price
+ */
+function calcPricing(total_price, units, properties, exciseRate) {
+  if (total_price === null || total_price === undefined) return null;
+  let unit_price = null;
+  let cost_per_standard = null;
+  if (units !== null && units !== undefined && units !== 0) {
+    unit_price = roundTo(total_price / units, 2);
+    if (properties.standard_drinks_clean !== null && properties.standard_drinks_clean !== 0) {
+      cost_per_standard = roundTo(unit_price / properties.standard_drinks_clean, 2);
+    }
+  }
+  // WET depends on the price paid, so tax is worked out per group.
+  const alcohol_tax_cost = alcoholTaxCost(exciseRate, {
+    percentage: properties.percentage_raw,
+    sizeMl: properties.size_clean,
+    standardDrinks: properties.standard_drinks_clean,
+    unitPrice: unit_price
+  });
+  const alcohol_tax_percent = (cost_per_standard && cost_per_standard > 0)
+    ? roundTo((alcohol_tax_cost / cost_per_standard) * 100, 0)
+    : 0;
+  return { total_price, units, unit_price, cost_per_standard, alcohol_tax_cost, alcohol_tax_percent };
+}
+
+/**
+ * Turns a flattened raw record into a cleaned record.
+ * @param {object} combined record from the source's extract, e.g. combineBundle
+ * @param {object} options
+ * @param {object} options.config category settings from categories.js
+ * @param {Date|string} options.snapshotDate picks the excise rates
+ * @param {object} [options.correction] entry from loadCorrections for the stockcode
+ * @param {object} [options.quality] report from createQualityReport, findings are added to it
+ * @param {object} [options.source] adapter from sources/, defaults to Dan Murphy's
+ * @returns {object} { stockcode, source, properties, pricing, availability, corrections? }
+ */
+function cleanRecord(combined, { config, snapshotDate, correction, quality = createQualityReport(), source = getSource(DEFAULT_SOURCE) }) {
+  const fix = createCorrector(correction);
+  // The source reads its own format: names, percentages and prices with their unit counts.
+  const item = source.normalise(combined, { config, fix, quality });
+  const stockcode = item.stockcode;
+
+  // PROPERTIES:
+  const name = item.name;
+  const name_clean = fix.property('name_clean', cleanName(name));
+  const brand = fix.property('brand', item.brand);
+  const size_ml = fix.property('size_ml', typeof item.size === 'number' ? item.size : listedSizeMl(item.size, stockcode, quality));
+
+  const raw_percent = fix.property('percentage_raw', inferPercentage(item.percent, item.standard_drinks));
+  const raw_standard_drinks = fix.property('standard_drinks_raw', item.standard_drinks);
+
+  let rating = item.rating;
+  if (rating !== null) {
+    rating = Math.round(rating * 10) / 10;
+  }
+
+  // vessel: determine from name using the category rules, e.g. bottle, can, longneck or cask.
+  // Sources that list the container themselves are the fallback.
+  const vessel = fix.property('vessel', findVessel(name, item.closure, config) || item.vessel || null);
+  if (!vessel) {
+    quality.add(stockcode, REASONS.NO_VESSEL, { field: 'vessel', name });
+  }
+
+  // size_clean: from the name, the listed size or the standard drinks, see inferSize.
+  const inferred = inferSize({ name, sizeMl: size_ml, percentage: raw_percent, standardDrinks: raw_standard_drinks }, config);
+  if (inferred.backCalculated) {
+    quality.add(stockcode, REASONS.SIZE_BACK_CALCULATED, { field: 'size_clean', value: inferred.size, size_raw: item.size || null });
+  }
+  const size_clean = fix.property('size_clean', inferred.size);
+
+  // Rename raw fields.
+  const percentage_raw = raw_percent;
+  const standard_drinks_raw = raw_standard_drinks;
+
+  // standard_drinks_clean: calculated from percentage_raw and size_clean, see inferStandardDrinks.
+  const drinks = inferStandardDrinks(percentage_raw, size_clean, standard_drinks_raw);
+  if (drinks.mismatch) {
+    quality.add(stockcode, REASONS.STANDARD_DRINKS_MISMATCH, {
+      field: 'standard_drinks_clean',
+      standard_drinks_raw,
+      standard_drinks_clean: drinks.standardDrinks
+    });
+  }
+  const standard_drinks_clean = fix.property('standard_drinks_clean', drinks.standardDrinks);
+
+  const properties = {
+    name,
+    name_clean,
+    brand,
+    size_ml,
+    size_clean,
+    percentage_raw,
+    standard_drinks_raw,
+    standard_drinks_clean,
+    vessel,
+    image_url: item.image_url,
+    rating,
+    review_count: item.review_count,
+    // Only sold online for delivery, not in store.
+    delivery_only: item.delivery_only,
+    ...item.details,
+    // Set from the name once all records are done, unless a correction sets it.
+    family_id: null,
+    // Set from the whole dataset once all records are done, see value.js.
+    rating_adjusted: null,
+    value_score: null
+  };
+  // Anything else can be overridden too, e.g. rating or beer_style.
+  for (const key of Object.keys(properties)) {
+    properties[key] = fix.property(key, properties[key]);
+  }
+
+  // Alcohol Tax Calculation, using the rate row in force on the snapshot date.
+  const excise_rate = findRate(productClass(config.excise, properties.percentage_raw, properties.name), snapshotDate);
+
+  // PRICING: each group the source has a price for, e.g. case, pack_special.
+  const finalPricing = {};
+  for (const key of PRICING_GROUPS) {
+    const { price, units, promo } = item.prices[key] || {};
+    const group = calcPricing(price, units, properties, excise_rate);
+    if (group !== null && group.cost_per_standard !== null) {
+      finalPricing[key] = group;
+      // Specials say whether you need to be a member and how many you have to buy.
+      if (promo) finalPricing[key].promo = { ...promo };
+    }
+  }
+
+  const outRecord = {
+    stockcode,
+    // Which retailer it is from, see sources/.
+    source: item.source,
+    properties: {
+      ...properties,
+      // Update property field names per requirements.
+      percentage_raw,
+      standard_drinks_raw,
+      standard_drinks_clean: properties.standard_drinks_clean || standard_drinks_raw,
+      excise_rate: excise_rate.id
+    },
+    pricing: finalPricing,
+    // Whether it can be ordered now, see availability.js.
+    availability: item.availability
+  };
+  // Which fields were corrected by hand, and why.
+  const corrected = fix.summary();
+  if (corrected) {
+    outRecord.corrections = corrected;
+  }
+  return outRecord;
+}
+
+/**
+ * Cleans a whole raw dataset, without reading or writing any files.
+ * @param {Array} bundles raw records, as in <dataset>_raw.json
+ * @param {object} options
+ * @param {string} options.dataset dataset name, for messages and the quality report
+ * @param {object} options.config category settings from categories.js
+ * @param {object} [options.source] adapter from sources/ the records are from, defaults to Dan Murphy's
+ * @param {Date|string} [options.snapshotDate] picks the excise rates
+ * @param {Map} [options.corrections] from loadCorrections
+ * @param {object} [options.valueConfig] overrides of value_score.json
+ * @param {object} [options.cache] from loadCache in transform_cache.js, records whose
+ *   bundle and correction haven't changed are taken from it instead of cleaned again
+ * @returns {{records: Array, quality: object}} the cleaned records, with family_id,
+ *   rating_adjusted and value_score set, and the quality report of the run
+ */
+function transformRecords(bundles, { dataset, config, source = getSource(DEFAULT_SOURCE), snapshotDate = new Date(), corrections = new Map(), valueConfig, cache }) {
+  const quality = createQualityReport(dataset);
+  const output = [];
+  const seenStockcodes = new Set();
+
+  for (const bundle of bundles) {
+    const combined = source.extract(bundle, config);
+    if (!combined) continue;
+    seenStockcodes.add(combined.stockcode);
+    const correction = corrections.get(combined.stockcode);
+    if (correction && correction.exclude) continue;
+    if (!cache) {
+      output.push(cleanRecord(combined, { config, snapshotDate, correction, quality, source }));
+      continue;
+    }
+    const hash = recordHash(combined, correction);
+    const cached = cache.get(combined.stockcode, hash);
+    if (cached) {
+      output.push(cached.record);
+      quality.issues.push(...cached.issues);
+      continue;
+    }
+    // Collect the record's own issues so they can be cached with it.
+    const recordQuality = createQualityReport(dataset);
+    const record = cleanRecord(combined, { config, snapshotDate, correction, quality: recordQuality, source });
+    cache.set(combined.stockcode, hash, record, recordQuality.issues);
+    output.push(record);
+    quality.issues.push(...recordQuality.issues);
+  }
+
+  // Corrections for products that have gone from the data are probably stale.
+  for (const [stockcode, correction] of corrections) {
+    if (!seenStockcodes.has(stockcode) && !correction.exclude) {
+      console.warn(`Correction for stockcode ${stockcode} matches no product in ${dataset}`);
+      quality.add(stockcode, REASONS.CORRECTION_UNMATCHED, { reasons: correction.reasons });
+    }
+  }
+
+  // Group stockcodes of the same product across pack sizes and vessels.
+  assignFamilies(output);
+  assignValueScores(output, valueConfig);
+  checkPricing(quality, output);
+  return { records: output, quality };
+}
+
+/**
+ * Transforms <rawDir>/<dataset>_raw.json into <cleanedDir>/<dataset>.json,
+ * using the rules for the dataset's category, and writes the families index,
+ * the quality report and the best value list next to it.
+ * @param {string} dataset dataset declared in catalogue.json, e.g. "beer", "cider"
+ * @param {object} [options]
+ * @param {Date|string} [options.snapshotDate] date the raw data was captured, picks the excise rates
+ * @param {string} [options.rawDir] defaults to datasets_raw
+ * @param {string} [options.cleanedDir] defaults to datasets_cleaned
+ * @param {string} [options.correctionsDir] defaults to datasets_corrections
+ * @param {object} [options.valueConfig] overrides of value_score.json
+ * @param {string} [options.cacheDir] defaults to .transform_cache, see transform_cache.js
+ * @param {boolean} [options.full] clean every record again instead of reusing the cached ones
+ * @returns {Promise<{records: Array, families: Array, report: object, bestValue: object, cacheStats: object}>}
+ */
+async function processDataset(dataset, { snapshotDate = new Date(), rawDir = RAW_DIR, cleanedDir = CLEANED_DIR, correctionsDir, valueConfig, cacheDir, full = false } = {}) {
+  const { category, source: sourceName } = getDataset(dataset);
+  const config = getCategory(category);
+  const source = getSource(sourceName);
+  // Get the corrections map first, see corrections.js for the format.
+  const corrections = await loadCorrections(dataset, snapshotDate, { dir: correctionsDir });
+
+  // The cleaned directory may be new, e.g. --out /tmp/cleaned.
+  await fs.mkdir(cleanedDir, { recursive: true });
+
+  // Step 1: Read raw data from <rawDir>/<dataset>_raw.json.
+  const rawPath = path.join(rawDir, `${dataset}_raw.json`);
+  const rawContent = await fs.readFile(rawPath, 'utf8');
+
+  // Step 2: Transform the bundles to the final output, reusing the records that haven't changed.
+  const cache = await loadCache(dataset, await transformVersion(category, snapshotDate, sourceName), { dir: cacheDir, full });
+  const { records, quality } = transformRecords(JSON.parse(rawContent), { dataset, config, source, snapshotDate, corrections, valueConfig, cache });
+
+  // Write final output to <dataset>.json in the cleaned directory.
+  const outputPath = path.join(cleanedDir, `${dataset}.json`);
+  await fs.writeFile(outputPath, JSON.stringify(records, null, 2), 'utf8');
+  console.log(`Output written to ${outputPath}`);
+
+  // Write the families index next to it.
+  const families = buildFamilyIndex(records);
+  const familiesPath = path.join(cleanedDir, `${dataset}_families.json`);
+  await fs.writeFile(familiesPath, JSON.stringify({ dataset, families }, null, 2), 'utf8');
+  console.log(`Families index written to ${familiesPath}: ${families.length} families`);
+
+  // Write the data-quality findings next to it.
+  const report = summarise(quality);
+  const qualityPath = path.join(cleanedDir, `${dataset}_quality.json`);
+  await fs.writeFile(qualityPath, JSON.stringify(report, null, 2), 'utf8');
+  console.log(`Quality report written to ${qualityPath}: ${report.issues.length} issues ${JSON.stringify(report.counts)}`);
+
+  // Write the best value list next to it.
+  const bestValue = buildBestValue(records, valueConfig);
+  const bestValuePath = path.join(cleanedDir, `${dataset}_best_value.json`);
+  await fs.writeFile(bestValuePath, JSON.stringify({ dataset, config: resolveConfig(valueConfig), ...bestValue }, null, 2), 'utf8');
+  console.log(`Best value list written to ${bestValuePath}: ${bestValue.overall.length} products, ${Object.keys(bestValue.styles).length} styles`);
+
+  await saveCache(dataset, cache, { dir: cacheDir });
+  console.log(describeStats(dataset, cache.stats));
+
+  return { records, families, report, bestValue, cacheStats: cache.stats };
+}
+
+module.exports = {
+  cleanName,
+  findVessel,
+  findNameSize,
+  inferPercentage,
+  inferSize,
+  inferStandardDrinks,
+  calcPricing,
+  combineBundle,
+  cleanRecord,
+  transformRecords,
+  processDataset
+};
+
+// Dataset is the first argument and defaults to beer.
+// An optional second argument (YYYY-MM-DD) sets the snapshot date for historical data.
+if (require.main === module) {
+  const [dataset = 'beer', snapshotDate] = process.argv.slice(2);
+  processDataset(dataset, { snapshotDate: snapshotDate || new Date() }).catch(err => {
+    console.error(`Error processing ${dataset}:`, err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,260 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { loadCatalogue, getDataset } = require('./catalogue');
+
+// Checks the raw and cleaned datasets against the JSON Schemas in schemas/ before
+// they are committed, and that no dataset has shrunk sharply since the last good run.
+//
+// Usage: node scripts/validate.js <raw|cleaned> [dataset ...]
+//   raw      datasets_raw/<dataset>_raw.json (raw_bundle) and datasets_raw/<dataset>.json (legacy_record),
+//            or only datasets_raw/<dataset>_raw.json (feed_product) for json_feed datasets
+//   cleaned  datasets_cleaned/<dataset>.json (cleaned_record)
+//
+// Exits 1 with a report if anything fails. Record counts of the last passing run are
+// kept in record_counts.json in each directory; a drop of more than VALIDATE_MAX_DROP
+// (default 0.2, i.e. 20%) fails the run.
+//
+// Only the JSON Schema keywords used by our schemas are supported: type, required,
+// properties, additionalProperties, items, minItems, minLength, minimum, const, enum,
+// contains, allOf and local $refs.
+
+const ROOT = path.join(__dirname, '..');
+const SCHEMA_DIR = path.join(ROOT, 'schemas');
+const DEFAULT_MAX_DROP = 0.2;
+
+// Files checked at each stage, per dataset. `sources` limits a file to datasets from those sources.
+const STAGES = {
+  raw: {
+    dir: path.join(ROOT, 'datasets_raw'),
+    files: [
+      { file: name => `${name}_raw.json`, schema: 'raw_bundle', sources: ['danmurphys'] },
+      { file: name => `${name}.json`, schema: 'legacy_record', sources: ['danmurphys'] },
+      { file: name => `${name}_raw.json`, schema: 'feed_product', sources: ['json_feed'] }
+    ]
+  },
+  cleaned: {
+    dir: path.join(ROOT, 'datasets_cleaned'),
+    files: [
+      { file: name => `${name}.json`, schema: 'cleaned_record' }
+    ]
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported, got ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [at] path of the value, used in error messages
+ * @param {object} [root] schema that $refs are resolved against
+ * @returns {Array<{path: string, message: string}>}
+ */
+function validateSchema(value, schema, at = '', root = schema) {
+  if (schema.$ref) return validateSchema(value, resolveRef(schema.$ref, root), at, root);
+
+  const errors = [];
+  const fail = message => errors.push({ path: at || '(record)', message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    fail(`expected at least ${schema.minLength} characters`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    fail(`expected at least ${schema.minimum}, got ${value}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required field ${key}`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateSchema(child, childSchema, `${at}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected field ${key}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(child, schema.additionalProperties, `${at}.${key}`, root));
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`expected at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`, root)));
+    }
+    if (schema.contains && !value.some(item => validateSchema(item, schema.contains, at, root).length === 0)) {
+      fail(`no item matches ${JSON.stringify(schema.contains)}`);
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    errors.push(...validateSchema(value, sub, at, root));
+  }
+  return errors;
+}
+
+// Stockcode of a raw bundle, feed product or cleaned/legacy record, for the report.
+function recordId(record) {
+  return record?.stockcode || record?.Products?.[0]?.Stockcode || record?.sku || '?';
+}
+
+/**
+ * Validates every record of a dataset, grouping errors that share a path and message.
+ * @param {Array} records
+ * @param {object} schema
+ * @returns {Array<{path: string, message: string, count: number, examples: string[]}>}
+ */
+function validateRecords(records, schema) {
+  const groups = new Map();
+  records.forEach(record => {
+    for (const error of validateSchema(record, schema)) {
+      // Array indexes are dropped so the same problem on every record is reported once.
+      const key = `${error.path.replace(/\[\d+\]/g, '[]')}: ${error.message}`;
+      const group = groups.get(key) || { path: error.path.replace(/\[\d+\]/g, '[]'), message: error.message, count: 0, examples: [] };
+      group.count++;
+      if (group.examples.length < 3 && !group.examples.includes(recordId(record))) {
+        group.examples.push(recordId(record));
+      }
+      groups.set(key, group);
+    }
+  });
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Returns an error message if the record count dropped by more than maxDrop.
+ * @param {number} count
+ * @param {number|undefined} previous count from the last passing run
+ * @param {number} maxDrop fraction, e.g. 0.2
+ */
+function checkCount(count, previous, maxDrop) {
+  if (!previous) return null;
+  const drop = (previous - count) / previous;
+  if (drop > maxDrop) {
+    return `record count dropped from ${previous} to ${count} (${Math.round(drop * 100)}%, limit ${Math.round(maxDrop * 100)}%)`;
+  }
+  return null;
+}
+
+async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT' && fallback !== undefined) return fallback;
+    throw err;
+  }
+}
+
+/**
+ * Validates the files of a stage for the given datasets and prints a report.
+ * @param {string} stageName "raw" or "cleaned"
+ * @param {string[]} datasets dataset names from the catalogue
+ * @param {number} maxDrop largest allowed fractional drop in record count
+ * @param {string} [dir] directory of the stage's files, defaults to datasets_raw or datasets_cleaned
+ * @returns {Promise<boolean>} true if everything passed
+ */
+async function validateStage(stageName, datasets, maxDrop = DEFAULT_MAX_DROP, dir) {
+  const stage = STAGES[stageName];
+  if (!stage) throw new Error(`Unknown stage "${stageName}", expected raw or cleaned`);
+  const stageDir = dir || stage.dir;
+
+  const countsPath = path.join(stageDir, 'record_counts.json');
+  const previousCounts = await readJSON(countsPath, {});
+  const counts = {};
+  let passed = true;
+
+  const catalogue = loadCatalogue();
+  for (const dataset of datasets) {
+    const { source } = getDataset(dataset, catalogue);
+    for (const { file: fileName, schema: schemaName, sources } of stage.files) {
+      if (sources && !sources.includes(source)) continue;
+      const file = fileName(dataset);
+      const schema = await readJSON(path.join(SCHEMA_DIR, `${schemaName}.schema.json`));
+      let records;
+      try {
+        records = await readJSON(path.join(stageDir, file));
+      } catch (err) {
+        console.log(`FAIL ${file}: ${err.code === 'ENOENT' ? 'file is missing' : err.message}`);
+        passed = false;
+        continue;
+      }
+      if (!Array.isArray(records)) {
+        console.log(`FAIL ${file}: expected an array of records`);
+        passed = false;
+        continue;
+      }
+
+      const problems = validateRecords(records, schema);
+      const countProblem = checkCount(records.length, previousCounts[file], maxDrop);
+      counts[file] = records.length;
+      if (problems.length === 0 && !countProblem) {
+        console.log(`OK   ${file}: ${records.length} records`);
+        continue;
+      }
+
+      passed = false;
+      console.log(`FAIL ${file}: ${records.length} records`);
+      if (countProblem) console.log(`     ${countProblem}`);
+      for (const problem of problems) {
+        console.log(`     ${problem.count} x ${problem.path}: ${problem.message} (e.g. ${problem.examples.join(', ')})`);
+      }
+    }
+  }
+
+  if (passed) {
+    await fs.writeFile(countsPath, JSON.stringify({ ...previousCounts, ...counts }, null, 2), 'utf8');
+  }
+  return passed;
+}
+
+module.exports = { STAGES, validateSchema, validateRecords, checkCount, validateStage };
+
+if (require.main === module) {
+  const [stageName, ...names] = process.argv.slice(2);
+  const maxDrop = process.env.VALIDATE_MAX_DROP !== undefined ? +process.env.VALIDATE_MAX_DROP : DEFAULT_MAX_DROP;
+  const run = async () => {
+    const catalogue = loadCatalogue();
+    const datasets = names.length > 0 ? names.map(name => getDataset(name, catalogue).name) : Object.keys(catalogue);
+    const passed = await validateStage(stageName, datasets, maxDrop);
+    if (!passed) {
+      console.error(`Validation of ${stageName} datasets failed`);
+      process.exit(1);
+    }
+  };
+  run().catch(err => {
+    console.error("Error:", err);
+    process.exit(1);
+  });
+}
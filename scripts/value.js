@@ -0,0 +1,168 @@
+const { isBuyable } = require('./availability');
+const { styleOf } = require('./categories');
+
+// Review-adjusted ratings and a "value score" for the cleaned records.
+//
+// A 5.0 rating from one review says much less than 4.2 from 300, so
+// `rating_adjusted` is a Bayesian average: the rating is blended with the
+// review-weighted mean rating of the dataset as if the product had
+// `priorReviews` extra reviews at that mean. Products without reviews get the mean.
+//
+// `value_score` (0-100) combines, with the `weights` of value_score.json:
+//   rating  rating_adjusted on its 1-5 scale
+//   cost    how cheap the cheapest cost_per_standard is, as a percentile of the dataset
+//   abv     how strong it is, as a percentile of the dataset
+// Percentiles keep the odd very cheap or very strong product from squashing the
+// rest. `memberPrices: false` leaves member-only specials out of the cost.
+//
+// transform_raw.js writes the best `listSize` buyable products (all of them with
+// `buyableOnly: false`), overall and for each style, to
+// datasets_cleaned/<dataset>_best_value.json.
+
+const DEFAULT_CONFIG = require('./value_score.json');
+
+// Bounds of the ratings scale.
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+function roundTo(value, decimals) {
+  return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+}
+
+// value_score.json with the given overrides, weights merged one by one.
+function resolveConfig(config = {}) {
+  return { ...DEFAULT_CONFIG, ...config, weights: { ...DEFAULT_CONFIG.weights, ...config.weights } };
+}
+
+/**
+ * Bayesian average of a rating.
+ * @param {number|null} rating average rating
+ * @param {number|null} reviews number of reviews behind it
+ * @param {number} prior rating assumed without reviews, e.g. the dataset mean
+ * @param {number} priorReviews how many reviews the prior is worth
+ * @returns {number}
+ */
+function bayesianRating(rating, reviews, prior, priorReviews) {
+  if (rating === null || rating === undefined || !(reviews > 0)) return prior;
+  return (prior * priorReviews + rating * reviews) / (priorReviews + reviews);
+}
+
+/**
+ * Mean rating of the dataset, weighted by review count.
+ * @param {Array} records cleaned records
+ * @returns {number|null} null when nothing has been reviewed
+ */
+function ratingPrior(records) {
+  let total = 0;
+  let reviews = 0;
+  for (const { properties } of records) {
+    if (properties.rating !== null && properties.review_count > 0) {
+      total += properties.rating * properties.review_count;
+      reviews += properties.review_count;
+    }
+  }
+  return reviews > 0 ? total / reviews : null;
+}
+
+/**
+ * Cheapest cost per standard drink of a record.
+ * @param {object} record cleaned record
+ * @param {object} [config] { memberPrices }
+ * @returns {{group: string, cost_per_standard: number}|null}
+ */
+function bestCost(record, config = DEFAULT_CONFIG) {
+  let best = null;
+  for (const [group, pricing] of Object.entries(record.pricing)) {
+    if (!config.memberPrices && pricing.promo && pricing.promo.member_only) continue;
+    if (!best || pricing.cost_per_standard < best.cost_per_standard) {
+      best = { group, cost_per_standard: pricing.cost_per_standard };
+    }
+  }
+  return best;
+}
+
+// Share of the other values below each value, ties counting half, as a function value => 0..1.
+function percentileOf(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return value => {
+    if (sorted.length < 2) return 1;
+    let below = 0;
+    let equal = 0;
+    for (const other of sorted) {
+      if (other < value) below++;
+      else if (other === value) equal++;
+    }
+    return (below + (equal - 1) / 2) / (sorted.length - 1);
+  };
+}
+
+/**
+ * Sets properties.rating_adjusted and properties.value_score on every record.
+ * value_score is null for records without a price or ABV.
+ * @param {Array} records cleaned records
+ * @param {object} [config] overrides of value_score.json
+ */
+function assignValueScores(records, config) {
+  const { priorReviews, weights, memberPrices } = resolveConfig(config);
+  const prior = ratingPrior(records);
+  const costs = new Map(records.map(record => [record, bestCost(record, { memberPrices })]));
+  const scored = new Set(records.filter(record => costs.get(record) && record.properties.percentage_raw !== null));
+  const costPercentile = percentileOf([...scored].map(record => -costs.get(record).cost_per_standard));
+  const abvPercentile = percentileOf([...scored].map(record => record.properties.percentage_raw));
+  const totalWeight = weights.rating + weights.cost + weights.abv;
+
+  for (const record of records) {
+    const p = record.properties;
+    p.rating_adjusted = prior === null ? null : roundTo(bayesianRating(p.rating, p.review_count, prior, priorReviews), 2);
+    p.value_score = null;
+    if (!scored.has(record) || totalWeight <= 0) continue;
+    const rating = p.rating_adjusted === null ? 0.5 : (p.rating_adjusted - MIN_RATING) / (MAX_RATING - MIN_RATING);
+    const score = weights.rating * rating +
+      weights.cost * costPercentile(-costs.get(record).cost_per_standard) +
+      weights.abv * abvPercentile(p.percentage_raw);
+    p.value_score = roundTo((100 * score) / totalWeight, 1);
+  }
+}
+
+/**
+ * Best value products, overall and for each style, highest value_score first.
+ * @param {Array} records cleaned records with value_score set
+ * @param {object} [config] overrides of value_score.json
+ * @returns {{overall: Array, styles: object}} styles keyed by style name, products
+ *   without a style are only in overall
+ */
+function buildBestValue(records, config) {
+  const { listSize, buyableOnly, memberPrices } = resolveConfig(config);
+  const entries = records
+    .filter(record => record.properties.value_score !== null)
+    .filter(record => !buyableOnly || isBuyable(record.availability))
+    .map(record => {
+      const p = record.properties;
+      const cost = bestCost(record, { memberPrices });
+      return {
+        stockcode: record.stockcode,
+        name: p.name,
+        style: styleOf(p),
+        value_score: p.value_score,
+        rating: p.rating,
+        review_count: p.review_count,
+        rating_adjusted: p.rating_adjusted,
+        percentage: p.percentage_raw,
+        group: cost.group,
+        cost_per_standard: cost.cost_per_standard
+      };
+    })
+    .sort((a, b) => (b.value_score - a.value_score) || a.cost_per_standard - b.cost_per_standard || a.stockcode.localeCompare(b.stockcode));
+
+  const ranked = list => list.slice(0, listSize).map((entry, i) => ({ rank: i + 1, ...entry }));
+  const styles = {};
+  for (const entry of entries) {
+    if (entry.style) (styles[entry.style] = styles[entry.style] || []).push(entry);
+  }
+  return {
+    overall: ranked(entries),
+    styles: Object.fromEntries(Object.keys(styles).sort().map(style => [style, ranked(styles[style])]))
+  };
+}
+
+module.exports = { DEFAULT_CONFIG, resolveConfig, bayesianRating, ratingPrior, bestCost, assignValueScores, buildBestValue };
@@ -0,0 +1,84 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { TYPES, loadWatchlists, matchesEntry, findAlerts, toAtom } = require('../scripts/alerts');
+
+const fixtures = require('./helpers');
+const { group } = fixtures;
+
+// A cleaned record with a case and, optionally, a case special.
+function record(stockcode, { cost = 2, unitPrice = 3, special = null, buyable = true, brand = 'Test Brewing', style = 'Pale Ale' } = {}) {
+  const pricing = { case: group(unitPrice * 24, 24, { cost_per_standard: cost }) };
+  if (special) pricing.case_special = group(special * 24, 24, { standardDrinks: 1.5 });
+  return fixtures.record(stockcode, pricing, { brand, beer_style: style, family_id: 'testpaleale-4.6' }, { buyable });
+}
+
+describe('loadWatchlists', () => {
+  it('reads every list and rejects entries that would match everything', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+    fs.writeFileSync(path.join(dir, 'team.json'), JSON.stringify([{ stockcodes: ['100001'], max_unit_price: 2 }]));
+    assert.deepStrictEqual(await loadWatchlists(dir), [{ list: 'team', stockcodes: ['100001'], max_unit_price: 2 }]);
+
+    fs.writeFileSync(path.join(dir, 'zz.json'), JSON.stringify([{ max_unit_price: 2 }]));
+    await assert.rejects(loadWatchlists(dir), /zz.json entry 0: needs one of/);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('has no entries without the directory', async () => {
+    assert.deepStrictEqual(await loadWatchlists(path.join(os.tmpdir(), 'no-such-watchlists')), []);
+  });
+});
+
+describe('matchesEntry', () => {
+  it('needs every filter of the entry to match', () => {
+    const beer = record('100001');
+    assert.strictEqual(matchesEntry({ brand: 'test brewing', style: 'pale ale' }, 'beer', beer), true);
+    assert.strictEqual(matchesEntry({ brand: 'test brewing', style: 'Lager' }, 'beer', beer), false);
+    assert.strictEqual(matchesEntry({ family_id: 'testpaleale-4.6', dataset: 'cider' }, 'beer', beer), false);
+    assert.strictEqual(matchesEntry({ stockcodes: ['100002'] }, 'beer', beer), false);
+  });
+});
+
+describe('findAlerts', () => {
+  const entries = [{ list: 'team', stockcodes: ['100001'], max_cost_per_standard: 1.5 }];
+
+  it('alerts when a price comes down to a target, once', () => {
+    const alerts = findAlerts(entries, 'beer', [record('100001')], [record('100001', { cost: 1.4 })], '2024-05-01');
+    assert.deepStrictEqual(alerts.map(alert => [alert.id, alert.type, alert.targets]), [
+      ['2024-05-01/beer/team/100001/price_target', TYPES.PRICE_TARGET, { max_cost_per_standard: 1.5 }]
+    ]);
+    assert.deepStrictEqual(findAlerts(entries, 'beer', [record('100001', { cost: 1.4 })], [record('100001', { cost: 1.3 })]), []);
+  });
+
+  it('alerts when a product goes on special', () => {
+    const alerts = findAlerts(entries, 'beer', [record('100001')], [record('100001', { special: 2.7 })]);
+    assert.deepStrictEqual(alerts.map(alert => [alert.type, alert.specials]), [[TYPES.ON_SPECIAL, ['case_special']]]);
+  });
+
+  it('alerts when a product can be ordered again, and only then for its target', () => {
+    const alerts = findAlerts(entries, 'beer', [record('100001', { cost: 1.4, buyable: false })], [record('100001', { cost: 1.4 })]);
+    assert.deepStrictEqual(alerts.map(alert => alert.type), [TYPES.BACK_IN_STOCK, TYPES.PRICE_TARGET].sort());
+  });
+
+  it('leaves member-only specials out when the entry asks', () => {
+    const current = record('100001', { special: 2.7 });
+    current.pricing.case_special.promo = { member_only: true };
+    assert.deepStrictEqual(findAlerts([{ ...entries[0], member_prices: false }], 'beer', [record('100001')], [current]), []);
+  });
+});
+
+describe('toAtom', () => {
+  it('writes an entry per alert with the text escaped', () => {
+    const [alert] = findAlerts(
+      [{ list: 'team', stockcodes: ['100001'] }], 'beer',
+      [record('100001')], [{ ...record('100001', { special: 2.7 }), properties: { name: 'Ale & <Stout>' } }],
+      '2024-05-01'
+    );
+    const feed = toAtom('beer', [alert], { updated: '2024-05-01T06:00:00.000Z' });
+    assert.match(feed, /<id>urn:cheap-beers-data:2024-05-01\/beer\/team\/100001\/on_special<\/id>/);
+    assert.match(feed, /<title>Ale &amp; &lt;Stout&gt; is on special \(case_special\): \$1\.80\/std \(case_special \$64\.80\)<\/title>/);
+    assert.strictEqual(feed.match(/<entry>/g).length, 1);
+  });
+});
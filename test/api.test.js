@@ -0,0 +1,90 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { fetchDatasets, processBundle } = require('../scripts/api');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const QUERY = { pageSize: 3, sortType: 'PriceAsc', filters: [] };
+
+function readJSON(dir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+function fetch(datasets, options) {
+  return new Promise((resolve, reject) => {
+    fetchDatasets(datasets, { retries: 1, backoffMs: 0, blacklistPath: path.join(FIXTURES, 'blacklist.json'), ...options }, (err, status) => {
+      if (err) reject(err);
+      else resolve(status);
+    });
+  });
+}
+
+describe('fetchDatasets replaying recorded responses', () => {
+  let outputDir;
+  before(() => {
+    process.env.DM_REPLAY_DIR = path.join(FIXTURES, 'replay');
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-'));
+  });
+  after(() => {
+    delete process.env.DM_REPLAY_DIR;
+    fs.rmSync(outputDir, { recursive: true });
+  });
+
+  it('pages through a query, drops repeats and blacklisted products and keeps going when a query fails', async () => {
+    const status = await fetch([
+      { name: 'beer', queries: [{ ...QUERY, department: 'beer' }] },
+      // No recordings, so every try gets a 404
+      { name: 'cider', queries: [{ ...QUERY, department: 'cider' }] }
+    ], { outputDir, onFailure: 'keep' });
+
+    const raw = readJSON(outputDir, 'beer_raw.json');
+    assert.deepStrictEqual(raw.map(bundle => bundle.Products[0].Stockcode), ['117986', '337838', '464700', '480479']);
+    const records = readJSON(outputDir, 'beer.json');
+    const expected = raw.map(bundle => processBundle(bundle, ['480479'])).filter(Boolean);
+    assert.deepStrictEqual(records, JSON.parse(JSON.stringify(expected)));
+
+    assert.deepStrictEqual(status.beer, { complete: true });
+    assert.deepStrictEqual(status.cider_raw, {
+      complete: false,
+      kept_previous: true,
+      failed: [{ query: 'cider-cider-1', error: 'HTTP 404' }]
+    });
+    assert.deepStrictEqual(readJSON(outputDir, 'fetch_status.json'), status);
+    assert.ok(!fs.existsSync(path.join(outputDir, 'cider_raw.json')));
+  });
+
+  it('keeps paging a query whose first page only has products another query already returned', async () => {
+    const status = await fetch([{
+      name: 'spirits',
+      queries: [{ ...QUERY, department: 'spirits' }, { ...QUERY, department: 'spirits', subdepartment: 'whisky' }]
+    }], { outputDir, concurrency: 1 });
+    assert.deepStrictEqual(status.spirits_raw, { complete: true });
+    const raw = readJSON(outputDir, 'spirits_raw.json');
+    assert.deepStrictEqual(raw.map(bundle => bundle.Products[0].Stockcode), ['117986', '337838', '464700', '6012981', '6026363']);
+  });
+
+  it('stops a query whose next page repeats the last one', async () => {
+    // There is no recording of page 3, asking for it would fail the query
+    const status = await fetch([{ name: 'wine', queries: [{ ...QUERY, department: 'wine' }] }], { outputDir });
+    assert.deepStrictEqual(status.wine_raw, { complete: true });
+    assert.strictEqual(readJSON(outputDir, 'wine_raw.json').length, 3);
+  });
+
+  it('pages to the reported total when the server sends fewer products than asked for', async () => {
+    // Two products a page although three were asked for, and no recording past page 3
+    const status = await fetch([{ name: 'premix', queries: [{ ...QUERY, department: 'premix' }] }], { outputDir });
+    assert.deepStrictEqual(status.premix_raw, { complete: true });
+    const raw = readJSON(outputDir, 'premix_raw.json');
+    assert.deepStrictEqual(raw.map(bundle => bundle.Products[0].Stockcode), ['117986', '337838', '464700', '6012981', '6026363']);
+  });
+
+  it('writes what was fetched of a failed dataset when asked to', async () => {
+    await assert.rejects(
+      fetch([{ name: 'cider', queries: [{ ...QUERY, department: 'cider' }] }], { outputDir, onFailure: 'incomplete' }),
+      /Every request failed/
+    );
+    assert.deepStrictEqual(readJSON(outputDir, 'cider_raw.json'), []);
+  });
+});
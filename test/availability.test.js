@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { readAvailability, isBuyable } = require('../scripts/availability');
+
+// The availability fields of a product that is in stock and sold everywhere.
+function product(extra = {}) {
+  return {
+    Stockcode: '123456',
+    IsPurchasable: true,
+    IsForDelivery: true,
+    IsForCollection: true,
+    IsDeliveryOnly: false,
+    SupplyLimit: 9999,
+    StockOnHand: 72,
+    IsPreSale: false,
+    IsComingSoon: false,
+    Inventory: { availableinventoryqty: 48 },
+    ...extra
+  };
+}
+
+describe('readAvailability', () => {
+  it('reads a product sold everywhere as buyable with no supply limit', () => {
+    assert.deepStrictEqual(readAvailability(product()), {
+      buyable: true,
+      purchasable: true,
+      in_stock: true,
+      stock_on_hand: 72,
+      delivery: true,
+      collection: true,
+      delivery_only: false,
+      collection_only: false,
+      supply_limit: null,
+      pre_sale: false,
+      coming_soon: false
+    });
+  });
+
+  it('goes by the online inventory rather than the stock on hand', () => {
+    const availability = readAvailability(product({ IsPurchasable: false, Inventory: { availableinventoryqty: 0 } }));
+    assert.strictEqual(availability.in_stock, false);
+    assert.strictEqual(availability.stock_on_hand, 72);
+    assert.strictEqual(availability.buyable, false);
+  });
+
+  it('falls back to the stock on hand without an inventory breakdown', () => {
+    assert.strictEqual(readAvailability(product({ Inventory: {} })).in_stock, true);
+    assert.strictEqual(readAvailability(product({ Inventory: {}, StockOnHand: 0 })).in_stock, false);
+  });
+
+  it('keeps real supply limits and flags collection only products', () => {
+    const availability = readAvailability(product({ SupplyLimit: 12, IsForDelivery: false }));
+    assert.strictEqual(availability.supply_limit, 12);
+    assert.strictEqual(availability.collection_only, true);
+    assert.strictEqual(availability.buyable, true);
+  });
+
+  it('treats coming soon as unbuyable but pre-sale as buyable', () => {
+    assert.strictEqual(readAvailability(product({ IsComingSoon: true })).buyable, false);
+    assert.strictEqual(readAvailability(product({ IsPreSale: true })).buyable, true);
+  });
+
+  it('leaves fields older raw files lack as null', () => {
+    const availability = readAvailability({ Stockcode: '123456' });
+    assert.strictEqual(availability.purchasable, null);
+    assert.strictEqual(availability.in_stock, null);
+    assert.strictEqual(availability.buyable, true);
+  });
+});
+
+describe('isBuyable', () => {
+  it('counts records without availability as buyable', () => {
+    assert.strictEqual(isBuyable(undefined), true);
+  });
+
+  it('needs delivery or collection', () => {
+    assert.strictEqual(isBuyable({ ...readAvailability(product()), delivery: false, collection: false }), false);
+  });
+});
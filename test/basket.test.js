@@ -0,0 +1,72 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { createFilter, optimiseBasket } = require('../scripts/basket');
+
+const fixtures = require('./helpers');
+const { group } = fixtures;
+
+// A beer of 1.5 standard drinks a unit unless the properties say otherwise.
+function record(stockcode, pricing, properties = {}) {
+  return fixtures.record(stockcode, pricing, { standard_drinks_clean: 1.5, ...properties });
+}
+
+// What was bought, as "stockcode group x count".
+function bought(basket) {
+  return basket.items.map(item => `${item.stockcode} ${item.group} x${item.count}`).sort();
+}
+
+describe('optimiseBasket', () => {
+  it('buys exactly the target when a group covers it', () => {
+    const basket = optimiseBasket([record('1', { case: group(50, 24), pack: group(15, 6) })], { units: 24 });
+    assert.deepStrictEqual(bought(basket), ['1 case x1']);
+    assert.strictEqual(basket.units, 24);
+    assert.strictEqual(basket.total_price, 50);
+  });
+
+  it('overshoots the target when buying more is cheaper', () => {
+    const basket = optimiseBasket([record('1', { pack: group(12, 6), single: group(3, 1) })], { units: 5 });
+    assert.deepStrictEqual(bought(basket), ['1 pack x1']);
+    assert.strictEqual(basket.units, 6);
+  });
+
+  it('counts standard drinks in tenths', () => {
+    const basket = optimiseBasket([record('1', { single: group(3, 1) }, { standard_drinks_clean: 1.4 })], { drinks: 10 });
+    assert.deepStrictEqual(bought(basket), ['1 single x8']);
+    assert.strictEqual(basket.standard_drinks, 11.2);
+  });
+
+  it('stops at the purchase limit of a special', () => {
+    const promo = { type: 'member_only', pack_type: 'case', quantity: 1, member_only: true, limit: 1 };
+    const records = [record('1', { case: group(60, 24), case_special: group(40, 24, { promo }) })];
+    const basket = optimiseBasket(records, { units: 48 });
+    assert.deepStrictEqual(bought(basket), ['1 case x1', '1 case_special x1']);
+    assert.strictEqual(basket.total_price, 100);
+  });
+
+  it('counts a multi-buy limit in lots of the promotion quantity', () => {
+    // Two packs for $40, at most 4 packs, so the special can be bought twice.
+    const promo = { type: 'multi_buy', pack_type: 'pack', quantity: 2, member_only: false, limit: 4 };
+    const records = [record('1', { pack: group(24, 6), pack_special: group(40, 12, { promo }) })];
+    const basket = optimiseBasket(records, { units: 48 });
+    assert.deepStrictEqual(bought(basket), ['1 pack x4', '1 pack_special x2']);
+    assert.strictEqual(basket.total_price, 176);
+  });
+
+  it('leaves out member-only prices when asked to', () => {
+    const promo = { type: 'member_only', pack_type: 'case', quantity: 1, member_only: true, limit: null };
+    const records = [record('1', { case: group(60, 24), case_special: group(40, 24, { promo }) })];
+    assert.deepStrictEqual(bought(optimiseBasket(records, { units: 24 })), ['1 case_special x1']);
+    assert.deepStrictEqual(bought(optimiseBasket(records, { units: 24 }, { members: false })), ['1 case x1']);
+  });
+
+  it('returns null when the target can\'t be reached', () => {
+    const promo = { type: 'price_drop', pack_type: 'case', quantity: 1, member_only: false, limit: 1 };
+    const records = [record('1', { case_special: group(40, 24, { promo }) }, { vessel: 'can' })];
+    assert.strictEqual(optimiseBasket(records, { units: 48 }), null);
+    assert.strictEqual(optimiseBasket(records, { units: 24 }, { filter: createFilter({ vessel: 'bottle' }) }), null);
+  });
+
+  it('rejects a target that isn\'t a positive number', () => {
+    assert.throws(() => optimiseBasket([], { units: 0 }), /positive number/);
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { browse } = require('../scripts/browse_client');
+const { fetchDatasets } = require('../scripts/api');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const QUERY = { department: 'beer', pageNumber: 1, pageSize: 3 };
+
+// Serves the recordings of test/fixtures/replay, cutting off the first `drops`
+// responses halfway through the body.
+function startServer(drops) {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    let query = '';
+    req.on('data', chunk => { query += chunk; });
+    req.on('end', () => {
+      requests++;
+      const { department, pageNumber } = JSON.parse(query);
+      if (department === 'cider') {
+        // é split across two writes
+        const body = Buffer.from('{"Name":"Rosé"}');
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': body.length });
+        res.write(body.subarray(0, 13));
+        return setImmediate(() => res.end(body.subarray(13)));
+      }
+      const file = path.join(FIXTURES, 'replay', `${department}__all__${pageNumber}.json`);
+      const body = fs.existsSync(file) ? fs.readFileSync(file) : Buffer.from('{"Bundles":[]}');
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': body.length });
+      if (requests > drops) return res.end(body);
+      res.write(body.subarray(0, body.length / 2));
+      setImmediate(() => res.destroy());
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}`, requests: () => requests }));
+  });
+}
+
+describe('browse', () => {
+  let stub;
+  before(async () => { stub = await startServer(1); });
+  after(() => stub.server.close());
+
+  const request = query => new Promise((resolve, reject) => {
+    browse(query, (err, res) => (err ? reject(err) : resolve(res)), { apiUrl: stub.url });
+  });
+
+  it('fails once when the server drops the connection partway through the body', async () => {
+    const calls = [];
+    browse(QUERY, (err, res) => calls.push({ err, res }), { apiUrl: stub.url });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual(calls.length, 1);
+    assert.ok(calls[0].err instanceof Error);
+  });
+
+  it('reads a whole response', async () => {
+    const res = await request(QUERY);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body, fs.readFileSync(path.join(FIXTURES, 'replay', 'beer__all__1.json'), 'utf8'));
+  });
+
+  it('decodes characters split across chunks', async () => {
+    const res = await request({ ...QUERY, department: 'cider' });
+    assert.strictEqual(res.body, '{"Name":"Rosé"}');
+  });
+});
+
+describe('fetchDatasets over a flaky connection', () => {
+  let stub;
+  let outputDir;
+  before(async () => {
+    stub = await startServer(1);
+    process.env.DM_API_URL = stub.url;
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-'));
+  });
+  after(() => {
+    delete process.env.DM_API_URL;
+    stub.server.close();
+    fs.rmSync(outputDir, { recursive: true });
+  });
+
+  it('retries a dropped response instead of losing the page', async () => {
+    const datasets = [{ name: 'beer', queries: [{ department: 'beer', pageSize: 3, sortType: 'PriceAsc', filters: [] }] }];
+    const status = await new Promise((resolve, reject) => {
+      fetchDatasets(datasets, { outputDir, retries: 1, backoffMs: 0, concurrency: 1, blacklistPath: path.join(FIXTURES, 'blacklist.json') }, (err, status) => {
+        if (err) reject(err);
+        else resolve(status);
+      });
+    });
+    assert.deepStrictEqual(status.beer_raw, { complete: true });
+    const raw = JSON.parse(fs.readFileSync(path.join(outputDir, 'beer_raw.json'), 'utf8'));
+    assert.deepStrictEqual(raw.map(bundle => bundle.Products[0].Stockcode), ['117986', '337838', '464700', '480479']);
+  });
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { loadCatalogue, getDataset } = require('../scripts/catalogue');
+
+const CRAFT = [{ Name: 'webbeertype', Value: 'Craft' }];
+const CANS = [{ Name: 'webvessel', Value: 'Can' }];
+
+describe('loadCatalogue', () => {
+  let dir;
+  let count = 0;
+  // Each catalogue gets its own file, require() caches them by path.
+  const load = catalogue => {
+    const file = path.join(dir, `catalogue_${count++}.json`);
+    fs.writeFileSync(file, JSON.stringify(catalogue));
+    return loadCatalogue(file);
+  };
+
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalogue-')); });
+  after(() => fs.rmSync(dir, { recursive: true }));
+
+  it('reads the committed catalogue', () => {
+    const catalogue = loadCatalogue();
+    assert.deepStrictEqual(getDataset('spirits', catalogue).queries.map(query => query.department), ['spirits', 'whisky']);
+    assert.throws(() => getDataset('mead', catalogue), /not declared in the catalogue/);
+  });
+
+  it('falls back to the dataset and then the defaults for filters, page size and sort', () => {
+    const catalogue = load({
+      defaults: { pageSize: 50, sortType: 'PriceAsc', filters: [] },
+      datasets: {
+        craft: {
+          category: 'beer',
+          filters: CRAFT,
+          pageSize: 20,
+          queries: [{ department: 'beer' }, { department: 'beer', filters: CANS, sortType: 'Name' }]
+        },
+        beer: { category: 'beer', queries: [{ department: 'beer' }] }
+      }
+    });
+    assert.deepStrictEqual(catalogue.craft.queries, [
+      { department: 'beer', subdepartment: undefined, filters: CRAFT, pageSize: 20, sortType: 'PriceAsc' },
+      { department: 'beer', subdepartment: undefined, filters: CANS, pageSize: 20, sortType: 'Name' }
+    ]);
+    assert.deepStrictEqual(catalogue.beer.queries, [
+      { department: 'beer', subdepartment: undefined, filters: [], pageSize: 50, sortType: 'PriceAsc' }
+    ]);
+    assert.strictEqual(catalogue.beer.source, 'danmurphys');
+  });
+
+  it('reads feed queries', () => {
+    const catalogue = load({ datasets: { feed: { category: 'beer', source: 'json_feed', queries: [{ url: 'https://feed.example/beer.json' }] } } });
+    assert.deepStrictEqual(catalogue.feed.queries, [{ url: 'https://feed.example/beer.json' }]);
+  });
+
+  it('rejects malformed datasets', () => {
+    assert.throws(() => load({ datasets: {} }), /No datasets declared/);
+    assert.throws(() => load({ datasets: { beer_raw: { category: 'beer', queries: [{ department: 'beer' }] } } }), /Invalid dataset name/);
+    assert.throws(() => load({ datasets: { mead: { category: 'mead', queries: [{ department: 'mead' }] } } }), /unknown category "mead"/);
+    assert.throws(() => load({ datasets: { beer: { category: 'beer', source: 'bottleshop', queries: [{ department: 'beer' }] } } }), /unknown source "bottleshop"/);
+    assert.throws(() => load({ datasets: { beer: { category: 'beer', queries: [] } } }), /has no queries/);
+    assert.throws(() => load({ datasets: { beer: { category: 'beer', queries: [{}] } } }), /query without a department/);
+    assert.throws(() => load({ datasets: { feed: { category: 'beer', source: 'json_feed', queries: [{}] } } }), /query without a url/);
+  });
+});
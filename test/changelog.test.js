@@ -0,0 +1,117 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { diffDatasets, toMarkdown, writeChangelog } = require('../scripts/changelog');
+const fixtures = require('./helpers');
+const { record } = fixtures;
+
+const group = (total_price, units, cost_per_standard) => fixtures.group(total_price, units, { cost_per_standard });
+
+const previous = [
+  record('1', { case: group(60, 24, 1.8), single: group(3, 1, 2.1) }),
+  record('2', { case: group(48, 24, 1.5), case_special: group(40, 24, 1.25) }),
+  record('3', { case: group(50, 24, 1.6) }, { vessel: 'can', rating: 4.1 })
+];
+const current = [
+  // Case down 10%, single up 2%: under the threshold
+  record('1', { case: group(54, 24, 1.62), single: group(3.06, 1, 2.14) }),
+  // Special ended
+  record('2', { case: group(48, 24, 1.5) }),
+  // Special started, vessel changed, rating ignored
+  record('3', { case: group(50, 24, 1.6), case_special: group(45, 24, 1.44) }, { vessel: 'bottle', rating: 4.3 }),
+  record('4', { case: group(40, 24, 1.3) })
+];
+
+describe('diffDatasets', () => {
+  const report = diffDatasets([...previous, record('5', {})], current);
+
+  it('lists added and removed products', () => {
+    assert.deepStrictEqual(report.added, [{ stockcode: '4', name_clean: 'Beer 4' }]);
+    assert.deepStrictEqual(report.removed, [{ stockcode: '5', name_clean: 'Beer 5' }]);
+  });
+
+  it('reports price moves at or over the threshold', () => {
+    assert.deepStrictEqual(report.price_changes, [{
+      stockcode: '1',
+      name_clean: 'Beer 1',
+      group: 'case',
+      before: group(60, 24, 1.8),
+      after: group(54, 24, 1.62),
+      change_percent: -10
+    }]);
+    assert.strictEqual(diffDatasets(previous, current, { threshold: 0.01 }).counts.price_changes, 2);
+  });
+
+  it('reports specials starting and ending', () => {
+    assert.deepStrictEqual(report.specials_started, [{ stockcode: '3', name_clean: 'Beer 3', group: 'case_special', ...group(45, 24, 1.44) }]);
+    assert.deepStrictEqual(report.specials_ended, [{ stockcode: '2', name_clean: 'Beer 2', group: 'case_special', ...group(40, 24, 1.25) }]);
+  });
+
+  it('reports property changes other than the ignored ones', () => {
+    assert.deepStrictEqual(report.property_changes, [{ stockcode: '3', name_clean: 'Beer 3', field: 'vessel', before: 'can', after: 'bottle' }]);
+    assert.deepStrictEqual(report.counts, {
+      added: 1,
+      removed: 1,
+      specials_started: 1,
+      specials_ended: 1,
+      price_changes: 1,
+      property_changes: 1
+    });
+  });
+
+  it('reports nothing for the same dataset', () => {
+    const same = diffDatasets(previous, previous);
+    assert.ok(Object.values(same.counts).every(count => count === 0));
+    assert.strictEqual(toMarkdown(same, 'cider'),
+      '## cider: 0 added, 0 removed, 0 new specials, 0 ended specials, 0 price moves, 0 property changes\n');
+  });
+});
+
+describe('toMarkdown', () => {
+  it('writes a heading with the counts and a section for each kind of change', () => {
+    assert.strictEqual(toMarkdown(diffDatasets([...previous, record('5', {})], current)), [
+      '## beer: 1 added, 1 removed, 1 new specials, 1 ended specials, 1 price moves, 1 property changes',
+      '',
+      '### Added',
+      '',
+      '- Beer 4 (4)',
+      '',
+      '### Removed',
+      '',
+      '- Beer 5 (5)',
+      '',
+      '### New specials',
+      '',
+      '- Beer 3 (3) case_special: $45.00 for 24, $1.44/std',
+      '',
+      '### Ended specials',
+      '',
+      '- Beer 2 (2) case_special',
+      '',
+      '### Price moves over 5%',
+      '',
+      '- Beer 1 (1) case: $1.80 -> $1.62/std (-10%)',
+      '',
+      '### Property changes',
+      '',
+      '- Beer 3 (3) vessel: "can" -> "bottle"',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('writeChangelog', () => {
+  it('writes the JSON and Markdown reports beside the cleaned dataset', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-'));
+    const previousPath = path.join(dir, 'previous.json');
+    fs.writeFileSync(previousPath, JSON.stringify(previous));
+    fs.writeFileSync(path.join(dir, 'beer.json'), JSON.stringify(current));
+    const report = await writeChangelog('beer', previousPath, { dir, threshold: 0.2 });
+    assert.strictEqual(report.counts.price_changes, 0);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'beer_changes.json'), 'utf8')), report);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'beer_changes.md'), 'utf8'), toMarkdown(report, 'beer'));
+    fs.rmSync(dir, { recursive: true });
+  });
+});
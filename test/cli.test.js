@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { UsageError, run } = require('../scripts/cli');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+describe('cli transform', () => {
+  it('creates an --out directory that doesn\'t exist yet', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    const out = path.join(dir, 'cleaned', 'today');
+    await run([
+      'transform', 'cider',
+      '--raw', FIXTURES,
+      '--out', out,
+      '--corrections', path.join(FIXTURES, 'corrections'),
+      '--cache', path.join(dir, 'cache'),
+      '--date', '2024-05-01'
+    ]);
+    assert.ok(JSON.parse(fs.readFileSync(path.join(out, 'cider.json'), 'utf8')).length > 0);
+    for (const file of ['cider_families.json', 'cider_quality.json', 'cider_best_value.json']) {
+      assert.ok(fs.existsSync(path.join(out, file)), file);
+    }
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+describe('cli usage errors', () => {
+  it('rejects unknown commands, datasets and options and missing arguments', async () => {
+    for (const argv of [
+      ['frobnicate'],
+      ['transform', 'mead'],
+      ['validate'],
+      ['validate', 'fetched', 'beer'],
+      ['fetch', '--bogus'],
+      ['history', '--date'],
+      ['fetch', '--page-size', 'lots'],
+      ['export', '--formats', 'xlsx'],
+      ['changelog', 'beer'],
+      ['alerts', 'mead', 'previous.json'],
+      ['legacy', 'beer', 'cider']
+    ]) {
+      await assert.rejects(run(argv), UsageError, argv.join(' '));
+    }
+  });
+
+  it('prints the message of a usage error without a stack trace', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'cli.js'), 'transform', 'mead'], { encoding: 'utf8' });
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stderr, 'Error: Dataset "mead" is not declared in the catalogue, expected one of: beer, cider, premix, spirits, redwine, whitewine\n');
+  });
+});
+
+describe('cli parity', () => {
+  it('writes the report, then fails on more disagreements than allowed', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    const records = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'beer_expected.json'), 'utf8')).records.slice(0, 1);
+    fs.writeFileSync(path.join(dir, 'beer.json'), JSON.stringify(records));
+    fs.writeFileSync(path.join(dir, 'legacy.json'), '[]');
+    const out = path.join(dir, 'parity.json');
+    const argv = ['parity', 'beer', '--dir', dir, '--legacy-raw', path.join(dir, 'legacy.json'), '--out', out];
+
+    await run([...argv, '--max-disagreements', '1']);
+    await assert.rejects(run([...argv, '--max-disagreements', '0']), /Parity of beer: 1 stockcodes disagree, at most 0 allowed/);
+    const report = JSON.parse(fs.readFileSync(out, 'utf8'));
+    assert.deepStrictEqual([report.stockcodes, report.matching, report.marketplace], [1, 0, 0]);
+    await assert.rejects(run([...argv, '--max-disagreements', 'none']), UsageError);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
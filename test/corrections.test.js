@@ -0,0 +1,45 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { loadCorrections } = require('../scripts/corrections');
+
+function writeDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'corrections-'));
+  for (const [name, data] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+  }
+  return dir;
+}
+
+describe('loadCorrections', () => {
+  it('merges entries for the same stockcode, taking each field from the entry that set it', async () => {
+    const dir = writeDir({
+      'beer.json': [
+        { stockcode: '1', reason: 'Wrong size', expires: '2025-01-01', properties: { size_clean: 330 } },
+        { stockcode: '1', reason: 'Promotion ended', pricing: { promo_type_clean: null } },
+        { stockcode: '2', reason: 'Wrong size', properties: { size_clean: 330 } },
+        { stockcode: '2', reason: 'Short promotion', expires: '2025-06-30', pricing: { case_promo_clean: 40 } }
+      ]
+    });
+    const corrections = await loadCorrections('beer', '2024-05-01', { dir });
+    assert.deepStrictEqual(corrections.get('1'), {
+      reasons: ['Wrong size', 'Promotion ended'],
+      expires: '2025-01-01',
+      properties: { size_clean: 330 },
+      pricing: { promo_type_clean: null },
+      exclude: false
+    });
+    assert.strictEqual(corrections.get('2').expires, '2025-06-30');
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('reads the blacklist next to the corrections it was given', async () => {
+    const dir = writeDir({ 'beer.json': [], 'blacklist.json': ['3'] });
+    const corrections = await loadCorrections('beer', '2024-05-01', { dir });
+    assert.deepStrictEqual([...corrections.keys()], ['3']);
+    assert.strictEqual(corrections.get('3').exclude, true);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
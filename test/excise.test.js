@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { productClass, findRate, alcoholTaxCost } = require('../scripts/excise');
+
+describe('productClass', () => {
+  it('puts packaged beer in its strength band', () => {
+    assert.strictEqual(productClass('beer', 2.6), 'beer_light');
+    assert.strictEqual(productClass('beer', 3.5), 'beer_mid');
+    assert.strictEqual(productClass('beer', 4.6), 'beer_full');
+  });
+
+  it('taxes plain cider and perry under WET and flavoured ones as other excisable beverages', () => {
+    assert.strictEqual(productClass('cider', 4.7, 'Bulmers Original Cider Bottles 330mL'), 'wet');
+    assert.strictEqual(productClass('cider', 4.5, 'Scape Goat Pear Cider Cans 6X330ml'), 'wet');
+    assert.strictEqual(productClass('cider', 8, 'Little Fat Lamb Strawberry & Lime 375mL'), 'oeb');
+    assert.strictEqual(productClass('cider', 8.2, 'Strongbow Hard Cider with Dark Fruit Can 4x4x375mL'), 'oeb');
+    assert.strictEqual(productClass('cider', 8.3, 'Kopparberg Rosé Cider Bottles 6x330mL'), 'oeb');
+  });
+
+  it('passes the other types through', () => {
+    assert.strictEqual(productClass('spirits', 40), 'spirits');
+    assert.strictEqual(productClass('wet', 13.5, 'Strawberry Moscato'), 'wet');
+  });
+});
+
+describe('findRate', () => {
+  it('picks the row in force on the date', () => {
+    assert.strictEqual(findRate('beer_full', '2024-05-01').id, '2024-02-05/beer_full');
+    assert.strictEqual(findRate('wet', new Date('2024-05-01')).id, '2000-07-01/wet');
+  });
+
+  it('changes rows on the effective date', t => {
+    const warn = t.mock.method(console, 'error', () => {});
+    assert.strictEqual(findRate('beer_full', '2024-02-05').id, '2024-02-05/beer_full');
+    assert.strictEqual(findRate('spirits', '2024-02-05').id, '2024-02-05/spirits');
+    assert.strictEqual(findRate('wet', '2000-07-01').id, '2000-07-01/wet');
+    assert.strictEqual(warn.mock.callCount(), 0);
+  });
+
+  it('falls back to the first row before it, with a warning', t => {
+    const warn = t.mock.method(console, 'error', () => {});
+    assert.strictEqual(findRate('beer_full', '2024-02-04').id, '2024-02-05/beer_full');
+    assert.strictEqual(findRate('oeb', '2019-08-01').id, '2024-02-05/oeb');
+    assert.strictEqual(findRate('wet', '2000-06-30').id, '2000-07-01/wet');
+    assert.deepStrictEqual(warn.mock.calls.map(call => call.arguments[0]), [
+      'No excise rate for beer_full on 2024-02-04, using earliest row 2024-02-05/beer_full',
+      'No excise rate for oeb on 2019-08-01, using earliest row 2024-02-05/oeb',
+      'No excise rate for wet on 2000-06-30, using earliest row 2000-07-01/wet'
+    ]);
+  });
+
+  it('warns when the date is after an indexation missing from the table', t => {
+    const warn = t.mock.method(console, 'error', () => {});
+    assert.strictEqual(findRate('beer_light', '2024-08-07').id, '2024-02-05/beer_light');
+    assert.strictEqual(warn.mock.callCount(), 0);
+    assert.strictEqual(findRate('beer_light', '2024-08-08').id, '2024-02-05/beer_light');
+    assert.strictEqual(findRate('wet', '2026-10-19').id, '2000-07-01/wet');
+    assert.deepStrictEqual(warn.mock.calls.map(call => call.arguments[0]), [
+      'Excise rates for beer_light end at 2024-02-05/beer_light, 2024-08-08 is after the indexation due in 2024-08'
+    ]);
+  });
+
+  it('charges packaged mid-strength beer the full-strength rate', () => {
+    assert.strictEqual(findRate('beer_mid', '2024-05-01').rate, findRate('beer_full', '2024-05-01').rate);
+  });
+
+  it('rejects invalid dates', () => {
+    assert.throws(() => findRate('beer_full', 'yesterday'), /Invalid snapshot date/);
+    assert.throws(() => findRate('beer_full', new Date('not a date')), /Invalid snapshot date/);
+    assert.throws(() => findRate('beer_full', '2024-13-45'), /Invalid snapshot date/);
+  });
+
+  it('rejects unknown classes', () => {
+    assert.throws(() => findRate('kombucha', '2024-05-01'), /No excise rates/);
+  });
+});
+
+describe('alcoholTaxCost', () => {
+  it('taxes the alcohol above the free threshold', () => {
+    const rate = findRate('beer_full', '2024-05-01');
+    assert.strictEqual(alcoholTaxCost(rate, { percentage: 4.6, sizeMl: 375, standardDrinks: 1.4 }), 0.57);
+  });
+
+  it('estimates WET from the retail price', () => {
+    const rate = findRate('wet', '2024-05-01');
+    assert.strictEqual(alcoholTaxCost(rate, { percentage: 4.5, sizeMl: 330, standardDrinks: 1.2, unitPrice: 4.4 }), 0.75);
+    assert.strictEqual(alcoholTaxCost(rate, { percentage: 4.5, sizeMl: 330, standardDrinks: 1.2 }), 0);
+  });
+});
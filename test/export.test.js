@@ -0,0 +1,82 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { buildRows, toCSV, toJSONL, exportDatasets } = require('../scripts/export');
+const { run } = require('../scripts/cli');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function readRecords(dataset) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${dataset}_expected.json`), 'utf8')).records;
+}
+
+// Splits CSV text into rows of fields, following the quoting rules of RFC 4180.
+function parseCSV(text) {
+  const rows = [[]];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') field += text[++i];
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      rows[rows.length - 1].push(field);
+      field = '';
+    } else if (char === '\n') {
+      rows[rows.length - 1].push(field);
+      field = '';
+      rows.push([]);
+    } else {
+      field += char;
+    }
+  }
+  return rows.slice(0, -1);
+}
+
+describe('export', () => {
+  const [record] = readRecords('beer');
+  const tricky = {
+    ...record,
+    properties: { ...record.properties, name: 'Pale Ale, "Hazy"\nLimited' }
+  };
+  const { flat } = buildRows('beer', [tricky]);
+
+  it('quotes CSV fields with commas, quotes and line breaks', () => {
+    const [header, ...rows] = parseCSV(toCSV(flat));
+    assert.strictEqual(rows.length, flat.length);
+    const name = header.indexOf('name');
+    assert.ok(rows.every(row => row.length === header.length && row[name] === 'Pale Ale, "Hazy"\nLimited'));
+    assert.ok(toCSV(flat).includes('"Pale Ale, ""Hazy""\nLimited"'));
+  });
+
+  it('writes one JSON object per line', () => {
+    const lines = toJSONL(flat).split('\n');
+    assert.strictEqual(lines.pop(), '');
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line)), flat);
+  });
+
+  it('writes the requested formats', async () => {
+    const cleanedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+    fs.writeFileSync(path.join(cleanedDir, 'beer.json'), JSON.stringify(readRecords('beer')));
+    const outDir = path.join(cleanedDir, 'out');
+    const result = await exportDatasets(['beer'], { cleanedDir, outDir, formats: ['csv', 'jsonl'] });
+    assert.deepStrictEqual(result.files, ['products_pricing.csv', 'products_pricing.jsonl', 'columns.json']);
+    const jsonl = fs.readFileSync(path.join(outDir, 'products_pricing.jsonl'), 'utf8').trim().split('\n');
+    assert.strictEqual(jsonl.length, result.rows);
+    assert.strictEqual(parseCSV(fs.readFileSync(path.join(outDir, 'products_pricing.csv'), 'utf8')).length, result.rows + 1);
+    fs.rmSync(cleanedDir, { recursive: true });
+  });
+
+  it('rejects unknown formats before writing anything', async () => {
+    const outDir = path.join(os.tmpdir(), `export-unknown-${process.pid}`);
+    await assert.rejects(exportDatasets(['beer'], { outDir, formats: ['csv', 'xlsx'] }), /Unknown format "xlsx"/);
+    await assert.rejects(run(['export', 'beer', '--out', outDir, '--formats', 'sql']), /Unknown format "sql", expected a comma separated list of sqlite, csv, jsonl/);
+    assert.ok(!fs.existsSync(outDir));
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { getCategory } = require('../scripts/categories');
+const { loadCorrections } = require('../scripts/corrections');
+const { buildFamilyIndex } = require('../scripts/families');
+const { summarise } = require('../scripts/quality');
+const { transformRecords } = require('../scripts/transform_raw');
+const { buildBestValue } = require('../scripts/value');
+
+// Runs the whole transform on frozen raw fixtures and compares the records,
+// families, quality report and best value list with the committed
+// test/fixtures/<dataset>_expected.json, so any change to the cleaned data
+// shows up as a diff in review.
+//
+// The fixtures are real bundles, one per kind of price message, cut down to the
+// fields the transform reads. beer also uses the corrections and blacklist in
+// test/fixtures. After an intended change, rewrite the expected files with
+//   UPDATE_GOLDEN=1 node --test
+// and commit them with the change.
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SNAPSHOT_DATE = '2024-05-01';
+const DATASETS = ['beer', 'cider'];
+
+async function runTransform(dataset) {
+  const bundles = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${dataset}_raw.json`), 'utf8'));
+  const corrections = await loadCorrections(dataset, SNAPSHOT_DATE, {
+    dir: path.join(FIXTURES, 'corrections'),
+    blacklistPath: path.join(FIXTURES, 'blacklist.json')
+  });
+  const { records, quality } = transformRecords(bundles, {
+    dataset,
+    config: getCategory(dataset),
+    snapshotDate: SNAPSHOT_DATE,
+    corrections
+  });
+  return { records, families: buildFamilyIndex(records), quality: summarise(quality), bestValue: buildBestValue(records) };
+}
+
+describe('golden files', () => {
+  for (const dataset of DATASETS) {
+    it(`transforms the ${dataset} fixture to the expected output`, async () => {
+      const expectedPath = path.join(FIXTURES, `${dataset}_expected.json`);
+      // Round trip through JSON so undefined fields compare as they are written.
+      const actual = JSON.parse(JSON.stringify(await runTransform(dataset)));
+      if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+        return;
+      }
+      const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+      assert.deepStrictEqual(actual.records, expected.records);
+      assert.deepStrictEqual(actual.families, expected.families);
+      assert.deepStrictEqual(actual.quality, expected.quality);
+      assert.deepStrictEqual(actual.bestValue, expected.bestValue);
+    });
+  }
+});
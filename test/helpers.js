@@ -0,0 +1,36 @@
+// Cleaned records for the tests of the steps that read them (basket, value,
+// alerts, changelog, history, legacy). Each test file builds on these with the
+// properties and prices it looks at.
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * A pricing group: `units` for total_price, with unit_price worked out.
+ * @param {number} total_price
+ * @param {number} units
+ * @param {object} [fields] more fields, e.g. cost_per_standard or promo; with
+ *   `standardDrinks` (per unit) cost_per_standard is worked out instead
+ */
+function group(total_price, units, { standardDrinks, ...fields } = {}) {
+  const unit_price = round(total_price / units, 2);
+  const cost = standardDrinks ? { cost_per_standard: round(total_price / units / standardDrinks, 2) } : {};
+  return { total_price, units, unit_price, ...cost, ...fields };
+}
+
+/**
+ * A cleaned beer record named "Beer <stockcode>".
+ * @param {string} stockcode
+ * @param {object} pricing pricing groups by name, e.g. { case: group(60, 24) }
+ * @param {object} [properties] over the default name and name_clean
+ * @param {{buyable: boolean}} [options] sets availability when given
+ */
+function record(stockcode, pricing, properties = {}, options) {
+  const result = { stockcode, properties: { name: `Beer ${stockcode}`, name_clean: `Beer ${stockcode}`, ...properties }, pricing };
+  if (options) {
+    const { buyable } = options;
+    result.availability = { buyable, purchasable: buyable, in_stock: buyable };
+  }
+  return result;
+}
+
+module.exports = { group, record };
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { applySnapshot, lowestSince, updateHistory, rebuildHistory } = require('../scripts/history');
+const fixtures = require('./helpers');
+
+// A cleaned record with a cost per standard drink for each pricing group.
+function record(stockcode, costs) {
+  const pricing = {};
+  for (const [key, cost] of Object.entries(costs)) {
+    pricing[key] = { cost_per_standard: cost, unit_price: cost === null ? null : cost * 2 };
+  }
+  return fixtures.record(stockcode, pricing);
+}
+
+function readJSON(dir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+describe('applySnapshot', () => {
+  it('tracks the current, lowest and highest price and only adds a point when it changes', () => {
+    const history = { updated: null, products: {} };
+    applySnapshot(history, [record('1', { case: 1.5 })], '2024-05-01');
+    applySnapshot(history, [record('1', { case: 1.5 })], '2024-05-02');
+    applySnapshot(history, [record('1', { case: 1.2 })], '2024-05-03');
+    applySnapshot(history, [record('1', { case: 1.6 })], '2024-05-04');
+
+    const entry = history.products['1'].groups.case;
+    assert.strictEqual(history.updated, '2024-05-04');
+    assert.deepStrictEqual([entry.first_seen, entry.last_seen, entry.current], ['2024-05-01', '2024-05-04', 1.6]);
+    assert.deepStrictEqual(entry.min, { cost_per_standard: 1.2, date: '2024-05-03' });
+    assert.deepStrictEqual(entry.max, { cost_per_standard: 1.6, date: '2024-05-04' });
+    assert.deepStrictEqual(entry.series.map(point => point.date), ['2024-05-01', '2024-05-03', '2024-05-04']);
+    assert.strictEqual(lowestSince(entry, '2024-05-04'), 1.6);
+    assert.strictEqual(lowestSince(entry, '2024-05-02'), 1.2);
+  });
+
+  it('closes a group that is no longer listed and opens it again when it comes back', () => {
+    const history = { updated: null, products: {} };
+    applySnapshot(history, [record('1', { case: 1.5, case_special: 1.2 })], '2024-05-01');
+    applySnapshot(history, [record('1', { case: 1.5, case_special: null })], '2024-05-02');
+    const special = history.products['1'].groups.case_special;
+    assert.strictEqual(special.current, null);
+    assert.strictEqual(special.last_seen, '2024-05-01');
+    assert.deepStrictEqual(special.series.map(point => point.cost_per_standard), [1.2, null]);
+
+    applySnapshot(history, [record('1', { case: 1.5, case_special: 1.3 })], '2024-05-03');
+    assert.deepStrictEqual(special.series.map(point => point.cost_per_standard), [1.2, null, 1.3]);
+    assert.strictEqual(history.products['1'].groups.case.series.length, 1);
+  });
+
+  it('replaces the points of a snapshot applied twice on the same day', () => {
+    const history = { updated: null, products: {} };
+    applySnapshot(history, [record('1', { case: 1.5 })], '2024-05-01');
+    applySnapshot(history, [record('1', { case: 1.4 })], '2024-05-02');
+    applySnapshot(history, [record('1', { case: 1.5 })], '2024-05-02');
+    assert.deepStrictEqual(history.products['1'].groups.case.series.map(point => point.date), ['2024-05-01']);
+  });
+
+  it('skips a snapshot older than the history', t => {
+    t.mock.method(console, 'error', () => {});
+    const history = { updated: null, products: {} };
+    applySnapshot(history, [record('1', { case: 1.5 })], '2024-05-02');
+    assert.strictEqual(applySnapshot(history, [record('1', { case: 1.1 })], '2024-05-01'), false);
+    assert.strictEqual(history.products['1'].groups.case.current, 1.5);
+  });
+});
+
+describe('history files', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-')); });
+  afterEach(() => fs.rmSync(dir, { recursive: true }));
+
+  const write = (name, records) => fs.writeFileSync(path.join(dir, name), JSON.stringify(records));
+
+  it('adds the cleaned dataset to its history file', async () => {
+    write('beer.json', [record('1', { case: 1.5 })]);
+    await updateHistory('beer', '2024-05-01', dir);
+    write('beer.json', [record('1', { case: 1.4 })]);
+    await updateHistory('beer', '2024-05-02', dir);
+    const history = readJSON(dir, 'beer_history.json');
+    assert.strictEqual(history.updated, '2024-05-02');
+    assert.deepStrictEqual(history.products['1'].groups.case.series.map(point => point.cost_per_standard), [1.5, 1.4]);
+  });
+
+  it('rebuilds one category from a folder holding snapshots of several', async () => {
+    write('beer_2024-05-02.json', [record('BEER1', { case: 1.4 })]);
+    write('beer_2024-05-01.json', [record('BEER1', { case: 1.5 })]);
+    write('cider_2024-05-01.json', [record('CIDER1', { case: 1.9 })]);
+    write('cider_2024-05-03.json', [record('CIDER1', { case: 1.8 })]);
+    write('notes_2024-05-01.txt', []);
+    await rebuildHistory('beer', dir, dir);
+
+    const history = readJSON(dir, 'beer_history.json');
+    assert.deepStrictEqual(Object.keys(history.products), ['BEER1']);
+    assert.strictEqual(history.updated, '2024-05-02');
+    const entry = history.products.BEER1.groups.case;
+    assert.strictEqual(entry.current, 1.4);
+    assert.deepStrictEqual(entry.series.map(point => point.cost_per_standard), [1.5, 1.4]);
+  });
+
+  it('fails when there is no snapshot of the category', async () => {
+    write('cider_2024-05-01.json', []);
+    await assert.rejects(rebuildHistory('beer', dir, dir), /No dated beer snapshots/);
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { toLegacyRows, toLegacyFormat, compareLegacy } = require('../scripts/legacy');
+const fixtures = require('./helpers');
+
+// A cleaned record with a case, a pack special and a single.
+function record(stockcode, properties = {}) {
+  const group = (total_price, units) => fixtures.group(total_price, units, { standardDrinks: 1.4, alcohol_tax_cost: 0.61, alcohol_tax_percent: 20 });
+  const pricing = { case: group(60, 24), pack_special: group(18, 6), single: group(4, 1) };
+  return fixtures.record(stockcode, pricing, {
+    name: 'Test Pale Ale Cans 375mL',
+    name_clean: 'Test Pale Ale',
+    percentage_raw: 4.6,
+    size_clean: 375,
+    standard_drinks_clean: 1.4,
+    vessel: 'can',
+    delivery_only: false,
+    ...properties
+  });
+}
+
+describe('toLegacyRows', () => {
+  it('makes a row per pricing group', () => {
+    const rows = toLegacyRows(record('100001'));
+    assert.deepStrictEqual(rows.map(row => [row.package, row.special, row.package_size]), [
+      ['case', false, 24],
+      ['pack', true, 6],
+      ['single', false, 1]
+    ]);
+    assert.deepStrictEqual(rows[0], {
+      name: 'Test Pale Ale Cans 375mL',
+      name_clean: 'Test Pale Ale',
+      stockcode: '100001',
+      percentage: 4.6,
+      size: 375,
+      standard_drinks: 1.4,
+      special: false,
+      package: 'case',
+      package_size: 24,
+      total_price: 60,
+      unit_price: 2.5,
+      cost_per_standard: 1.79,
+      vessel: 'can',
+      alcohol_tax_cost: 0.61,
+      alcohol_tax_percent: 20
+    });
+  });
+
+  it('marks delivery-only products online_only', () => {
+    assert.strictEqual(toLegacyRows(record('100001', { delivery_only: true }))[0].online_only, true);
+  });
+
+  it('leaves out ciders and prices of 50c or less per standard drink', () => {
+    assert.deepStrictEqual(toLegacyRows(record('100001', { name: 'Test Apple Cider 375mL' })), []);
+    const cheap = record('100001');
+    cheap.pricing.case.cost_per_standard = 0.5;
+    assert.deepStrictEqual(toLegacyRows(cheap).map(row => row.package), ['pack', 'single']);
+  });
+});
+
+describe('toLegacyFormat', () => {
+  it('sorts by stockcode, then package size, specials first', () => {
+    const rows = toLegacyFormat([record('100002'), record('100001')]);
+    assert.deepStrictEqual(rows.map(row => `${row.stockcode} ${row.package_size}`), [
+      '100001 1', '100001 6', '100001 24', '100002 1', '100002 6', '100002 24'
+    ]);
+  });
+});
+
+describe('compareLegacy', () => {
+  it('reports every field and row that differs, by stockcode', () => {
+    const oldRows = toLegacyFormat([record('100001'), record('100002')]);
+    const newRows = toLegacyFormat([record('100001'), record('100002', { size_clean: 330 })])
+      .filter(row => !(row.stockcode === '100002' && row.package === 'single'));
+    const report = compareLegacy(oldRows, newRows);
+    assert.strictEqual(report.stockcodes, 2);
+    assert.strictEqual(report.matching, 1);
+    assert.deepStrictEqual(report.counts, { size: 1, only_old: 1 });
+    assert.deepStrictEqual(report.disagreements[0].differences, [
+      { package: 'case', field: 'size', old: 375, new: 330 },
+      { package: 'pack_special', field: 'size', old: 375, new: 330 },
+      { package: 'single', field: 'only_old', old: 4, new: null }
+    ]);
+  });
+});
+
+describe('compareLegacy with marketplace products', () => {
+  it('counts marketplace stockcodes only transform.js has apart from the disagreements', () => {
+    const oldRows = toLegacyFormat([record('100001'), record('ER-0001'), record('ER-0002')]);
+    const newRows = toLegacyFormat([record('100001'), record('ER-0002', { size_clean: 330 })]);
+    const report = compareLegacy(oldRows, newRows);
+    assert.strictEqual(report.stockcodes, 3);
+    assert.strictEqual(report.marketplace, 1);
+    assert.strictEqual(report.matching, 1);
+    assert.deepStrictEqual(report.disagreements.map(({ stockcode }) => stockcode), ['ER-0002']);
+    assert.deepStrictEqual(report.counts, { size: 1 });
+  });
+});
@@ -0,0 +1,20 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { parsePromotion } = require('../scripts/promotions');
+const cases = require('../scripts/promotion_cases.json');
+
+describe('parsePromotion', () => {
+  for (const { stockcode, note, promoprice, inanysixprice, expected } of cases) {
+    const price = promoprice || inanysixprice;
+    it(`reads ${promoprice ? 'promotion' : 'any-six price'} "${price.Message}" (${stockcode || note})`, () => {
+      const actual = parsePromotion(price);
+      const picked = Object.fromEntries(Object.keys(expected).map(key => [key, actual?.[key]]));
+      assert.deepStrictEqual(picked, expected);
+    });
+  }
+
+  it('leaves out products without a promotion', () => {
+    assert.strictEqual(parsePromotion(null), null);
+    assert.strictEqual(parsePromotion({ Value: 0 }), null);
+  });
+});
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { loadDatasets, route, createQueryServer, QueryError } = require('../scripts/query_server');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// The golden records as cleaned datasets. Most of the cider fixture's stockcodes
+// are in the beer fixture too.
+function writeCleanedDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'query-server-'));
+  for (const dataset of ['beer', 'cider']) {
+    const { records } = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${dataset}_expected.json`), 'utf8'));
+    fs.writeFileSync(path.join(dir, `${dataset}.json`), JSON.stringify(records));
+  }
+  const history = {
+    updated: '2024-05-01',
+    products: { 464700: { name_clean: 'Beer history', groups: {} } }
+  };
+  fs.writeFileSync(path.join(dir, 'beer_history.json'), JSON.stringify(history));
+  return dir;
+}
+
+function get(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: pathname, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+    }).on('error', reject);
+  });
+}
+
+describe('query server', () => {
+  let dir;
+  let data;
+  const request = pathname => route(data, new URL(pathname, 'http://localhost'));
+
+  before(() => {
+    dir = writeCleanedDir();
+    data = loadDatasets(dir);
+  });
+  after(() => fs.rmSync(dir, { recursive: true }));
+
+  it('answers a stockcode found in several datasets with the matches', () => {
+    const { status, body } = request('/products/464700');
+    assert.strictEqual(status, 300);
+    assert.deepStrictEqual(body.matches, [{ category: 'beer', source: 'danmurphys' }, { category: 'cider', source: 'danmurphys' }]);
+  });
+
+  it('picks one product by category or source', () => {
+    const cider = request('/products/464700?category=cider');
+    assert.strictEqual(cider.status, 200);
+    assert.strictEqual(cider.body.category, 'cider');
+    assert.strictEqual(request('/products/464700?source=json_feed').status, 404);
+    assert.strictEqual(request('/products/337838?category=beer').body.stockcode, '337838');
+    assert.strictEqual(request('/products/000000').status, 404);
+  });
+
+  it('finds history in the category that has it', () => {
+    const { status, body } = request('/history/464700');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.category, 'beer');
+    assert.strictEqual(body.name_clean, 'Beer history');
+    assert.strictEqual(request('/history/464700?category=cider').status, 404);
+  });
+
+  it('filters products', () => {
+    const { body } = request('/products?category=beer&vessel=can&min_abv=4');
+    assert.ok(body.total > 0);
+    assert.ok(body.products.every(product => product.category === 'beer' && product.properties.vessel === 'can' && product.properties.percentage_raw >= 4));
+    const specials = request('/cheapest?package=case&specials=true').body;
+    assert.ok(specials.total > 0);
+    assert.ok(specials.options.every(option => option.group === 'case_special'));
+    assert.strictEqual(request('/products?source=json_feed').body.total, 0);
+  });
+
+  it('sorts and pages products', () => {
+    const all = request('/products?category=beer&per_page=500').body;
+    const { options } = request('/cheapest?category=beer&per_page=500').body;
+    assert.deepStrictEqual(options.map(option => option.stockcode), all.products.map(product => product.stockcode));
+    const costs = options.map(option => option.cost_per_standard);
+    assert.deepStrictEqual(costs, [...costs].sort((a, b) => a - b));
+
+    const page = request('/products?category=beer&per_page=5&page=2').body;
+    assert.deepStrictEqual([page.total, page.page, page.per_page, page.pages], [all.total, 2, 5, Math.ceil(all.total / 5)]);
+    assert.deepStrictEqual(page.products, all.products.slice(5, 10));
+  });
+
+  it('rejects bad parameters', () => {
+    assert.throws(() => request('/products?sort=price'), QueryError);
+    assert.throws(() => request('/products?per_page=501'), QueryError);
+    for (const paging of ['page=0', 'page=-1', 'page=1.5', 'page=', 'per_page=0', 'per_page=-5', 'per_page=2.5', 'per_page=ten']) {
+      assert.throws(() => request(`/products?${paging}`), QueryError, paging);
+    }
+    assert.throws(() => request('/products?specials=yes'), QueryError);
+    assert.throws(() => request('/products/%E0'), QueryError);
+    assert.strictEqual(request('/stockists').status, 404);
+  });
+
+  describe('over HTTP', () => {
+    let server;
+    let port;
+    before(async () => {
+      server = createQueryServer(dir);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+    after(() => server.close());
+
+    it('answers 304 when the ETag still matches', async () => {
+      const first = await get(port, '/products?per_page=1');
+      assert.strictEqual(first.status, 200);
+      const again = await get(port, '/products?per_page=1', { 'If-None-Match': first.headers.etag });
+      assert.strictEqual(again.status, 304);
+      assert.strictEqual(again.body, '');
+      const changed = await get(port, '/products?per_page=2', { 'If-None-Match': first.headers.etag });
+      assert.strictEqual(changed.status, 200);
+    });
+
+    it('answers 400 for a page or page size that isn\'t a positive whole number', async () => {
+      const { status, body } = await get(port, '/products?per_page=0');
+      assert.strictEqual(status, 400);
+      assert.strictEqual(JSON.parse(body).error, 'per_page must be a whole number from 1 to 500');
+      assert.strictEqual((await get(port, '/cheapest?page=0')).status, 400);
+    });
+
+    it('answers 400 for a malformed path', async () => {
+      const { status, body } = await get(port, '/products/%E0');
+      assert.strictEqual(status, 400);
+      assert.match(JSON.parse(body).error, /Malformed path/);
+    });
+  });
+});
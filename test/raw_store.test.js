@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { stripBundle, splitBundle, joinBundle, listDays, readSnapshot, storeSnapshot } = require('../scripts/raw_store');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function rawBundles() {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, 'beer_raw.json'), 'utf8'));
+}
+
+function tempStore() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'raw-store-'));
+}
+
+describe('splitBundle', () => {
+  it('joins back into the same bundle, keys in the same order', () => {
+    for (const bundle of rawBundles()) {
+      const { metadata, daily } = splitBundle(bundle);
+      assert.strictEqual(JSON.stringify(joinBundle(metadata, daily)), JSON.stringify(bundle));
+    }
+  });
+
+  it('keeps the daily fields and review details out of the metadata', () => {
+    const [bundle] = rawBundles();
+    bundle.Products[0].RichDescription = 'Long tasting notes';
+    const { metadata, daily } = splitBundle(stripBundle(bundle));
+    const product = metadata.Products[0];
+    assert.strictEqual(product.Prices, null);
+    assert.strictEqual('RichDescription' in product, false);
+    assert.deepStrictEqual(daily[0].Prices, bundle.Products[0].Prices);
+    const reviews = product.AdditionalDetails.find(detail => detail.Name === 'webtotalreviewcount');
+    assert.strictEqual(reviews.Value, null);
+  });
+});
+
+describe('storeSnapshot', () => {
+  it('rebuilds every stored day and writes only what changed', async () => {
+    const storeDir = tempStore();
+    const first = rawBundles();
+    const second = rawBundles();
+    second[0].Products[0].Prices.caseprice.Value += 1;
+    second[1].Products[0].Description = 'Renamed';
+    second.pop();
+
+    assert.strictEqual((await storeSnapshot('beer', first, '2024-05-01', { storeDir })).base, null);
+    const summary = await storeSnapshot('beer', second, '2024-05-02', { storeDir });
+    assert.deepStrictEqual(summary, { date: '2024-05-02', base: '2024-05-01', bundles: second.length, metadata: 1, daily: 1 });
+
+    assert.deepStrictEqual(await listDays('beer', { storeDir }), ['2024-05-01', '2024-05-02']);
+    assert.deepStrictEqual(await readSnapshot('beer', '2024-05-01', { storeDir }), { date: '2024-05-01', bundles: first });
+    assert.deepStrictEqual(await readSnapshot('beer', undefined, { storeDir }), { date: '2024-05-02', bundles: second });
+    assert.deepStrictEqual((await readSnapshot('beer', '2024-05-31', { storeDir })).date, '2024-05-02');
+    assert.strictEqual(await readSnapshot('beer', '2024-04-30', { storeDir }), null);
+    fs.rmSync(storeDir, { recursive: true });
+  });
+
+  it('replaces the latest day when it is stored again and refuses earlier days', async () => {
+    const storeDir = tempStore();
+    const bundles = rawBundles();
+    await storeSnapshot('beer', bundles, '2024-05-01', { storeDir });
+    await storeSnapshot('beer', bundles, '2024-05-02', { storeDir });
+    assert.strictEqual(fs.existsSync(path.join(storeDir, 'beer', 'metadata', '2024-05-02.json')), false);
+
+    bundles[0].Products[0].Description = 'Renamed';
+    await storeSnapshot('beer', bundles, '2024-05-02', { storeDir });
+    assert.deepStrictEqual((await readSnapshot('beer', '2024-05-02', { storeDir })).bundles, bundles);
+    await assert.rejects(storeSnapshot('beer', bundles, '2024-05-01', { storeDir }), /stored up to 2024-05-02/);
+    fs.rmSync(storeDir, { recursive: true });
+  });
+});
@@ -0,0 +1,162 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { describe, it } = require('node:test');
+const { getCategory } = require('../scripts/categories');
+const { loadCatalogue } = require('../scripts/catalogue');
+const { createCorrector } = require('../scripts/corrections');
+const { createQualityReport, summarise } = require('../scripts/quality');
+const { readSnapshot, storeSnapshot } = require('../scripts/raw_store');
+const { PRICING_GROUPS, getSource } = require('../scripts/sources');
+const { transformRecords } = require('../scripts/transform_raw');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SNAPSHOT_DATE = '2024-05-01';
+
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+function transform(file, source) {
+  return transformRecords(readFixture(file), {
+    dataset: 'beer',
+    config: getCategory('beer'),
+    source: getSource(source),
+    snapshotDate: SNAPSHOT_DATE
+  });
+}
+
+describe('source adapters', () => {
+  for (const [source, file] of [['danmurphys', 'beer_raw.json'], ['json_feed', 'feed_raw.json']]) {
+    it(`${source} gives the common record`, () => {
+      const adapter = getSource(source);
+      const config = getCategory('beer');
+      for (const raw of readFixture(file)) {
+        const extracted = adapter.extract(raw, config);
+        if (!extracted) continue;
+        assert.strictEqual(String(adapter.rawKey(raw)), extracted.stockcode);
+        const item = adapter.normalise(extracted, { config, fix: createCorrector(), quality: createQualityReport() });
+        assert.strictEqual(item.source, source);
+        assert.strictEqual(typeof item.name, 'string');
+        assert.ok(Object.keys(item.prices).every(group => PRICING_GROUPS.includes(group)));
+        assert.ok('beer_style' in item.details && 'ibu' in item.details);
+      }
+    });
+  }
+
+  it('puts a Dan Murphy\'s promotion only on the special it is for', () => {
+    const { records } = transform('beer_raw.json', 'danmurphys');
+    const { pricing } = records.find(record => record.stockcode === '6026361');
+    assert.deepStrictEqual(pricing.case_special.promo, { type: 'member_only', pack_type: 'case', quantity: 1, member_only: true, limit: 10 });
+    assert.strictEqual(pricing.pack_special.promo, undefined);
+  });
+
+  it('cleans a product feed like Dan Murphy\'s bundles', () => {
+    const { records, quality } = transform('feed_raw.json', 'json_feed');
+    // FB1004 has no ABV.
+    assert.deepStrictEqual(records.map(record => record.stockcode), ['FB1001', 'FB1002', 'FB1003', 'FB1005']);
+    assert.ok(records.every(record => record.source === 'json_feed'));
+
+    const [cider, paleAle, light, keg] = records;
+    assert.strictEqual(paleAle.properties.vessel, 'can');
+    assert.strictEqual(paleAle.properties.ibu, 22);
+    assert.strictEqual(paleAle.properties.beer_style, 'Pale Ale');
+    assert.deepStrictEqual(paleAle.pricing.pack_special.promo, { type: 'multi_buy', pack_type: 'pack', quantity: 2, member_only: false, limit: null });
+    assert.strictEqual(paleAle.pricing.pack_special.units, 12);
+    assert.strictEqual(paleAle.availability.supply_limit, 10);
+    assert.strictEqual(cider.properties.rating, 4.3);
+    assert.strictEqual(light.properties.excise_rate, '2024-02-05/beer_light');
+    assert.strictEqual(light.pricing.case_special.promo.type, 'member_only');
+    assert.strictEqual(light.availability.buyable, false);
+    assert.deepStrictEqual(Object.keys(keg.pricing), ['case']);
+    assert.deepStrictEqual(summarise(quality).counts, { conversion_error: 2 });
+  });
+
+  it('puts the same product from both retailers in one family', () => {
+    const dm = transform('beer_raw.json', 'danmurphys').records.find(record => record.stockcode === '907490');
+    const feed = transform('feed_raw.json', 'json_feed').records.find(record => record.stockcode === 'FB1001');
+    assert.strictEqual(dm.source, 'danmurphys');
+    assert.strictEqual(feed.properties.family_id, dm.properties.family_id);
+    assert.strictEqual(feed.properties.size_clean, dm.properties.size_clean);
+    assert.strictEqual(feed.properties.standard_drinks_clean, dm.properties.standard_drinks_clean);
+  });
+
+  it('applies pricing corrections to feed prices', () => {
+    const adapter = getSource('json_feed');
+    const [product] = readFixture('feed_raw.json');
+    const correction = { properties: {}, pricing: { case_price_clean: 48, pack_size_clean: 4 }, reasons: ['Wrong price'] };
+    const fix = createCorrector(correction);
+    const item = adapter.normalise(adapter.extract(product), { config: getCategory('beer'), fix, quality: createQualityReport() });
+    assert.deepStrictEqual(item.prices.case, { price: 48, units: 24 });
+    assert.deepStrictEqual(item.prices.pack, { price: 16.5, units: 4 });
+    assert.deepStrictEqual(fix.summary().fields, ['case_price_clean', 'pack_size_clean']);
+  });
+
+  it('fetches every page of a feed', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-feed-'));
+    const [first, second, ...rest] = readFixture('feed_raw.json');
+    fs.writeFileSync(path.join(dir, 'page1.json'), JSON.stringify({ products: [second, first], next: 'page2.json' }));
+    fs.writeFileSync(path.join(dir, 'page2.json'), JSON.stringify({ products: [...rest, first], next: null }));
+    const url = pathToFileURL(path.join(dir, 'page1.json')).href;
+    await getSource('json_feed').fetch([{ name: 'feed', queries: [{ url }] }], { outputDir: dir });
+    const written = JSON.parse(fs.readFileSync(path.join(dir, 'feed_raw.json'), 'utf8'));
+    assert.deepStrictEqual(written, readFixture('feed_raw.json'));
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('stops a feed whose next link goes back to a page already read', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-feed-'));
+    const [first, second] = readFixture('feed_raw.json');
+    fs.writeFileSync(path.join(dir, 'page1.json'), JSON.stringify({ products: [first], next: 'page2.json' }));
+    fs.writeFileSync(path.join(dir, 'page2.json'), JSON.stringify({ products: [second], next: './page1.json' }));
+    const url = pathToFileURL(path.join(dir, 'page1.json')).href;
+    await assert.rejects(getSource('json_feed').fetch([{ name: 'feed', queries: [{ url }] }], { outputDir: dir }), /links back to a page already read/);
+    assert.ok(!fs.existsSync(path.join(dir, 'feed_raw.json')));
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('fails a page whose connection drops partway through', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': 1000 });
+      res.write('{"products": [');
+      setImmediate(() => res.destroy());
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-feed-'));
+    const url = `http://127.0.0.1:${server.address().port}/beer.json`;
+    await assert.rejects(getSource('json_feed').fetch([{ name: 'feed', queries: [{ url }] }], { outputDir: dir, retries: 1, backoffMs: 0 }));
+    assert.ok(!fs.existsSync(path.join(dir, 'feed_raw.json')));
+    server.close();
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('stores feed products keyed by sku', async () => {
+    const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'raw-store-'));
+    const products = readFixture('feed_raw.json');
+    await storeSnapshot('feed', products, SNAPSHOT_DATE, { storeDir, key: getSource('json_feed').rawKey });
+    assert.deepStrictEqual((await readSnapshot('feed', undefined, { storeDir })).bundles, products);
+    fs.rmSync(storeDir, { recursive: true });
+  });
+
+  it('rejects unknown sources and queries without what their source needs', () => {
+    assert.throws(() => getSource('bws'), /Unknown source "bws"/);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalogue-'));
+    const write = (name, datasets) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, JSON.stringify({ datasets }));
+      return file;
+    };
+    const catalogue = loadCatalogue(write('ok.json', {
+      beer: { category: 'beer', queries: [{ department: 'beer' }] },
+      feed: { category: 'beer', source: 'json_feed', queries: [{ url: 'https://feed.example/beer' }] }
+    }));
+    assert.strictEqual(catalogue.beer.source, 'danmurphys');
+    assert.deepStrictEqual(catalogue.feed.queries, [{ url: 'https://feed.example/beer' }]);
+    assert.throws(() => loadCatalogue(write('bad_source.json', { feed: { category: 'beer', source: 'bws', queries: [{}] } })), /unknown source "bws"/);
+    assert.throws(() => loadCatalogue(write('no_url.json', { feed: { category: 'beer', source: 'json_feed', queries: [{ department: 'beer' }] } })), /without a url/);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,81 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { getCategory } = require('../scripts/categories');
+const { loadCorrections } = require('../scripts/corrections');
+const { summarise } = require('../scripts/quality');
+const { transformRecords } = require('../scripts/transform_raw');
+const { transformVersion, createCache, loadCache, saveCache } = require('../scripts/transform_cache');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SNAPSHOT_DATE = '2024-05-01';
+
+function rawBundles() {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, 'beer_raw.json'), 'utf8'));
+}
+
+async function run(bundles, cache, corrections) {
+  corrections = corrections || await loadCorrections('beer', SNAPSHOT_DATE, {
+    dir: path.join(FIXTURES, 'corrections'),
+    blacklistPath: path.join(FIXTURES, 'blacklist.json')
+  });
+  const { records, quality } = transformRecords(bundles, {
+    dataset: 'beer',
+    config: getCategory('beer'),
+    snapshotDate: SNAPSHOT_DATE,
+    corrections,
+    cache
+  });
+  return JSON.stringify({ records, quality: summarise(quality) });
+}
+
+describe('transform cache', () => {
+  it('gives the same records and quality report as a full run', async () => {
+    const version = await transformVersion('beer', SNAPSHOT_DATE);
+    const expected = await run(rawBundles());
+    const first = createCache(version);
+    assert.strictEqual(await run(rawBundles(), first), expected);
+    assert.strictEqual(first.stats.hits, 0);
+
+    const second = createCache(version, JSON.parse(JSON.stringify(first)));
+    assert.strictEqual(await run(rawBundles(), second), expected);
+    assert.deepStrictEqual(second.stats, { hits: first.stats.recomputed, recomputed: 0, added: 0, changed: 0, full: null });
+  });
+
+  it('only cleans bundles and corrections that changed', async () => {
+    const version = await transformVersion('beer', SNAPSHOT_DATE);
+    const first = createCache(version);
+    await run(rawBundles(), first);
+
+    const bundles = rawBundles();
+    bundles[0].Products[0].Prices.caseprice.Value += 1;
+    const corrections = await loadCorrections('beer', SNAPSHOT_DATE, {
+      dir: path.join(FIXTURES, 'corrections'),
+      blacklistPath: path.join(FIXTURES, 'blacklist.json')
+    });
+    corrections.get('337838').properties.size_clean = 375;
+
+    const second = createCache(version, JSON.parse(JSON.stringify(first)));
+    assert.strictEqual(await run(bundles, second, corrections), await run(bundles, undefined, corrections));
+    assert.strictEqual(second.stats.changed, 2);
+    assert.strictEqual(second.stats.recomputed, 2);
+  });
+
+  it('starts again when the transform version changes or with --full', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transform-cache-'));
+    const version = await transformVersion('beer', SNAPSHOT_DATE);
+    const cache = await loadCache('beer', version, { dir });
+    assert.strictEqual(cache.stats.full, 'no cache');
+    await run(rawBundles(), cache);
+    await saveCache('beer', cache, { dir });
+
+    assert.strictEqual((await loadCache('beer', version, { dir })).stats.full, null);
+    assert.strictEqual((await loadCache('beer', `${version}-old`, { dir })).stats.full, 'transform version changed');
+    assert.strictEqual((await loadCache('beer', version, { dir, full: true })).stats.full, '--full');
+    assert.notStrictEqual(await transformVersion('cider', SNAPSHOT_DATE), version);
+    assert.notStrictEqual(await transformVersion('beer', SNAPSHOT_DATE, 'json_feed'), version);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,362 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { getCategory } = require('../scripts/categories');
+const { findRate } = require('../scripts/excise');
+const { REASONS, createQualityReport } = require('../scripts/quality');
+const { validateSchema } = require('../scripts/validate');
+const {
+  cleanName,
+  findVessel,
+  inferPercentage,
+  inferSize,
+  inferStandardDrinks,
+  calcPricing,
+  combineBundle,
+  cleanRecord,
+  transformRecords
+} = require('../scripts/transform_raw');
+
+// Branch by branch tests of transform_raw.js on small hand-written bundles.
+// golden.test.js covers whole datasets.
+
+const BEER = getCategory('beer');
+const SNAPSHOT_DATE = '2024-05-01';
+const CLEANED_SCHEMA = require('../schemas/cleaned_record.schema.json');
+
+// One entry of a product's Prices, with the fields the Browse API always sends.
+function price(Message, Value, extra = {}) {
+  return {
+    Message,
+    Value,
+    PreText: null,
+    BeforePromotion: null,
+    AfterPromotion: null,
+    IsMemberOffer: false,
+    MaxAward: 0,
+    PackType: null,
+    PromotionType: null,
+    Quantity: 0,
+    ...extra
+  };
+}
+
+// A raw bundle with just the fields the transform reads.
+function makeBundle({
+  stockcode = '100001',
+  name = 'Test Lager Cans 375mL',
+  size = '375mL',
+  percent = '4.6%',
+  standardDrinks = '1.4',
+  prices = {},
+  details = {}
+} = {}) {
+  const additional = {
+    producttitle: name,
+    webbrandname: 'Test',
+    webliquorsize: size,
+    webalcoholpercentage: percent,
+    standarddrinks: standardDrinks,
+    ...details
+  };
+  return {
+    Products: [{
+      Stockcode: stockcode,
+      IsDeliveryOnly: false,
+      Prices: prices,
+      AdditionalDetails: Object.entries(additional)
+        .filter(([, Value]) => Value !== null)
+        .map(([Name, Value]) => ({ Name, Value }))
+    }]
+  };
+}
+
+// Cleans one bundle, returning the record and the quality findings.
+function clean(options) {
+  const quality = createQualityReport('beer');
+  const record = cleanRecord(combineBundle(makeBundle(options), BEER), { config: BEER, snapshotDate: SNAPSHOT_DATE, quality });
+  return { record, issues: quality.issues.map(issue => issue.reason) };
+}
+
+describe('cleanName and findVessel', () => {
+  it('drops the trailing size and pack details', () => {
+    assert.strictEqual(cleanName('Hahn Super Dry Cans 6X375mL'), 'Hahn Super Dry');
+    assert.strictEqual(cleanName('Coopers Pale Ale Bottles 375mL (24)'), 'Coopers Pale Ale');
+    assert.strictEqual(cleanName('Tooheys New 30 Block'), 'Tooheys New 30 Block');
+  });
+
+  it('finds the vessel from the name, first rule wins', () => {
+    assert.strictEqual(findVessel('Test Lager Bottles 330mL', null, BEER), 'bottle');
+    assert.strictEqual(findVessel('Test Lager Can 375mL', null, BEER), 'can');
+    assert.strictEqual(findVessel('Test Lager 750mL', null, BEER), null);
+  });
+
+  it('falls back to the closure', () => {
+    const cider = getCategory('cider');
+    assert.strictEqual(findVessel('Test Cider 500mL', 'Crown Seal', cider), 'bottle');
+    assert.strictEqual(findVessel('Test Cider 500mL', 'Can Closure', cider), 'can');
+  });
+});
+
+describe('percentage', () => {
+  it('treats a fraction as a percentage when there are standard drinks', () => {
+    assert.strictEqual(inferPercentage(0.05, 1.5), 5);
+    assert.strictEqual(clean({ percent: '0.05', standardDrinks: '1.5' }).record.properties.percentage_raw, 5);
+  });
+
+  it('leaves a fraction alone without standard drinks', () => {
+    assert.strictEqual(inferPercentage(0.05, null), 0.05);
+    assert.strictEqual(inferPercentage(0.05, 0), 0.05);
+  });
+
+  it('leaves ordinary percentages alone', () => {
+    assert.strictEqual(inferPercentage(4.6, 1.4), 4.6);
+  });
+});
+
+describe('size', () => {
+  it('reads listed sizes under 5 as litres', () => {
+    const { record } = clean({ name: 'Test Lager Keg', size: '1.5', percent: '5%', standardDrinks: '5.9' });
+    assert.strictEqual(record.properties.size_ml, 1500);
+  });
+
+  it('prefers the size in the name', () => {
+    const { size, backCalculated } = inferSize({ name: 'Test Lager Cans 330mL', sizeMl: 375, percentage: 4.6, standardDrinks: 1.4 }, BEER);
+    assert.deepStrictEqual({ size, backCalculated }, { size: 330, backCalculated: false });
+  });
+
+  it('uses the listed size when it is in the category range', () => {
+    assert.deepStrictEqual(
+      inferSize({ name: 'Test Lager Cans', sizeMl: 375, percentage: 4.6, standardDrinks: 1.4 }, BEER),
+      { size: 375, backCalculated: false }
+    );
+  });
+
+  it('back-calculates from the standard drinks otherwise, and reports it', () => {
+    assert.deepStrictEqual(
+      inferSize({ name: 'Test Lager Keg', sizeMl: 1500, percentage: 5, standardDrinks: 5.9 }, BEER),
+      { size: 1495, backCalculated: true }
+    );
+    const { record, issues } = clean({ name: 'Test Lager Keg', size: '1.5', percent: '5%', standardDrinks: '5.9' });
+    assert.strictEqual(record.properties.size_clean, 1495);
+    assert.ok(issues.includes(REASONS.SIZE_BACK_CALCULATED));
+  });
+
+  it('gives up without standard drinks', () => {
+    assert.deepStrictEqual(
+      inferSize({ name: 'Test Lager Keg', sizeMl: null, percentage: 5, standardDrinks: null }, BEER),
+      { size: null, backCalculated: false }
+    );
+  });
+});
+
+describe('standard drinks', () => {
+  it('keeps the listed value within 0.15 of the calculation', () => {
+    assert.deepStrictEqual(inferStandardDrinks(4.6, 375, 1.4), { standardDrinks: 1.4, mismatch: false });
+  });
+
+  it('replaces a listed value that is too far out, and reports it', () => {
+    assert.deepStrictEqual(inferStandardDrinks(4.6, 375, 1.8), { standardDrinks: 1.4, mismatch: true });
+    const { record, issues } = clean({ standardDrinks: '1.8' });
+    assert.strictEqual(record.properties.standard_drinks_clean, 1.4);
+    assert.ok(issues.includes(REASONS.STANDARD_DRINKS_MISMATCH));
+  });
+
+  it('uses the listed value when there is no size', () => {
+    assert.deepStrictEqual(inferStandardDrinks(4.6, null, 1.4), { standardDrinks: 1.4, mismatch: false });
+  });
+});
+
+describe('calcPricing', () => {
+  const properties = { percentage_raw: 4.6, size_clean: 375, standard_drinks_clean: 1.4 };
+  const rate = findRate('beer_full', SNAPSHOT_DATE);
+
+  it('works out the unit price, cost per standard drink and tax', () => {
+    assert.deepStrictEqual(calcPricing(60, 24, properties, rate), {
+      total_price: 60,
+      units: 24,
+      unit_price: 2.5,
+      cost_per_standard: 1.79,
+      alcohol_tax_cost: 0.57,
+      alcohol_tax_percent: 32
+    });
+  });
+
+  it('has no group without a price', () => {
+    assert.strictEqual(calcPricing(null, 24, properties, rate), null);
+    assert.strictEqual(calcPricing(undefined, 24, properties, rate), null);
+  });
+
+  it('has no unit price without units', () => {
+    const pricing = calcPricing(60, null, properties, rate);
+    assert.strictEqual(pricing.unit_price, null);
+    assert.strictEqual(pricing.cost_per_standard, null);
+  });
+});
+
+describe('case, pack and single pricing', () => {
+  it('reads the case and pack sizes from the messages', () => {
+    const { record } = clean({
+      prices: {
+        caseprice: price('case (24)', 60),
+        singleprice: price('pack (6)', 18, { PackType: 'Pack' }),
+        inanysixprice: price('each (in-store)', 3.5)
+      }
+    });
+    assert.deepStrictEqual(Object.keys(record.pricing), ['case', 'pack', 'single']);
+    assert.strictEqual(record.pricing.case.units, 24);
+    assert.strictEqual(record.pricing.pack.units, 6);
+    assert.strictEqual(record.pricing.single.total_price, 3.5);
+  });
+
+  it('leaves out a group whose price is missing from the raw data', () => {
+    const prices = {
+      caseprice: { ...price('case (24)', 60), Value: undefined },
+      singleprice: price('pack (6)', 18, { PackType: 'Pack' })
+    };
+    const { records: [record] } = transformRecords([makeBundle({ prices })], { dataset: 'beer', config: BEER, snapshotDate: SNAPSHOT_DATE });
+    assert.deepStrictEqual(Object.keys(record.pricing), ['pack']);
+    assert.deepStrictEqual(validateSchema(record, CLEANED_SCHEMA), []);
+  });
+
+  it('falls back to the listed case size', () => {
+    const { record } = clean({
+      prices: { caseprice: price('case', 60) },
+      details: { webpacksizecase: '24' }
+    });
+    assert.strictEqual(record.pricing.case.units, 24);
+  });
+
+  it('multiplies the pack size by the promotion quantity', () => {
+    const promo = { BeforePromotion: 35.9, AfterPromotion: 29.9, PackType: 'Pack', PromotionType: 'multibuy offer', Quantity: 2 };
+    const { record } = clean({
+      prices: {
+        singleprice: price('pack (6)', 17.95, { ...promo, Quantity: 0 }),
+        promoprice: price(' for 2 packs', 29.9, promo)
+      }
+    });
+    assert.strictEqual(record.pricing.pack_special.units, 12);
+    assert.strictEqual(record.pricing.pack_special.total_price, 29.9);
+    assert.deepStrictEqual(record.pricing.pack_special.promo, { type: 'multi_buy', pack_type: 'pack', quantity: 2, member_only: false, limit: null });
+  });
+
+  it('moves an "each" price with a single promotion to the single groups', () => {
+    const promo = { BeforePromotion: 17.58, AfterPromotion: 14, PackType: 'Bottle', PromotionType: 'multibuy offer', Quantity: 2 };
+    const { record } = clean({
+      name: 'Test Lager Bottle 750mL',
+      size: '750mL',
+      standardDrinks: '2.7',
+      prices: {
+        singleprice: price('each', 8.79, { ...promo, Quantity: 0 }),
+        promoprice: price(' for 2 bottles', 14, promo)
+      }
+    });
+    assert.deepStrictEqual(Object.keys(record.pricing), ['single', 'single_special']);
+    assert.strictEqual(record.pricing.single.total_price, 8.79);
+    assert.strictEqual(record.pricing.single_special.units, 2);
+    assert.strictEqual(record.pricing.single_special.unit_price, 7);
+  });
+
+  it('takes singles from an "each" price that is dearer than its promotion, or has none', () => {
+    for (const extra of [{ AfterPromotion: 4 }, {}]) {
+      const { record } = clean({ prices: { singleprice: price('each', 4.5, extra) } });
+      assert.strictEqual(record.pricing.single.total_price, 4.5);
+      assert.strictEqual(record.pricing.pack, undefined);
+    }
+  });
+
+  it('prefers the in-any-six price for singles when there is one', () => {
+    const { record } = clean({
+      prices: {
+        singleprice: price('each', 4.5, { AfterPromotion: 4 }),
+        inanysixprice: price('each (in-store)', 4.25)
+      }
+    });
+    assert.strictEqual(record.pricing.single.total_price, 4.25);
+  });
+
+  it('reads an in-any-six price as the price of one', () => {
+    // As in the raw files, e.g. 308771
+    const { record } = clean({
+      prices: {
+        caseprice: price('case (24)', 142.99),
+        singleprice: price('pack (4)', 26.49, { PackType: 'Pack' }),
+        inanysixprice: price('in any six', 8.49)
+      }
+    });
+    assert.strictEqual(record.pricing.single.total_price, 8.49);
+    assert.strictEqual(record.pricing.single.units, 1);
+  });
+
+  it('prices an any-N special for the whole lot, whether the deal is priced for the lot or each', () => {
+    const lot = { BeforePromotion: 77.94, AfterPromotion: 60, PackType: 'Bottle', PromotionType: 'multibuy offer', Quantity: 6 };
+    const each = { BeforePromotion: 12.99, AfterPromotion: 10, PackType: 'Bottle', PromotionType: 'multibuy offer' };
+    for (const [message, promo] of [[' any 6 for $60', lot], [' $10 each in any six', each]]) {
+      const { record } = clean({
+        name: 'Test Lager Bottle 750mL',
+        size: '750mL',
+        standardDrinks: '2.7',
+        prices: {
+          singleprice: price('each', 12.99, { ...promo, Quantity: 0 }),
+          promoprice: price(message, promo.AfterPromotion, promo)
+        }
+      });
+      const special = record.pricing.single_special;
+      assert.deepStrictEqual([special.total_price, special.units, special.unit_price], [60, 6, 10], message);
+      assert.deepStrictEqual(special.promo, { type: 'any_n', pack_type: 'single', quantity: 6, member_only: false, limit: null });
+    }
+  });
+
+  it('keeps an "each" price as a pack when its promotion costs more', () => {
+    const { record } = clean({
+      prices: { singleprice: price('each', 4.5, { AfterPromotion: 8 }) },
+      details: { webpacksizeinner: '1' }
+    });
+    assert.strictEqual(record.pricing.pack.total_price, 4.5);
+    assert.strictEqual(record.pricing.pack.units, 1);
+    assert.strictEqual(record.pricing.pack_special.total_price, 8);
+    assert.strictEqual(record.pricing.single, undefined);
+  });
+});
+
+describe('transformRecords', () => {
+  const prices = { caseprice: price('case (24)', 60) };
+
+  it('leaves out ER stockcodes and products without a percentage', () => {
+    const bundles = [
+      makeBundle({ stockcode: '100001', prices }),
+      makeBundle({ stockcode: 'ER_100002', prices }),
+      makeBundle({ stockcode: '100003', percent: '0%', prices }),
+      makeBundle({ stockcode: '100004', percent: null, prices })
+    ];
+    const { records } = transformRecords(bundles, { dataset: 'beer', config: BEER, snapshotDate: SNAPSHOT_DATE });
+    assert.deepStrictEqual(records.map(record => record.stockcode), ['100001']);
+  });
+
+  it('applies corrections, excludes, and reports corrections that match nothing', () => {
+    const corrections = new Map([
+      ['100001', { reasons: ['Wrong size'], properties: { size_clean: 330 }, pricing: {}, exclude: false }],
+      ['100002', { reasons: ['Not beer'], properties: {}, pricing: {}, exclude: true }],
+      ['999999', { reasons: ['Gone'], properties: {}, pricing: {}, exclude: false }]
+    ]);
+    const bundles = [makeBundle({ stockcode: '100001', prices }), makeBundle({ stockcode: '100002', prices })];
+    const { records, quality } = transformRecords(bundles, { dataset: 'beer', config: BEER, snapshotDate: SNAPSHOT_DATE, corrections });
+    assert.deepStrictEqual(records.map(record => record.stockcode), ['100001']);
+    assert.strictEqual(records[0].properties.size_clean, 330);
+    assert.strictEqual(records[0].properties.standard_drinks_clean, 1.2);
+    assert.deepStrictEqual(records[0].corrections, { fields: ['size_clean'], reasons: ['Wrong size'] });
+    assert.deepStrictEqual(
+      quality.issues.filter(issue => issue.reason === REASONS.CORRECTION_UNMATCHED).map(issue => issue.stockcode),
+      ['999999']
+    );
+  });
+
+  it('gives every record a family', () => {
+    const bundles = [
+      makeBundle({ stockcode: '100001', name: 'Test Pale Ale Cans 375mL', prices }),
+      makeBundle({ stockcode: '100002', name: 'Test Pale Ale Bottles 375mL', prices })
+    ];
+    const { records } = transformRecords(bundles, { dataset: 'beer', config: BEER, snapshotDate: SNAPSHOT_DATE });
+    assert.strictEqual(records[0].properties.family_id, 'testpaleale-4.6');
+    assert.strictEqual(records[1].properties.family_id, 'testpaleale-4.6');
+  });
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { validateSchema, validateRecords, checkCount, validateStage } = require('../scripts/validate');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['stockcode', 'pricing'],
+  additionalProperties: false,
+  properties: {
+    stockcode: { type: 'string', minLength: 1 },
+    source: { enum: ['danmurphys', 'json_feed'] },
+    pricing: {
+      type: 'object',
+      additionalProperties: { $ref: '#/definitions/group' }
+    }
+  },
+  definitions: {
+    group: {
+      type: 'object',
+      required: ['total_price'],
+      properties: { total_price: { type: 'number', minimum: 0 }, units: { type: ['integer', 'null'] } }
+    }
+  }
+};
+
+describe('validateSchema', () => {
+  it('accepts a valid record', () => {
+    assert.deepStrictEqual(validateSchema({ stockcode: '1', source: 'danmurphys', pricing: { case: { total_price: 60, units: 24 } } }, SCHEMA), []);
+  });
+
+  it('reports each problem with its path', () => {
+    const errors = validateSchema({ stockcode: '', source: 'bottleshop', pricing: { case: { total_price: -1, units: 1.5 } }, extra: 1 }, SCHEMA);
+    assert.deepStrictEqual(errors, [
+      { path: '.stockcode', message: 'expected at least 1 characters' },
+      { path: '.source', message: 'expected one of "danmurphys", "json_feed", got "bottleshop"' },
+      { path: '.pricing.case.total_price', message: 'expected at least 0, got -1' },
+      { path: '.pricing.case.units', message: 'expected integer or null, got number' },
+      { path: '(record)', message: 'unexpected field extra' }
+    ]);
+    assert.deepStrictEqual(validateSchema({ pricing: null }, SCHEMA), [
+      { path: '(record)', message: 'missing required field stockcode' },
+      { path: '.pricing', message: 'expected object, got null' }
+    ]);
+  });
+});
+
+describe('validateRecords', () => {
+  it('groups the same problem across records, most common first', () => {
+    const records = [
+      { stockcode: '1', pricing: { case: {} } },
+      { stockcode: '2', pricing: { case: {}, pack: {} } },
+      { stockcode: '3' },
+      { stockcode: '4', pricing: {} }
+    ];
+    assert.deepStrictEqual(validateRecords(records, SCHEMA), [
+      { path: '.pricing.case', message: 'missing required field total_price', count: 2, examples: ['1', '2'] },
+      { path: '.pricing.pack', message: 'missing required field total_price', count: 1, examples: ['2'] },
+      { path: '(record)', message: 'missing required field pricing', count: 1, examples: ['3'] }
+    ]);
+  });
+});
+
+describe('checkCount', () => {
+  it('fails a drop over the limit', () => {
+    assert.strictEqual(checkCount(80, 100, 0.2), null);
+    assert.strictEqual(checkCount(79, 100, 0.2), 'record count dropped from 100 to 79 (21%, limit 20%)');
+    assert.strictEqual(checkCount(500, 100, 0.2), null);
+  });
+
+  it('passes the first run', () => {
+    assert.strictEqual(checkCount(10, undefined, 0.2), null);
+  });
+});
+
+describe('validateStage', () => {
+  let dir;
+  let output;
+  const records = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'cider_expected.json'), 'utf8')).records;
+  const counts = () => JSON.parse(fs.readFileSync(path.join(dir, 'record_counts.json'), 'utf8'));
+
+  beforeEach(t => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-'));
+    output = [];
+    t.mock.method(console, 'log', line => output.push(line));
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true }));
+
+  it('passes the golden records and keeps their count', async () => {
+    fs.writeFileSync(path.join(dir, 'cider.json'), JSON.stringify(records));
+    assert.strictEqual(await validateStage('cleaned', ['cider'], 0.2, dir), true);
+    assert.deepStrictEqual(output, [`OK   cider.json: ${records.length} records`]);
+    assert.deepStrictEqual(counts(), { 'cider.json': records.length });
+  });
+
+  it('fails broken records and a sharp drop without updating the counts', async () => {
+    const broken = records.slice(0, 2).map(record => ({ ...record, pricing: { case: { ...record.pricing.case, units: 'twenty' } } }));
+    fs.writeFileSync(path.join(dir, 'cider.json'), JSON.stringify(broken));
+    fs.writeFileSync(path.join(dir, 'record_counts.json'), JSON.stringify({ 'cider.json': 10 }));
+    assert.strictEqual(await validateStage('cleaned', ['cider'], 0.2, dir), false);
+    assert.strictEqual(output[0], 'FAIL cider.json: 2 records');
+    assert.strictEqual(output[1], '     record count dropped from 10 to 2 (80%, limit 20%)');
+    assert.strictEqual(output[2], `     2 x .pricing.case.units: expected number, got string (e.g. ${broken[0].stockcode}, ${broken[1].stockcode})`);
+    assert.deepStrictEqual(counts(), { 'cider.json': 10 });
+  });
+
+  it('fails a missing file and rejects unknown stages', async () => {
+    assert.strictEqual(await validateStage('cleaned', ['cider'], 0.2, dir), false);
+    assert.deepStrictEqual(output, ['FAIL cider.json: file is missing']);
+    await assert.rejects(validateStage('fetched', ['cider'], 0.2, dir), /Unknown stage "fetched"/);
+  });
+});
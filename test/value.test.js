@@ -0,0 +1,118 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { bayesianRating, ratingPrior, bestCost, assignValueScores, buildBestValue } = require('../scripts/value');
+
+const fixtures = require('./helpers');
+
+// A cleaned record with the fields value.js reads.
+function record(stockcode, { rating = null, reviews = null, percentage = 5, cost = 2, style = 'Lager', buyable = true, pricing } = {}) {
+  return fixtures.record(
+    stockcode,
+    pricing || { case: { cost_per_standard: cost } },
+    { rating, review_count: reviews, percentage_raw: percentage, beer_style: style },
+    { buyable }
+  );
+}
+
+describe('bayesianRating', () => {
+  it('pulls few reviews towards the prior and leaves many alone', () => {
+    assert.strictEqual(bayesianRating(5, 1, 4, 19), 4.05);
+    assert.ok(Math.abs(bayesianRating(4.2, 300, 4, 20) - 4.2) < 0.02);
+  });
+
+  it('gives the prior without reviews', () => {
+    assert.strictEqual(bayesianRating(null, null, 4, 20), 4);
+    assert.strictEqual(bayesianRating(5, 0, 4, 20), 4);
+  });
+});
+
+describe('ratingPrior', () => {
+  it('weights ratings by review count', () => {
+    const records = [record('1', { rating: 5, reviews: 1 }), record('2', { rating: 4, reviews: 3 }), record('3')];
+    assert.strictEqual(ratingPrior(records), 4.25);
+  });
+
+  it('is null when nothing has been reviewed', () => {
+    assert.strictEqual(ratingPrior([record('1')]), null);
+  });
+});
+
+describe('bestCost', () => {
+  const pricing = {
+    case: { cost_per_standard: 2 },
+    case_special: { cost_per_standard: 1.5, promo: { member_only: true } }
+  };
+
+  it('takes the cheapest group', () => {
+    assert.deepStrictEqual(bestCost(record('1', { pricing })), { group: 'case_special', cost_per_standard: 1.5 });
+  });
+
+  it('can leave out member-only prices', () => {
+    assert.deepStrictEqual(bestCost(record('1', { pricing }), { memberPrices: false }), { group: 'case', cost_per_standard: 2 });
+  });
+});
+
+describe('assignValueScores', () => {
+  it('ranks a well reviewed product above a single five star review', () => {
+    const records = [
+      record('1', { rating: 5, reviews: 1 }),
+      record('2', { rating: 4.6, reviews: 300 }),
+      record('3', { rating: 3, reviews: 100 })
+    ];
+    assignValueScores(records, { weights: { rating: 1, cost: 0, abv: 0 } });
+    assert.ok(records[1].properties.rating_adjusted > records[0].properties.rating_adjusted);
+    assert.ok(records[1].properties.value_score > records[0].properties.value_score);
+  });
+
+  it('scores cost and ABV as percentiles of the dataset', () => {
+    const records = [
+      record('1', { cost: 1, percentage: 4 }),
+      record('2', { cost: 2, percentage: 5 }),
+      record('3', { cost: 30, percentage: 6 })
+    ];
+    assignValueScores(records, { weights: { rating: 0, cost: 1, abv: 0 } });
+    assert.deepStrictEqual(records.map(({ properties }) => properties.value_score), [100, 50, 0]);
+    assignValueScores(records, { weights: { rating: 0, cost: 0, abv: 1 } });
+    assert.deepStrictEqual(records.map(({ properties }) => properties.value_score), [0, 50, 100]);
+  });
+
+  it('leaves records without a price unscored', () => {
+    const records = [record('1', { pricing: {} }), record('2')];
+    assignValueScores(records);
+    assert.strictEqual(records[0].properties.value_score, null);
+    assert.notStrictEqual(records[1].properties.value_score, null);
+  });
+});
+
+describe('buildBestValue', () => {
+  const records = [
+    record('1', { cost: 1, style: 'Lager' }),
+    record('2', { cost: 2, style: 'Pale Ale' }),
+    record('3', { cost: 3, style: 'Lager' }),
+    record('4', { cost: 0.5, style: 'Lager', buyable: false })
+  ];
+  assignValueScores(records, { weights: { rating: 0, cost: 1, abv: 0 } });
+
+  it('ranks buyable products overall and by style', () => {
+    const bestValue = buildBestValue(records);
+    assert.deepStrictEqual(bestValue.overall.map(({ rank, stockcode }) => [rank, stockcode]), [[1, '1'], [2, '2'], [3, '3']]);
+    assert.deepStrictEqual(Object.keys(bestValue.styles), ['Lager', 'Pale Ale']);
+    assert.deepStrictEqual(bestValue.styles.Lager.map(({ rank, stockcode }) => [rank, stockcode]), [[1, '1'], [2, '3']]);
+  });
+
+  it('keeps unbuyable products with buyableOnly false and cuts the list at listSize', () => {
+    const bestValue = buildBestValue(records, { buyableOnly: false, listSize: 2 });
+    assert.deepStrictEqual(bestValue.overall.map(({ stockcode }) => stockcode), ['4', '1']);
+  });
+
+  it('reads the style of any category and leaves an empty one out', () => {
+    const wines = [record('5', { cost: 1 }), record('6', { cost: 2 }), record('7', { cost: 3 })];
+    delete wines[0].properties.beer_style;
+    wines[0].properties.wine_style = 'Shiraz';
+    wines[1].properties.beer_style = '';
+    assignValueScores(wines, { weights: { rating: 0, cost: 1, abv: 0 } });
+    const bestValue = buildBestValue(wines);
+    assert.deepStrictEqual(bestValue.overall.map(({ style }) => style), ['Shiraz', null, 'Lager']);
+    assert.deepStrictEqual(Object.keys(bestValue.styles), ['Lager', 'Shiraz']);
+  });
+});